@@ -0,0 +1,211 @@
+/**
+ * AreaEffectSystem - Applies level area volumes to game objects for Echo Genesis
+ * Handles water buoyancy and drag, wind forces, damage over time and gravity overrides
+ */
+class AreaEffectSystem {
+    constructor(world) {
+        this.world = world;
+        
+        // Areas each object is currently inside (object -> Map(area -> state))
+        this.occupancy = new Map();
+        
+        // Defaults used when an area doesn't specify its own values
+        this.defaults = {
+            water: { buoyancy: 0.5, swimBuoyancy: 1.0, drag: 4.0 },
+            wind: { forceX: 300, forceY: 0 },
+            damage: { damage: 10, interval: 1.0 } // damage is per second
+        };
+        
+        // Water tiles act as a water area with the default properties
+        this.tileWater = { type: 'water', properties: {} };
+    }
+    
+    update(deltaTime) {
+        const areas = this.world.areas || [];
+        const waterTiles = this.world.tileDefinitions.any('water');
+        if (areas.length === 0 && !waterTiles) {
+            if (this.occupancy.size > 0) this.reset();
+            return;
+        }
+        
+        for (const obj of this.world.gameObjects) {
+            if (!obj.active || obj.destroyed || obj.hasTag('tile')) continue;
+            
+            this.updateObject(obj, areas, deltaTime, waterTiles);
+        }
+        
+        // Forget objects that have left the world
+        for (const obj of this.occupancy.keys()) {
+            if (obj.destroyed || !this.world.gameObjects.includes(obj)) {
+                this.occupancy.delete(obj);
+            }
+        }
+    }
+    
+    updateObject(obj, areas, deltaTime, waterTiles = false) {
+        const bounds = obj.getBounds();
+        const previous = this.occupancy.get(obj) || new Map();
+        const current = new Map();
+        
+        for (const area of areas) {
+            if (area.active && this.world.boundsOverlap(area.bounds, bounds)) {
+                current.set(area, previous.get(area) || { time: 0, damageTimer: 0 });
+            }
+        }
+        
+        // Exit callbacks
+        for (const area of previous.keys()) {
+            if (!current.has(area)) {
+                this.exitArea(obj, area);
+            }
+        }
+        
+        // Enter callbacks
+        for (const area of current.keys()) {
+            if (!previous.has(area)) {
+                this.enterArea(obj, area);
+            }
+        }
+        
+        if (current.size > 0) {
+            this.occupancy.set(obj, current);
+        } else {
+            this.occupancy.delete(obj);
+        }
+        
+        // Effects are recalculated every frame
+        obj.gravityOverride = null;
+        obj.inWater = false;
+        obj.windForce = obj.windForce || new Vector2(0, 0);
+        obj.windForce.set(0, 0);
+        
+        // Gravity overrides first so buoyancy works against the right gravity
+        for (const area of current.keys()) {
+            this.applyGravityOverride(obj, area);
+        }
+        
+        for (const [area, state] of current) {
+            state.time += deltaTime;
+            this.applyArea(obj, area, state, deltaTime);
+        }
+        
+        if (waterTiles && !obj.inWater && this.world.findTile(bounds, 'water')) {
+            this.applyWater(obj, this.tileWater, deltaTime);
+        }
+    }
+    
+    enterArea(obj, area) {
+        obj.onAreaEnter(area);
+        this.world.triggerEvent('areaEnter', { object: obj, area: area });
+    }
+    
+    exitArea(obj, area) {
+        obj.onAreaExit(area);
+        this.world.triggerEvent('areaExit', { object: obj, area: area });
+    }
+    
+    applyArea(obj, area, state, deltaTime) {
+        switch (area.type) {
+            case 'water':
+                this.applyWater(obj, area, deltaTime);
+                break;
+            
+            case 'wind':
+                this.applyWind(obj, area);
+                break;
+            
+            case 'damage':
+            case 'hazard':
+                this.applyDamage(obj, area, state, deltaTime);
+                break;
+        }
+    }
+    
+    applyGravityOverride(obj, area) {
+        const props = area.properties;
+        
+        if (typeof props.gravity === 'number') {
+            obj.gravityOverride = new Vector2(0, props.gravity);
+        } else if (props.gravity) {
+            obj.gravityOverride = new Vector2(props.gravity.x || 0, props.gravity.y || 0);
+        } else if (props.gravityScale !== undefined) {
+            obj.gravityOverride = this.world.gravity.multiply(props.gravityScale);
+        }
+    }
+    
+    applyWater(obj, area, deltaTime) {
+        const props = { ...this.defaults.water, ...area.properties };
+        const canSwim = obj.hasAbility ? obj.hasAbility('swim') : false;
+        const gravity = obj.gravityOverride || this.world.gravity;
+        
+        obj.inWater = true;
+        
+        // Buoyancy pushes against gravity; swimmers are neutrally buoyant
+        if (obj.gravityScale > 0) {
+            const buoyancy = canSwim ? props.swimBuoyancy : props.buoyancy;
+            obj.addForce(gravity.multiply(-buoyancy * obj.gravityScale * obj.mass));
+        }
+        
+        // Drag slows everything moving through water
+        const damping = Math.max(0, 1 - props.drag * deltaTime);
+        obj.velocity.multiplyInPlace(damping);
+    }
+    
+    applyWind(obj, area) {
+        const props = area.properties;
+        let force;
+        
+        if (props.direction !== undefined) {
+            const angle = props.direction * Math.PI / 180;
+            const strength = props.strength !== undefined ? props.strength : this.defaults.wind.forceX;
+            force = new Vector2(Math.cos(angle) * strength, Math.sin(angle) * strength);
+        } else {
+            force = new Vector2(
+                props.forceX !== undefined ? props.forceX : this.defaults.wind.forceX,
+                props.forceY !== undefined ? props.forceY : this.defaults.wind.forceY
+            );
+        }
+        
+        // Wind accelerates light and heavy objects alike (objects that handle wind push themselves by windForce)
+        if (!obj.handlesWind) {
+            obj.addForce(force.multiply(obj.mass));
+        }
+        obj.windForce.addInPlace(force);
+    }
+    
+    applyDamage(obj, area, state, deltaTime) {
+        if (!obj.takeDamage) return;
+        
+        const props = { ...this.defaults.damage, ...area.properties };
+        
+        state.damageTimer -= deltaTime;
+        if (state.damageTimer <= 0) {
+            obj.takeDamage(props.damage * props.interval, null);
+            state.damageTimer = props.interval;
+        }
+    }
+    
+    // Area queries
+    getAreasAt(obj) {
+        const current = this.occupancy.get(obj);
+        return current ? Array.from(current.keys()) : [];
+    }
+    
+    isInArea(obj, type) {
+        return this.getAreasAt(obj).some(area => area.type === type);
+    }
+    
+    reset() {
+        for (const obj of this.occupancy.keys()) {
+            obj.gravityOverride = null;
+            obj.inWater = false;
+            if (obj.windForce) obj.windForce.set(0, 0);
+        }
+        this.occupancy.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AreaEffectSystem;
+}
@@ -0,0 +1,128 @@
+/**
+ * AutoMap - Tracks which parts of each level the player has explored for Echo Genesis
+ * Reveals tiles around the player as they move and serializes the fog of war for saving
+ */
+class AutoMap {
+    constructor() {
+        // Explored tiles per level (levelId -> { width, height, tiles: Uint8Array })
+        this.levels = new Map();
+        
+        // Reveal radius around the player, in tiles
+        this.revealRadius = 7;
+        
+        // Last tile the player revealed from, to skip redundant work
+        this.lastRevealKey = null;
+        
+        // Set whenever something new is revealed since the last save
+        this.dirty = false;
+    }
+    
+    update(world, player) {
+        if (!player || !world.levelData || !world.levelId) return;
+        
+        const tileSize = world.levelData.properties.tileSize;
+        const center = player.getCenter();
+        const tileX = Math.floor(center.x / tileSize);
+        const tileY = Math.floor(center.y / tileSize);
+        
+        const key = `${world.levelId}:${tileX},${tileY}`;
+        if (key === this.lastRevealKey) return;
+        this.lastRevealKey = key;
+        
+        this.reveal(world.levelId, world.levelData, tileX, tileY, this.revealRadius);
+    }
+    
+    getLevel(levelId, levelData = null) {
+        let level = this.levels.get(levelId);
+        
+        if (!level && levelData) {
+            const width = levelData.properties.width;
+            const height = levelData.properties.height;
+            level = { width, height, tiles: new Uint8Array(width * height) };
+            this.levels.set(levelId, level);
+        }
+        
+        return level || null;
+    }
+    
+    reveal(levelId, levelData, centerX, centerY, radius) {
+        const level = this.getLevel(levelId, levelData);
+        const radiusSq = radius * radius;
+        
+        for (let y = centerY - radius; y <= centerY + radius; y++) {
+            if (y < 0 || y >= level.height) continue;
+            
+            for (let x = centerX - radius; x <= centerX + radius; x++) {
+                if (x < 0 || x >= level.width) continue;
+                
+                const dx = x - centerX;
+                const dy = y - centerY;
+                if (dx * dx + dy * dy > radiusSq) continue;
+                
+                const index = y * level.width + x;
+                if (!level.tiles[index]) {
+                    level.tiles[index] = 1;
+                    this.dirty = true;
+                }
+            }
+        }
+    }
+    
+    isRevealed(levelId, x, y) {
+        const level = this.levels.get(levelId);
+        if (!level || x < 0 || y < 0 || x >= level.width || y >= level.height) return false;
+        return level.tiles[y * level.width + x] === 1;
+    }
+    
+    isRoomVisited(levelId) {
+        const level = this.levels.get(levelId);
+        return level ? level.tiles.some(tile => tile === 1) : false;
+    }
+    
+    // Serialization (tiles are packed into a base64 bitset per level)
+    toJSON() {
+        const data = {};
+        
+        for (const [levelId, level] of this.levels) {
+            const bytes = new Uint8Array(Math.ceil(level.tiles.length / 8));
+            for (let i = 0; i < level.tiles.length; i++) {
+                if (level.tiles[i]) {
+                    bytes[i >> 3] |= 1 << (i & 7);
+                }
+            }
+            
+            let binary = '';
+            for (const byte of bytes) {
+                binary += String.fromCharCode(byte);
+            }
+            
+            data[levelId] = { width: level.width, height: level.height, tiles: btoa(binary) };
+        }
+        
+        return data;
+    }
+    
+    load(data) {
+        this.levels.clear();
+        this.lastRevealKey = null;
+        if (!data) return;
+        
+        for (const [levelId, level] of Object.entries(data)) {
+            const binary = atob(level.tiles);
+            const tiles = new Uint8Array(level.width * level.height);
+            
+            for (let i = 0; i < tiles.length; i++) {
+                tiles[i] = (binary.charCodeAt(i >> 3) >> (i & 7)) & 1;
+            }
+            
+            this.levels.set(levelId, { width: level.width, height: level.height, tiles });
+        }
+        
+        this.dirty = false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoMap;
+}
@@ -0,0 +1,258 @@
+/**
+ * BehaviorTree - Data-driven AI for Echo Genesis enemies
+ * Trees of selector, sequence, decorator, condition and action nodes, built from JSON and ticked every frame
+ */
+class BehaviorTree {
+    static SUCCESS = 'success';
+    static FAILURE = 'failure';
+    static RUNNING = 'running';
+    
+    // Named tree definitions (see EnemyBehaviors.js) and the condition/action handlers nodes can use
+    static definitions = new Map();
+    static levelDefinitions = new Map(); // trees from the loaded level; shadow same-named built-ins until the next level loads
+    static conditions = new Map(); // name -> (entity, params, tree) => boolean
+    static actions = new Map();    // name -> (entity, params, tree, deltaTime, state) => status
+    
+    // Node format:
+    //   { type: 'selector', children: [...] }  first child that doesn't fail
+    //   { type: 'sequence', children: [...] }  children in order until one doesn't succeed
+    //   { type: 'inverter' | 'succeeder', child: {...} }
+    //   { type: 'cooldown', duration, child: {...} }  fails for `duration` seconds after the child succeeds
+    //   { type: 'condition', name, ...params }
+    //   { type: 'action', name, ...params }
+    //   { type: 'tree', name }  another named tree
+    // Trees are re-evaluated from the root every tick, so higher-priority branches interrupt running actions.
+    static define(name, definition) {
+        this.definitions.set(name, definition);
+    }
+    
+    static has(name) {
+        return this.levelDefinitions.has(name) || this.definitions.has(name);
+    }
+    
+    static getDefinition(name) {
+        return this.levelDefinitions.has(name) ? this.levelDefinitions.get(name) : this.definitions.get(name);
+    }
+    
+    // Load definitions from a JSON string or an already parsed object ({ name: tree })
+    static loadDefinitions(json) {
+        const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [name, definition] of Object.entries(definitions || {})) {
+            this.define(name, definition);
+        }
+        
+        return Object.keys(definitions || {});
+    }
+    
+    // Replace the level-scoped trees with a level's `behaviors` (nothing to unload them but the next level)
+    static loadLevelDefinitions(json) {
+        const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        this.levelDefinitions.clear();
+        for (const [name, definition] of Object.entries(definitions || {})) {
+            this.levelDefinitions.set(name, definition);
+        }
+        
+        return Object.keys(definitions || {});
+    }
+    
+    static registerCondition(name, handler) {
+        this.conditions.set(name, handler);
+    }
+    
+    static registerAction(name, handler) {
+        this.actions.set(name, handler);
+    }
+    
+    // Build a tree from a definition name or an inline definition
+    static create(definition) {
+        try {
+            return new BehaviorTree(this.build(definition));
+        } catch (error) {
+            console.warn(`Invalid behavior tree: ${error.message}`);
+            return null;
+        }
+    }
+    
+    static build(definition, depth = 0) {
+        if (depth > 32) {
+            throw new Error('Behavior tree nested too deeply (recursive tree reference?)');
+        }
+        
+        if (typeof definition === 'string') {
+            if (!this.has(definition)) {
+                throw new Error(`Unknown behavior tree: ${definition}`);
+            }
+            return this.build(this.getDefinition(definition), depth + 1);
+        }
+        
+        if (!definition || !definition.type) {
+            throw new Error('Behavior node is missing a type');
+        }
+        
+        switch (definition.type) {
+            case 'selector':
+            case 'sequence':
+                return new CompositeNode(definition, (definition.children || []).map(child => this.build(child, depth + 1)));
+            case 'inverter':
+            case 'succeeder':
+            case 'cooldown':
+                if (!definition.child) {
+                    throw new Error(`'${definition.type}' node needs a child`);
+                }
+                return new DecoratorNode(definition, this.build(definition.child, depth + 1));
+            case 'condition':
+                if (!this.conditions.has(definition.name)) {
+                    throw new Error(`Unknown behavior condition: ${definition.name}`);
+                }
+                return new ConditionNode(definition);
+            case 'action':
+                if (!this.actions.has(definition.name)) {
+                    throw new Error(`Unknown behavior action: ${definition.name}`);
+                }
+                return new ActionNode(definition);
+            case 'tree':
+                return this.build(definition.name, depth + 1);
+            default:
+                throw new Error(`Unknown behavior node type: ${definition.type}`);
+        }
+    }
+    
+    constructor(root) {
+        this.root = root;
+        this.blackboard = {};
+        this.tickCount = 0;
+        this.time = 0;
+        this.status = null;
+    }
+    
+    tick(entity, deltaTime) {
+        this.tickCount++;
+        this.time += deltaTime;
+        this.status = this.root.execute(entity, this, deltaTime);
+        return this.status;
+    }
+}
+
+/**
+ * BehaviorNode - Base class for behavior tree nodes
+ */
+class BehaviorNode {
+    constructor(definition) {
+        this.definition = definition;
+        
+        // Per-run scratch state (timers for wait, etc.), cleared when the node is re-entered
+        this.state = {};
+        this.lastTick = -1;
+    }
+    
+    execute(entity, tree, deltaTime) {
+        // A node that wasn't ticked last frame was interrupted or finished; start it fresh
+        if (this.lastTick !== tree.tickCount - 1) {
+            this.state = {};
+        }
+        this.lastTick = tree.tickCount;
+        
+        const status = this.tick(entity, tree, deltaTime);
+        
+        // A finished node starts over the next time it runs (so a completed wait waits again)
+        if (status !== BehaviorTree.RUNNING) {
+            this.state = {};
+            this.lastTick = -1;
+        }
+        
+        return status;
+    }
+    
+    tick(entity, tree, deltaTime) {
+        return BehaviorTree.FAILURE;
+    }
+}
+
+/**
+ * CompositeNode - Selector and sequence nodes
+ */
+class CompositeNode extends BehaviorNode {
+    constructor(definition, children) {
+        super(definition);
+        this.children = children;
+    }
+    
+    tick(entity, tree, deltaTime) {
+        // A selector stops at the first child that doesn't fail, a sequence at the first that doesn't succeed
+        const passThrough = this.definition.type === 'selector' ? BehaviorTree.FAILURE : BehaviorTree.SUCCESS;
+        
+        for (const child of this.children) {
+            const status = child.execute(entity, tree, deltaTime);
+            if (status !== passThrough) {
+                return status;
+            }
+        }
+        
+        return passThrough;
+    }
+}
+
+/**
+ * DecoratorNode - Inverter, succeeder and cooldown nodes
+ */
+class DecoratorNode extends BehaviorNode {
+    constructor(definition, child) {
+        super(definition);
+        this.child = child;
+        
+        // Kept outside `state` so the cooldown survives interruptions
+        this.readyAt = 0;
+    }
+    
+    tick(entity, tree, deltaTime) {
+        switch (this.definition.type) {
+            case 'inverter': {
+                const status = this.child.execute(entity, tree, deltaTime);
+                if (status === BehaviorTree.RUNNING) return status;
+                return status === BehaviorTree.SUCCESS ? BehaviorTree.FAILURE : BehaviorTree.SUCCESS;
+            }
+            case 'succeeder': {
+                const status = this.child.execute(entity, tree, deltaTime);
+                return status === BehaviorTree.RUNNING ? status : BehaviorTree.SUCCESS;
+            }
+            case 'cooldown': {
+                if (tree.time < this.readyAt) return BehaviorTree.FAILURE;
+                
+                const status = this.child.execute(entity, tree, deltaTime);
+                if (status === BehaviorTree.SUCCESS) {
+                    this.readyAt = tree.time + (this.definition.duration || 1);
+                }
+                return status;
+            }
+        }
+        
+        return BehaviorTree.FAILURE;
+    }
+}
+
+/**
+ * ConditionNode - Succeeds when its registered condition holds
+ */
+class ConditionNode extends BehaviorNode {
+    tick(entity, tree) {
+        const condition = BehaviorTree.conditions.get(this.definition.name);
+        return condition(entity, this.definition, tree) ? BehaviorTree.SUCCESS : BehaviorTree.FAILURE;
+    }
+}
+
+/**
+ * ActionNode - Runs its registered action and reports the action's status
+ */
+class ActionNode extends BehaviorNode {
+    tick(entity, tree, deltaTime) {
+        const action = BehaviorTree.actions.get(this.definition.name);
+        return action(entity, this.definition, tree, deltaTime, this.state) || BehaviorTree.SUCCESS;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BehaviorTree, BehaviorNode, CompositeNode, DecoratorNode, ConditionNode, ActionNode };
+}
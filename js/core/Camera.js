@@ -48,17 +48,23 @@ class Camera {
         this.locked = false;
         this.following = true;
         
-        // Transition effects
+        // Transition effects (durations in seconds)
         this.transition = {
             active: false,
             type: 'fade', // 'fade', 'slide', 'zoom'
-            duration: 1000,
+            duration: 1.0,
             elapsed: 0,
             fromPosition: new Vector2(0, 0),
             toPosition: new Vector2(0, 0),
+            fadeFrom: 0,
+            fadeTo: 0,
             onComplete: null
         };
         
+        // Screen fade (0 = clear, 1 = fully covered)
+        this.fadeAlpha = 0;
+        this.fadeColor = '#000000';
+        
         // Look ahead system for platformers
         this.lookAhead = {
             enabled: true,
@@ -78,8 +84,9 @@ class Camera {
         // Update zoom
         this.updateZoom(deltaTime);
         
-        // Update following
-        if (this.following && this.followTarget) {
+        // Update following (scripted slides take priority)
+        const sliding = this.transition.active && this.transition.type === 'slide';
+        if (this.following && this.followTarget && !sliding) {
             this.updateFollow(deltaTime);
         }
         
@@ -96,7 +103,7 @@ class Camera {
             
             // Generate random shake offset
             const angle = Math.random() * Math.PI * 2;
-            const distance = this.shake.intensity * (this.shake.duration / 1000);
+            const distance = this.shake.intensity;
             this.shake.offset.set(
                 Math.cos(angle) * distance,
                 Math.sin(angle) * distance
@@ -208,6 +215,11 @@ class Camera {
                 );
                 break;
                 
+            case 'fade':
+                this.fadeAlpha = this.transition.fadeFrom +
+                    (this.transition.fadeTo - this.transition.fadeFrom) * progress;
+                break;
+                
             case 'zoom':
                 // Handle zoom transition
                 break;
@@ -264,9 +276,9 @@ class Camera {
         this.following = false;
     }
     
-    moveTo(x, y, smooth = true) {
+    moveTo(x, y, smooth = true, duration = 1.0) {
         if (smooth) {
-            this.startTransition('slide', new Vector2(x, y), 1000);
+            this.startTransition('slide', new Vector2(x, y), duration);
         } else {
             this.position.set(x, y);
             this.applyBounds();
@@ -287,11 +299,11 @@ class Camera {
             this.position.setFromVector(newPos);
             this.applyBounds();
         } else {
-            this.startTransition('slide', newPos, 1000);
+            this.startTransition('slide', newPos, 1.0);
         }
     }
     
-    // Shake effects
+    // Shake effects (intensity in pixels, duration in seconds)
     addShake(intensity, duration) {
         this.shake.intensity = Math.max(this.shake.intensity, intensity);
         this.shake.duration = Math.max(this.shake.duration, duration);
@@ -341,6 +353,12 @@ class Camera {
         this.transition.onComplete = onComplete;
     }
     
+    startFade(toAlpha, duration, onComplete = null) {
+        this.startTransition('fade', this.position, duration, onComplete);
+        this.transition.fadeFrom = this.fadeAlpha;
+        this.transition.fadeTo = toAlpha;
+    }
+    
     // Lock/unlock camera
     lock() {
         this.locked = true;
@@ -0,0 +1,420 @@
+/**
+ * CutscenePlayer - Plays scripted cutscene timelines for Echo Genesis
+ * Runs camera moves, entity walks, waits, dialogue, fades, music and flags in order while player control is suspended
+ */
+class CutscenePlayer {
+    constructor(game) {
+        this.game = game;
+        
+        // Shared cutscenes by id (level cutscenes are looked up in the level data)
+        this.cutscenes = new Map();
+        
+        // Registered step handlers (type -> handler(step) returning an optional runner)
+        this.steps = new Map();
+        
+        // Playback
+        this.playing = false;
+        this.cutsceneId = null;
+        this.cutscene = null;
+        this.stepIndex = 0;
+        this.running = []; // runners still in progress ({ step, elapsed, update, finish })
+        this.savedZoom = 1.0;
+        
+        // Hold the skip key this long to skip (seconds)
+        this.skipHoldTime = 0.75;
+        this.skipTimer = 0;
+        
+        // Letterbox bars
+        this.letterbox = 0;
+        this.letterboxHeight = 60;
+        
+        this.registerDefaultSteps();
+    }
+    
+    // Cutscene format:
+    //   { steps: [step, ...], skippable: true, once: true }
+    // Every step waits for the previous one to finish unless it has `parallel: true`.
+    // Step types:
+    //   cameraPan    - { x, y, duration } centers the camera on a world position
+    //   cameraZoom   - { zoom, duration }
+    //   cameraFollow - { target } follow an entity id ('player' by default)
+    //   walkTo       - { entity, x, speed } walk an entity id ('player' for the player) to a world x
+    //   wait         - { duration }
+    //   dialogue     - { dialogue, node, speaker } waits until the conversation closes
+    //   fade         - { to, duration, color } fade the screen to (1) or from (0) a color
+    //   music        - { music }
+    //   setFlag      - { flag, value }
+    // Any trigger action type (showNotification, spawnEntity, ...) also works as an instant step.
+    registerDefaultSteps() {
+        this.registerStep('cameraPan', (step) => {
+            const camera = this.game.camera;
+            const duration = step.duration !== undefined ? step.duration : 1.0;
+            
+            camera.stopFollowing();
+            camera.moveTo(step.x - camera.width / 2, step.y - camera.height / 2, duration > 0, duration);
+            
+            return {
+                update: (deltaTime, elapsed) => elapsed >= duration,
+                finish: () => camera.moveTo(step.x - camera.width / 2, step.y - camera.height / 2, false)
+            };
+        });
+        
+        this.registerStep('cameraZoom', (step) => {
+            const camera = this.game.camera;
+            const duration = step.duration !== undefined ? step.duration : 0.5;
+            
+            camera.setZoom(step.zoom, duration > 0);
+            
+            return {
+                update: (deltaTime, elapsed) => elapsed >= duration,
+                finish: () => camera.setZoom(step.zoom, false)
+            };
+        });
+        
+        this.registerStep('cameraFollow', (step) => {
+            const target = this.findEntity(step.target || 'player');
+            if (target) {
+                this.game.camera.follow(target);
+            }
+        });
+        
+        this.registerStep('walkTo', (step) => {
+            const entity = this.findEntity(step.entity);
+            if (!entity) {
+                console.warn(`Cutscene walkTo: entity '${step.entity}' not found`);
+                return null;
+            }
+            
+            const speed = step.speed || 120;
+            const targetX = () => step.x - entity.size.x / 2;
+            
+            return {
+                update: () => {
+                    const dx = targetX() - entity.position.x;
+                    if (Math.abs(dx) <= speed / 30) {
+                        entity.velocity.x = 0;
+                        return true;
+                    }
+                    
+                    const direction = Math.sign(dx);
+                    entity.velocity.x = direction * speed;
+                    entity.facingDirection = direction;
+                    entity.scale.x = direction;
+                    return false;
+                },
+                finish: () => {
+                    entity.position.x = targetX();
+                    entity.velocity.x = 0;
+                }
+            };
+        });
+        
+        this.registerStep('wait', (step) => {
+            const duration = step.duration !== undefined ? step.duration : 1.0;
+            return { update: (deltaTime, elapsed) => elapsed >= duration };
+        });
+        
+        this.registerStep('dialogue', (step) => {
+            const dialogue = this.game.world.dialogue;
+            const speaker = step.speaker ? this.findEntity(step.speaker) : null;
+            
+            if (!dialogue.start(step.dialogue, speaker, step.node || null)) return null;
+            
+            return {
+                update: () => !dialogue.active,
+                finish: () => dialogue.end()
+            };
+        });
+        
+        this.registerStep('fade', (step) => {
+            const camera = this.game.camera;
+            const from = camera.fadeAlpha;
+            const to = step.to !== undefined ? step.to : 1;
+            const duration = step.duration !== undefined ? step.duration : 0.5;
+            
+            if (step.color) {
+                camera.fadeColor = step.color;
+            }
+            
+            // Tweened here rather than with camera.startFade, so fades can overlap camera pans
+            return {
+                update: (deltaTime, elapsed) => {
+                    const progress = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+                    camera.fadeAlpha = from + (to - from) * progress;
+                    return progress >= 1;
+                },
+                finish: () => {
+                    camera.fadeAlpha = to;
+                }
+            };
+        });
+        
+        this.registerStep('music', (step) => {
+            this.game.audioManager.playMusic(step.music);
+        });
+        
+        this.registerStep('setFlag', (step) => {
+            this.game.world.setFlag(step.flag, step.value !== undefined ? step.value : true);
+        });
+    }
+    
+    registerStep(type, handler) {
+        this.steps.set(type, handler);
+    }
+    
+    define(id, cutscene) {
+        this.cutscenes.set(id, cutscene);
+    }
+    
+    // Level cutscenes first, then shared ones
+    getCutscene(id) {
+        const levelData = this.game.world.levelData;
+        if (levelData && levelData.cutscenes && levelData.cutscenes[id]) {
+            return levelData.cutscenes[id];
+        }
+        return this.cutscenes.get(id) || null;
+    }
+    
+    hasSeen(id) {
+        return this.game.saveSystem.hasSeenCutscene(id);
+    }
+    
+    play(id, options = {}) {
+        if (this.playing) return false;
+        
+        const cutscene = this.getCutscene(id);
+        if (!cutscene) {
+            console.warn(`Unknown cutscene: ${id}`);
+            return false;
+        }
+        
+        if (cutscene.once !== false && !options.force && this.hasSeen(id)) {
+            return false;
+        }
+        
+        this.playing = true;
+        this.cutsceneId = id;
+        this.cutscene = cutscene;
+        this.stepIndex = 0;
+        this.running = [];
+        this.skipTimer = 0;
+        this.savedZoom = this.game.camera.targetZoom;
+        
+        if (this.game.player) {
+            this.game.player.velocity.x = 0;
+        }
+        
+        this.game.world.triggerEvent('cutsceneStarted', { cutscene: id });
+        return true;
+    }
+    
+    update(deltaTime) {
+        // Letterbox bars slide in and out
+        const targetLetterbox = this.playing ? 1 : 0;
+        this.letterbox += Math.sign(targetLetterbox - this.letterbox) * Math.min(Math.abs(targetLetterbox - this.letterbox), deltaTime * 3);
+        
+        if (!this.playing) return;
+        
+        this.updateSkip(deltaTime);
+        if (!this.playing) return;
+        
+        // Advance running steps
+        for (let i = this.running.length - 1; i >= 0; i--) {
+            const runner = this.running[i];
+            runner.elapsed += deltaTime;
+            
+            if (runner.update(deltaTime, runner.elapsed)) {
+                this.running.splice(i, 1);
+            }
+        }
+        
+        // Start steps until one has to be waited on
+        const steps = this.cutscene.steps || [];
+        while (this.stepIndex < steps.length && !this.isBlocked()) {
+            this.startStep(steps[this.stepIndex++]);
+        }
+        
+        if (this.stepIndex >= steps.length && this.running.length === 0) {
+            this.finish();
+        }
+    }
+    
+    // Waiting on a step that wasn't started in parallel
+    isBlocked() {
+        return this.running.some(runner => !runner.step.parallel);
+    }
+    
+    startStep(step, skipping = false) {
+        const handler = this.steps.get(step.type);
+        let runner = null;
+        
+        if (handler) {
+            runner = handler(step);
+        } else if (this.game.world.triggerSystem.actions.has(step.type)) {
+            this.game.world.triggerSystem.executeAction(step, null, this.game.player);
+        } else {
+            console.warn(`Unknown cutscene step: ${step.type}`);
+        }
+        
+        if (!runner) return;
+        
+        if (skipping) {
+            if (runner.finish) runner.finish();
+            return;
+        }
+        
+        this.running.push({ step, elapsed: 0, update: runner.update, finish: runner.finish });
+    }
+    
+    // Where the cutscene is, for replays: running steps by index with their elapsed time
+    getState() {
+        const camera = this.game.camera;
+        const steps = this.playing ? this.cutscene.steps || [] : [];
+        
+        return {
+            cutsceneId: this.playing ? this.cutsceneId : null,
+            stepIndex: this.stepIndex,
+            running: this.running.map(runner => [steps.indexOf(runner.step), runner.elapsed]),
+            skipTimer: this.skipTimer,
+            savedZoom: this.savedZoom,
+            letterbox: this.letterbox,
+            fadeAlpha: camera.fadeAlpha,
+            fadeColor: camera.fadeColor
+        };
+    }
+    
+    // Resume a cutscene mid-way. Running steps are started again with their elapsed time; a dialogue
+    // step only watches the conversation, which DialogueSystem.restoreState puts back.
+    restoreState(state) {
+        const camera = this.game.camera;
+        
+        this.playing = false;
+        this.cutsceneId = null;
+        this.cutscene = null;
+        this.running = [];
+        this.letterbox = state.letterbox || 0;
+        camera.fadeAlpha = state.fadeAlpha || 0;
+        if (state.fadeColor) {
+            camera.fadeColor = state.fadeColor;
+        }
+        
+        const cutscene = state.cutsceneId ? this.getCutscene(state.cutsceneId) : null;
+        if (!cutscene) return;
+        
+        this.playing = true;
+        this.cutsceneId = state.cutsceneId;
+        this.cutscene = cutscene;
+        this.stepIndex = state.stepIndex;
+        this.skipTimer = state.skipTimer;
+        this.savedZoom = state.savedZoom;
+        
+        const steps = cutscene.steps || [];
+        for (const [index, elapsed] of state.running) {
+            const step = steps[index];
+            if (!step) continue;
+            
+            if (step.type === 'dialogue') {
+                const dialogue = this.game.world.dialogue;
+                this.running.push({ step, elapsed, update: () => !dialogue.active, finish: () => dialogue.end() });
+                continue;
+            }
+            
+            this.startStep(step);
+            const runner = this.running[this.running.length - 1];
+            if (runner && runner.step === step) {
+                runner.elapsed = elapsed;
+            }
+        }
+    }
+    
+    updateSkip(deltaTime) {
+        const input = this.game.inputManager;
+        
+        if (this.cutscene.skippable !== false && input.isActionPressed('skip')) {
+            this.skipTimer += deltaTime;
+            if (this.skipTimer >= this.skipHoldTime) {
+                this.skip();
+            }
+        } else {
+            this.skipTimer = 0;
+        }
+    }
+    
+    // Jump to the end: every remaining step is applied instantly, except dialogue
+    skip() {
+        if (!this.playing) return;
+        
+        for (const runner of this.running) {
+            if (runner.finish) runner.finish();
+        }
+        this.running = [];
+        
+        const steps = this.cutscene.steps || [];
+        while (this.stepIndex < steps.length) {
+            const step = steps[this.stepIndex++];
+            if (step.type !== 'dialogue') {
+                this.startStep(step, true);
+            }
+        }
+        
+        this.finish(true);
+    }
+    
+    finish(skipped = false) {
+        const id = this.cutsceneId;
+        const camera = this.game.camera;
+        
+        this.playing = false;
+        this.cutsceneId = null;
+        this.cutscene = null;
+        this.running = [];
+        this.skipTimer = 0;
+        
+        // Hand the camera back to the player
+        camera.setZoom(this.savedZoom);
+        camera.fadeAlpha = 0;
+        if (this.game.player) {
+            camera.follow(this.game.player);
+        }
+        
+        this.game.saveSystem.markCutsceneSeen(id);
+        this.game.world.triggerEvent('cutsceneEnded', { cutscene: id, skipped: skipped });
+    }
+    
+    // Entity ids from the level, or 'player'
+    findEntity(id) {
+        if (id === 'player') return this.game.player;
+        return this.game.world.gameObjects.find(obj => obj.id === id && !obj.destroyed) || null;
+    }
+    
+    // Letterbox bars and the skip hint (screen space)
+    render(ctx, width, height) {
+        if (this.letterbox <= 0) return;
+        
+        const barHeight = this.letterboxHeight * this.letterbox;
+        
+        ctx.save();
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, barHeight);
+        ctx.fillRect(0, height - barHeight, width, barHeight);
+        
+        if (this.playing && this.cutscene.skippable !== false) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = '14px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText('Hold Backspace to skip', width - 20, barHeight - 20);
+            
+            if (this.skipTimer > 0) {
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(width - 150, barHeight - 12, 130 * Math.min(1, this.skipTimer / this.skipHoldTime), 3);
+            }
+        }
+        
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CutscenePlayer;
+}
@@ -0,0 +1,379 @@
+/**
+ * DialogueSystem - Branching NPC conversations for Echo Genesis
+ * Runs dialogue trees from level data or dialogue files and draws them in a typewriter text box
+ */
+class DialogueSystem {
+    constructor(world) {
+        this.world = world;
+        
+        // Dialogue trees by id. Trees from dialogue files are shared between levels,
+        // trees embedded in a level are replaced when the next level loads
+        this.dialogues = new Map();
+        this.levelDialogueIds = [];
+        this.loadedFiles = new Set();
+        
+        // Current conversation
+        this.active = false;
+        this.dialogueId = null;
+        this.dialogue = null;
+        this.nodeId = null;
+        this.node = null;
+        this.text = '';
+        this.speaker = null;
+        this.choices = [];
+        this.selectedChoice = 0;
+        
+        // Typewriter
+        this.charsPerSecond = 45;
+        this.visibleChars = 0;
+        this.blinkTimer = 0;
+        
+        // Brief grace period so the key that closes a conversation doesn't reopen it
+        this.closeDelay = 0.2;
+        this.closeTimer = 0;
+        
+        // Text box layout (screen pixels)
+        this.boxMargin = 20;
+        this.boxPadding = 16;
+        this.lineHeight = 22;
+        this.font = '18px Arial';
+        this.nameFont = 'bold 16px Arial';
+    }
+    
+    // Tree format:
+    //   { start: 'nodeId', nodes: { nodeId: node } }
+    // Node fields (all optional except text):
+    //   speaker    - name shown above the text (defaults to the NPC's name)
+    //   text       - what is said
+    //   next       - node to continue to (no next and no choices ends the conversation)
+    //   choices    - [{ text, next, conditions, setFlags, actions }]; choices whose conditions fail are hidden
+    //   conditions - checked when the node is entered; if they fail the conversation jumps to `else` (or ends)
+    //   setFlags   - { flagName: value } applied when the node is entered or the choice is picked
+    //   actions    - trigger actions run at the same time, e.g. [{ type: 'showNotification', text: '...' }]
+    // Conditions use the trigger format: { flags, notFlags, collected, collectibles, abilities, missingAbilities }
+    addDialogue(id, tree) {
+        if (!tree || !tree.nodes) {
+            console.warn(`Dialogue '${id}' has no nodes`);
+            return;
+        }
+        this.dialogues.set(id, tree);
+    }
+    
+    has(id) {
+        return this.dialogues.has(id);
+    }
+    
+    // Load trees from a JSON string or an already parsed object ({ id: tree })
+    loadDialogues(json) {
+        const dialogues = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [id, tree] of Object.entries(dialogues || {})) {
+            this.addDialogue(id, tree);
+        }
+        
+        return Object.keys(dialogues || {});
+    }
+    
+    async loadFromUrl(url) {
+        if (this.loadedFiles.has(url)) return [];
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const ids = this.loadDialogues(await response.json());
+            this.loadedFiles.add(url);
+            return ids;
+        } catch (error) {
+            throw new Error(`Failed to load dialogues from ${url}: ${error.message}`);
+        }
+    }
+    
+    // Swap in a level's embedded dialogues and fetch any dialogue files it lists
+    setLevel(levelData) {
+        this.end(false);
+        this.closeTimer = 0;
+        
+        for (const id of this.levelDialogueIds) {
+            this.dialogues.delete(id);
+        }
+        this.levelDialogueIds = this.loadDialogues(levelData.dialogues);
+        
+        for (const url of levelData.properties.dialogueFiles || []) {
+            this.loadFromUrl(url).catch(error => console.error(error.message));
+        }
+    }
+    
+    // Conversation flow
+    start(id, speaker = null, nodeId = null) {
+        const dialogue = this.dialogues.get(id);
+        if (!dialogue) {
+            console.warn(`Unknown dialogue: ${id}`);
+            return false;
+        }
+        
+        this.active = true;
+        this.dialogueId = id;
+        this.dialogue = dialogue;
+        this.speaker = speaker;
+        
+        this.world.triggerEvent('dialogueStarted', { dialogue: id, speaker: speaker });
+        
+        this.goTo(nodeId || dialogue.start || Object.keys(dialogue.nodes)[0]);
+        return this.active;
+    }
+    
+    goTo(nodeId) {
+        if (!this.active) return;
+        
+        if (!nodeId) {
+            this.end();
+            return;
+        }
+        
+        const node = this.dialogue.nodes[nodeId];
+        if (!node) {
+            console.warn(`Dialogue '${this.dialogueId}' has no node '${nodeId}'`);
+            this.end();
+            return;
+        }
+        
+        const player = this.world.getPlayer();
+        const triggerSystem = this.world.triggerSystem;
+        
+        if (!triggerSystem.checkConditions(node.conditions, player)) {
+            this.goTo(node.else);
+            return;
+        }
+        
+        this.nodeId = nodeId;
+        this.node = node;
+        this.text = node.text || '';
+        this.visibleChars = 0;
+        this.choices = (node.choices || []).filter(choice => triggerSystem.checkConditions(choice.conditions, player));
+        this.selectedChoice = 0;
+        
+        this.applyOutcome(node);
+    }
+    
+    choose(index) {
+        const choice = this.choices[index];
+        if (!choice) return;
+        
+        this.applyOutcome(choice);
+        this.goTo(choice.next);
+    }
+    
+    // Flags and trigger actions attached to a node or choice
+    applyOutcome(outcome) {
+        if (outcome.setFlags) {
+            for (const [name, value] of Object.entries(outcome.setFlags)) {
+                this.world.setFlag(name, value);
+            }
+        }
+        
+        if (outcome.actions) {
+            const player = this.world.getPlayer();
+            for (const action of outcome.actions) {
+                this.world.triggerSystem.executeAction(action, null, player);
+            }
+        }
+    }
+    
+    end(notify = true) {
+        if (!this.active) return;
+        
+        const id = this.dialogueId;
+        const speaker = this.speaker;
+        
+        this.active = false;
+        this.dialogueId = null;
+        this.dialogue = null;
+        this.nodeId = null;
+        this.node = null;
+        this.text = '';
+        this.speaker = null;
+        this.choices = [];
+        this.closeTimer = this.closeDelay;
+        
+        if (notify) {
+            this.world.triggerEvent('dialogueEnded', { dialogue: id, speaker: speaker });
+        }
+    }
+    
+    // Where the conversation is, for replays (the speaker by entity id)
+    getState() {
+        return {
+            dialogueId: this.active ? this.dialogueId : null,
+            nodeId: this.active ? this.nodeId : null,
+            speakerId: this.active && this.speaker ? this.speaker.id : null,
+            visibleChars: this.visibleChars,
+            selectedChoice: this.selectedChoice,
+            blinkTimer: this.blinkTimer,
+            closeTimer: this.closeTimer
+        };
+    }
+    
+    // Put a conversation back without re-running its node's flags and actions
+    restoreState(state) {
+        this.end(false);
+        this.closeTimer = state.closeTimer || 0;
+        this.blinkTimer = state.blinkTimer || 0;
+        
+        const dialogue = state.dialogueId ? this.dialogues.get(state.dialogueId) : null;
+        const node = dialogue ? dialogue.nodes[state.nodeId] : null;
+        if (!node) return;
+        
+        const player = this.world.getPlayer();
+        const triggerSystem = this.world.triggerSystem;
+        
+        this.active = true;
+        this.dialogueId = state.dialogueId;
+        this.dialogue = dialogue;
+        this.speaker = this.world.gameObjects.find(obj => obj.id === state.speakerId && !obj.destroyed) || null;
+        this.nodeId = state.nodeId;
+        this.node = node;
+        this.text = node.text || '';
+        this.visibleChars = state.visibleChars;
+        this.choices = (node.choices || []).filter(choice => triggerSystem.checkConditions(choice.conditions, player));
+        this.selectedChoice = state.selectedChoice;
+    }
+    
+    // Player input is paused while a conversation is open (and just after it closes)
+    isBlockingInput() {
+        return this.active || this.closeTimer > 0;
+    }
+    
+    isTyping() {
+        return this.node !== null && this.visibleChars < this.text.length;
+    }
+    
+    update(deltaTime) {
+        if (this.closeTimer > 0) {
+            this.closeTimer -= deltaTime;
+        }
+        
+        if (!this.active || !this.node) return;
+        
+        this.visibleChars = Math.min(this.text.length, this.visibleChars + this.charsPerSecond * deltaTime);
+        this.blinkTimer += deltaTime;
+        
+        const input = window.game && window.game.inputManager;
+        if (!input) return;
+        
+        const confirm = input.isActionDown('interact') || input.isActionDown('jump') || input.isActionDown('confirm');
+        
+        // First press skips the typewriter
+        if (this.isTyping()) {
+            if (confirm) {
+                this.visibleChars = this.text.length;
+            }
+            return;
+        }
+        
+        if (this.choices.length > 0) {
+            if (input.isActionDown('moveUp')) {
+                this.selectedChoice = (this.selectedChoice + this.choices.length - 1) % this.choices.length;
+            }
+            if (input.isActionDown('moveDown')) {
+                this.selectedChoice = (this.selectedChoice + 1) % this.choices.length;
+            }
+            if (confirm) {
+                this.choose(this.selectedChoice);
+            }
+        } else if (confirm) {
+            this.goTo(this.node.next);
+        }
+    }
+    
+    // Rendering (screen space)
+    render(ctx, width, height) {
+        if (!this.active || !this.node) return;
+        
+        ctx.save();
+        ctx.font = this.font;
+        
+        const boxWidth = width - this.boxMargin * 2;
+        const textWidth = boxWidth - this.boxPadding * 2;
+        const lines = this.wrapText(ctx, this.text, textWidth);
+        const showChoices = !this.isTyping() && this.choices.length > 0;
+        const lineCount = Math.max(3, lines.length + (showChoices ? this.choices.length + 1 : 0));
+        const boxHeight = lineCount * this.lineHeight + this.boxPadding * 2 + 10;
+        const boxX = this.boxMargin;
+        const boxY = height - boxHeight - this.boxMargin;
+        
+        // Box
+        ctx.fillStyle = 'rgba(10, 12, 28, 0.9)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+        
+        // Speaker name tab
+        const name = this.node.speaker || (this.speaker && this.speaker.name);
+        if (name) {
+            ctx.font = this.nameFont;
+            const nameWidth = ctx.measureText(name).width + 20;
+            ctx.fillStyle = '#2d3a6e';
+            ctx.fillRect(boxX + 12, boxY - 24, nameWidth, 24);
+            ctx.strokeRect(boxX + 12, boxY - 24, nameWidth, 24);
+            ctx.fillStyle = '#FFD700';
+            ctx.fillText(name, boxX + 22, boxY - 7);
+            ctx.font = this.font;
+        }
+        
+        // Typewriter text
+        let remaining = Math.floor(this.visibleChars);
+        let y = boxY + this.boxPadding + this.lineHeight - 4;
+        ctx.fillStyle = '#FFFFFF';
+        
+        for (const line of lines) {
+            if (remaining <= 0) break;
+            ctx.fillText(line.substring(0, remaining), boxX + this.boxPadding, y);
+            remaining -= line.length + 1;
+            y += this.lineHeight;
+        }
+        
+        // Choices
+        if (showChoices) {
+            y += this.lineHeight / 2;
+            
+            this.choices.forEach((choice, index) => {
+                const selected = index === this.selectedChoice;
+                ctx.fillStyle = selected ? '#FFD700' : '#AAAAAA';
+                ctx.fillText(`${selected ? '▶' : ' '} ${choice.text}`, boxX + this.boxPadding + 10, y);
+                y += this.lineHeight;
+            });
+        } else if (!this.isTyping() && Math.floor(this.blinkTimer * 2) % 2 === 0) {
+            // Continue indicator
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('▼', boxX + boxWidth - this.boxPadding - 12, boxY + boxHeight - this.boxPadding);
+        }
+        
+        ctx.restore();
+    }
+    
+    wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        
+        for (const word of text.split(' ')) {
+            const test = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(test).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = test;
+            }
+        }
+        
+        if (line) lines.push(line);
+        return lines;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DialogueSystem;
+}
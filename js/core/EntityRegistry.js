@@ -0,0 +1,220 @@
+/**
+ * EntityRegistry - Data-driven entity type definitions for Echo Genesis
+ * Maps level entity types to their classes, default properties, property schema and editor visuals
+ */
+class EntityRegistry {
+    static types = new Map();
+    static aliases = new Map();
+    
+    // Register an entity type. Definition fields:
+    //   entityClass - () => Class (or a Promise of one); omit for marker-only types
+    //   create      - (EntityClass, data, properties, world) => instance; defaults to new EntityClass(x, y, properties)
+    //   defaults    - default property values
+    //   schema      - { name: { type: 'number'|'string'|'boolean'|'color', label, options, min, max, step } }
+    //   editor      - { label, category, color, debugColor, symbol, icon, unique, hidden, radiusProperty, debugText(properties) }
+    //   aliases     - other type names (e.g. legacy object types) that resolve to this one
+    //   respawn     - default respawn policy once removed: 'never', 'rest' or 'reentry'
+    static register(type, definition = {}) {
+        const entry = {
+            type: type,
+            entityClass: definition.entityClass || null,
+            create: definition.create || null,
+            defaults: definition.defaults || {},
+            schema: definition.schema || {},
+            editor: {
+                label: type,
+                category: 'Other',
+                color: '#999',
+                debugColor: '#ffffff',
+                symbol: '?',
+                unique: false,
+                ...(definition.editor || {})
+            },
+            aliases: definition.aliases || [],
+            respawn: definition.respawn || 'never',
+            loadedClass: null,
+            loading: null
+        };
+        
+        this.types.set(type, entry);
+        for (const alias of entry.aliases) {
+            this.aliases.set(alias, type);
+        }
+        
+        return entry;
+    }
+    
+    static unregister(type) {
+        const entry = this.types.get(type);
+        if (!entry) return false;
+        
+        for (const alias of entry.aliases) {
+            this.aliases.delete(alias);
+        }
+        return this.types.delete(type);
+    }
+    
+    static get(type) {
+        return this.types.get(type) || this.types.get(this.aliases.get(type)) || null;
+    }
+    
+    static has(type) {
+        return this.get(type) !== null;
+    }
+    
+    static getTypes() {
+        return Array.from(this.types.values());
+    }
+    
+    // Types grouped by editor category, in registration order
+    static getCategories() {
+        const categories = new Map();
+        
+        for (const entry of this.types.values()) {
+            const category = entry.editor.category;
+            if (!categories.has(category)) {
+                categories.set(category, []);
+            }
+            categories.get(category).push(entry);
+        }
+        
+        return categories;
+    }
+    
+    static getDefaults(type) {
+        const entry = this.get(type);
+        return entry ? JSON.parse(JSON.stringify(entry.defaults)) : {};
+    }
+    
+    // Class loading (some entity classes live in ES modules and load on demand)
+    static isLoaded(type) {
+        const entry = this.get(type);
+        if (!entry) return false;
+        
+        this.resolveClass(entry);
+        return !entry.entityClass || entry.loadedClass !== null;
+    }
+    
+    static async loadClass(type) {
+        const entry = this.get(type);
+        if (!entry) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+        
+        this.resolveClass(entry);
+        return entry.loading ? entry.loading : entry.loadedClass;
+    }
+    
+    // Classes that are already globals resolve immediately, module imports resolve later
+    static resolveClass(entry) {
+        if (!entry.entityClass || entry.loadedClass || entry.loading) return;
+        
+        const result = entry.entityClass();
+        if (!result || typeof result.then !== 'function') {
+            entry.loadedClass = result || null;
+            return;
+        }
+        
+        entry.loading = result.then(EntityClass => {
+            if (!EntityClass) {
+                throw new Error(`Entity class for '${entry.type}' is not available`);
+            }
+            entry.loadedClass = EntityClass;
+            return EntityClass;
+        }).finally(() => {
+            entry.loading = null;
+        });
+    }
+    
+    static preload(types) {
+        const unique = [...new Set(types)].filter(type => this.has(type));
+        return Promise.all(unique.map(type => this.loadClass(type)));
+    }
+    
+    // Create an entity from level data; the type's class must already be loaded
+    static create(data, world = null) {
+        const entry = this.get(data.type);
+        if (!entry) {
+            console.warn(`Unknown entity type: ${data.type}`);
+            return null;
+        }
+        
+        if (!this.isLoaded(data.type)) {
+            throw new Error(`Entity type '${entry.type}' has not been loaded yet`);
+        }
+        
+        const properties = { ...this.getDefaults(entry.type), ...(data.properties || {}) };
+        
+        for (const error of this.validateProperties(entry.type, properties)) {
+            console.warn(`Entity ${data.id || entry.type}: ${error}`);
+        }
+        
+        const EntityClass = entry.loadedClass;
+        const entity = entry.create ?
+            entry.create(EntityClass, data, properties, world) :
+            new EntityClass(data.x, data.y, properties);
+        
+        if (entity) {
+            if (data.id !== undefined) entity.id = data.id;
+            entity.entityType = entry.type;
+        }
+        
+        return entity;
+    }
+    
+    // Check properties against the type's schema
+    static validateProperties(type, properties) {
+        const entry = this.get(type);
+        if (!entry) return [`Unknown entity type: ${type}`];
+        
+        const errors = [];
+        
+        for (const [name, field] of Object.entries(entry.schema)) {
+            const value = properties[name];
+            if (value === undefined || value === null) continue;
+            
+            const expectedType = field.type === 'color' ? 'string' : field.type;
+            if (expectedType && typeof value !== expectedType) {
+                errors.push(`${name} should be a ${expectedType}, got ${typeof value}`);
+                continue;
+            }
+            
+            if (field.options && !field.options.includes(value)) {
+                errors.push(`${name} must be one of: ${field.options.join(', ')}`);
+            }
+            
+            if (field.min !== undefined && value < field.min) {
+                errors.push(`${name} must be at least ${field.min}`);
+            }
+            
+            if (field.max !== undefined && value > field.max) {
+                errors.push(`${name} must be at most ${field.max}`);
+            }
+        }
+        
+        return errors;
+    }
+    
+    // Editor visuals
+    static getEditorInfo(type) {
+        const entry = this.get(type);
+        return entry ? entry.editor : null;
+    }
+    
+    static getDebugColor(type) {
+        const entry = this.get(type);
+        return entry ? entry.editor.debugColor : '#ffffff';
+    }
+    
+    static getDebugText(type, properties = {}) {
+        const entry = this.get(type);
+        if (!entry) return type || 'Entity';
+        
+        return entry.editor.debugText ? entry.editor.debugText(properties) : entry.editor.label;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EntityRegistry;
+}
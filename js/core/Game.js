@@ -6,6 +6,7 @@
 import { LevelLoader } from '../utils/LevelLoader.js';
 import { SaveSystem } from '../utils/SaveSystem.js';
 import { getSampleLevel } from '../levels/SampleLevels.js';
+import { WorldGraph } from '../utils/WorldGraph.js';
 
 class Game {
     constructor(canvas) {
@@ -31,12 +32,30 @@ class Game {
         this.targetFPS = 60;
         this.frameCount = 0;
         this.gameTime = 0;
+        
+        // Fixed timestep: the simulation advances in equal steps whatever the frame rate,
+        // and rendering blends object positions between the last two steps
+        // 60Hz matches the rate per-update tuning (friction, camera smoothing) was balanced at
+        this.fixedDeltaTime = 1 / 60;
+        this.accumulator = 0;
+        this.maxStepsPerFrame = 8; // spiral-of-death cap: past this a frame drops its backlog instead of catching up
+        this.maxFrameTime = 0.25; // longer stalls (tab switches, breakpoints) don't replay as a burst of steps
+        this.interpolationAlpha = 1;
+        this.stepsThisFrame = 0;
+        this.interpolatedObjects = [];
+        this.timeScale = 1; // simulated seconds per real second (replay playback speed)
           // Level management
         this.currentLevelIndex = 0;
         this.levels = [];
         this.customLevel = null;
         this.levelLoader = new LevelLoader();
         this.saveSystem = new SaveSystem();
+        this.levelTransitions = new LevelTransitionManager(this);
+        this.cutscenes = new CutscenePlayer(this);
+        this.worldGraph = new WorldGraph();
+        this.mapScreen = new MapScreen(this);
+        this.replays = new ReplaySystem(this);
+        this.speedrun = new SpeedrunTimer(this);
         
         // Player reference
         this.player = null;
@@ -48,6 +67,7 @@ class Game {
             sfxVolume: 0.8,
             showFPS: false,
             debugMode: false,
+            timestep: 'interpolated', // 'interpolated', 'fixed' (no render interpolation) or 'variable'
             pixelArt: true,
             fullscreen: false
         };
@@ -130,6 +150,9 @@ class Game {
             this.audioManager.loadSound('attack', 'assets/sounds/attack.wav'),
             this.audioManager.loadSound('powerUp', 'assets/sounds/powerup.wav'),
             this.audioManager.loadSound('hurt', 'assets/sounds/hurt.wav'),
+            this.audioManager.loadAmbientSound('rain', 'assets/sounds/ambient/rain.mp3'),
+            this.audioManager.loadAmbientSound('snow', 'assets/sounds/ambient/snow.mp3'),
+            this.audioManager.loadAmbientSound('wind', 'assets/sounds/ambient/wind.mp3'),
             this.audioManager.loadMusic('level1', 'assets/sounds/music/level1.mp3'),
             this.audioManager.loadMusic('menu', 'assets/sounds/music/menu.mp3')
         ];
@@ -190,6 +213,29 @@ class Game {
             // Create a minimal test level
             this.createFallbackLevel();
         }
+        
+        this.buildWorldGraph();
+        
+        // Default speedrun route: every room in order
+        if (this.levels.length > 1 && !SpeedrunTimer.has('all_rooms')) {
+            SpeedrunTimer.define('all_rooms', SpeedrunTimer.routeFromLevels(this.levels));
+        }
+    }
+    
+    buildWorldGraph() {
+        this.worldGraph = new WorldGraph();
+        
+        for (const level of this.levels) {
+            this.worldGraph.addRoom(level.id, level.data);
+        }
+        
+        const result = this.worldGraph.validate();
+        for (const error of result.errors) {
+            console.error('World graph:', error);
+        }
+        for (const warning of result.warnings) {
+            console.warn('World graph:', warning);
+        }
     }
     
     createFallbackLevel() {
@@ -280,6 +326,12 @@ class Game {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Replay recording and playback (F5-F8, plus speed/scrub keys while a replay plays)
+            if (this.replays.handleKey(e.key)) {
+                e.preventDefault();
+                return;
+            }
+            
             switch (e.key) {
                 case 'F11':
                     e.preventDefault();
@@ -293,8 +345,63 @@ class Game {
                     e.preventDefault();
                     this.toggleFPSDisplay();
                     break;
+                case 'F3':
+                    e.preventDefault();
+                    this.cycleTimestepMode();
+                    break;
+                case 'F9':
+                    e.preventDefault();
+                    this.speedrun.toggle();
+                    break;
+                case 'F10':
+                    e.preventDefault();
+                    this.speedrun.cycleRoute();
+                    break;
+                case '+':
+                case '=':
+                    if (this.mapScreen.visible) this.mapScreen.zoomBy(1.25);
+                    break;
+                case '-':
+                    if (this.mapScreen.visible) this.mapScreen.zoomBy(0.8);
+                    break;
             }
         });
+        
+        // Mouse wheel zooms the map screen
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.mapScreen.visible) return;
+            e.preventDefault();
+            this.mapScreen.zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
+        
+        // Keep the explored map and object states saved at checkpoints and room changes
+        // (not while a replay plays: that run isn't the player's)
+        this.world.addEventListener('checkpointActivated', () => {
+            if (this.replays.playing) return;
+            this.saveExploredMap();
+            this.saveObjectStates();
+        });
+        this.world.addEventListener('transitionStart', () => {
+            if (this.replays.playing) return;
+            this.saveExploredMap();
+            this.saveObjectStates();
+        });
+        
+        // Speedrun splits on entering rooms and activating checkpoints
+        this.world.addEventListener('levelLoaded', () => {
+            this.speedrun.reachRoom(this.world.levelId);
+        });
+        this.world.addEventListener('checkpointActivated', (data) => {
+            this.speedrun.reachCheckpoint(data.checkpoint);
+        });
+        
+        // Boss defeats and their rewards are saved right away
+        this.world.addEventListener('bossDefeated', (data) => {
+            if (this.replays.playing) return;
+            this.saveSystem.defeatBoss(data.key, data.rewardAbility);
+            this.saveObjectStates();
+            this.showNotification(`${data.boss.name} defeated!`, 3000, '#FFD700');
+        });
     }
     
     setupUI() {
@@ -337,42 +444,113 @@ class Game {
         if (!this.running) return;
         
         const currentTime = performance.now();
-        this.deltaTime = (currentTime - this.lastFrameTime) / 1000; // Convert to seconds
+        const frameTime = Math.min((currentTime - this.lastFrameTime) / 1000, this.maxFrameTime); // Convert to seconds
         this.lastFrameTime = currentTime;
         
-        // Cap delta time to prevent large jumps
-        this.deltaTime = Math.min(this.deltaTime, 1/30); // Max 30 FPS
+        if (this.settings.timestep === 'variable') {
+            // One update per frame; cap delta time to prevent large jumps
+            this.deltaTime = Math.min(frameTime, 1/30); // Max 30 FPS
+            this.update();
+            this.gameTime += this.deltaTime;
+            this.stepsThisFrame = 1;
+            this.interpolationAlpha = 1;
+        } else {
+            this.runFixedSteps(frameTime);
+        }
         
-        this.update();
         this.render();
         
         this.frameCount++;
-        this.gameTime += this.deltaTime;
         
         // Update performance stats
-        this.updatePerformanceStats();
+        this.updatePerformanceStats(frameTime);
         
         // Continue game loop
         requestAnimationFrame(() => this.gameLoop());
     }
     
+    runFixedSteps(frameTime) {
+        this.accumulator += frameTime * this.timeScale;
+        this.deltaTime = this.fixedDeltaTime;
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedDeltaTime) {
+            if (steps >= this.maxStepsPerFrame) {
+                this.accumulator = 0;
+                break;
+            }
+            
+            this.savePreviousPositions();
+            this.update();
+            this.gameTime += this.fixedDeltaTime;
+            this.accumulator -= this.fixedDeltaTime;
+            steps++;
+        }
+        
+        this.stepsThisFrame = steps;
+        this.interpolationAlpha = this.accumulator / this.fixedDeltaTime;
+    }
+    
+    // Render interpolation
+    savePreviousPositions() {
+        for (const obj of [...this.world.gameObjects, this.camera]) {
+            if (obj.previousPosition) {
+                obj.previousPosition.setFromVector(obj.position);
+            } else {
+                obj.previousPosition = obj.position.copy();
+            }
+        }
+    }
+    
+    // Moves objects and the camera to where they were `alpha` of the way through the current step, for drawing only
+    applyInterpolation(alpha) {
+        this.interpolatedObjects.length = 0;
+        
+        for (const obj of [...this.world.gameObjects, this.camera]) {
+            // Objects spawned this step have nothing to blend from; teleports (respawns, room changes) snap
+            if (!obj.previousPosition || obj.previousPosition.distanceSquared(obj.position) > 128 * 128) continue;
+            
+            if (obj.simulatedPosition) {
+                obj.simulatedPosition.setFromVector(obj.position);
+            } else {
+                obj.simulatedPosition = obj.position.copy();
+            }
+            obj.position.setFromVector(obj.previousPosition.lerp(obj.simulatedPosition, alpha));
+            this.interpolatedObjects.push(obj);
+        }
+    }
+    
+    restoreInterpolation() {
+        for (const obj of this.interpolatedObjects) {
+            obj.position.setFromVector(obj.simulatedPosition);
+        }
+        this.interpolatedObjects.length = 0;
+    }
+    
     update() {
         if (this.paused || this.gameState === 'menu') {
+            this.mapScreen.update(this.deltaTime, this.inputManager);
             this.inputManager.update();
             return;
         }
         
-        // Update input
-        this.inputManager.update();
+        // Record this tick's input, or feed in the replay's
+        this.replays.beforeTick();
         
-        // Update world
-        this.world.update(this.deltaTime);
-        
-        // Update physics
-        this.physics.update(this.world, this.deltaTime);
+        // The world is frozen while a level transition plays
+        if (!this.levelTransitions.active) {
+            // Advance the running cutscene (before the world, so scripted walks move this frame)
+            this.cutscenes.update(this.deltaTime);
+            
+            // Update world
+            this.world.update(this.deltaTime);
+            
+            // Update physics
+            this.physics.update(this.world, this.deltaTime);
+        }
         
-        // Update camera
-        if (this.player) {
+        // Update camera (only retarget, so scripted pans can stop following)
+        if (this.player && this.camera.followTarget !== this.player) {
             this.camera.follow(this.player);
         }
         this.camera.update(this.deltaTime);
@@ -385,8 +563,25 @@ class Game {
         
         // Check game state changes
         this.checkGameStateChanges();
+        
+        // Run time and ghost samples
+        this.speedrun.update(this.deltaTime);
+        
+        this.replays.afterTick();
+        
+        // Clear this frame's pressed/released keys once everything has read them
+        this.inputManager.update();
     }
       render() {
+        // Draw between the last two fixed steps; the simulated positions are put back afterwards
+        const interpolate = this.settings.timestep === 'interpolated';
+        if (interpolate) {
+            this.applyInterpolation(this.interpolationAlpha);
+        }
+        
+        // Speedrun ghost, held back as far as interpolation holds back everything else
+        this.renderer.ghost = this.speedrun.getGhostPose(interpolate ? (1 - this.interpolationAlpha) * this.fixedDeltaTime : 0);
+        
         // Clear and setup renderer
         this.renderer.clear();
         
@@ -404,6 +599,10 @@ class Game {
         // Update renderer stats
         this.performance.drawCalls = this.renderer.stats.drawCalls;
         this.performance.objectCount = this.renderer.stats.objectsRendered;
+        
+        if (interpolate) {
+            this.restoreInterpolation();
+        }
     }
     
     updateUI(deltaTime) {
@@ -431,6 +630,8 @@ class Game {
         // Render game UI
         if (this.gameState === 'playing') {
             this.renderGameUI(ctx);
+            this.cutscenes.render(ctx, this.canvas.width, this.canvas.height);
+            this.world.dialogue.render(ctx, this.canvas.width, this.canvas.height);
         }
         
         // Render menus
@@ -440,6 +641,13 @@ class Game {
             }
         }
         
+        // Render map screen
+        this.mapScreen.render(ctx, this.canvas.width, this.canvas.height);
+        
+        // Render replay status and speedrun splits
+        this.replays.render(ctx, this.canvas.width, this.canvas.height);
+        this.speedrun.render(ctx, this.canvas.width, this.canvas.height);
+        
         // Render notifications
         this.renderNotifications(ctx);
         
@@ -491,6 +699,85 @@ class Game {
         
         // Ability icons
         this.renderAbilityIcons(ctx);
+        
+        // Weapon energy/ammo
+        if (this.player.hasAbility('rangedAttack')) {
+            this.renderWeaponUI(ctx, this.player.weapons);
+        }
+        
+        // Boss health bar
+        if (this.world.activeBoss) {
+            this.renderBossHealthBar(ctx, this.world.activeBoss);
+        }
+    }
+    
+    renderBossHealthBar(ctx, boss) {
+        const barWidth = Math.min(600, this.canvas.width - 80);
+        const barHeight = 16;
+        const barX = (this.canvas.width - barWidth) / 2;
+        const barY = this.canvas.height - 50;
+        
+        ctx.save();
+        
+        // Name
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(boss.name, this.canvas.width / 2, barY - 8);
+        
+        // Bar
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+        
+        const healthPercent = Math.max(0, boss.health / boss.maxHealth);
+        ctx.fillStyle = boss.isInvulnerable() ? '#888888' : boss.color;
+        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
+        
+        // Phase thresholds
+        ctx.fillStyle = '#FFFFFF';
+        for (const phase of boss.phases) {
+            if (phase.threshold < 1) {
+                ctx.fillRect(barX + barWidth * phase.threshold - 1, barY, 2, barHeight);
+            }
+        }
+        
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(barX, barY, barWidth, barHeight);
+        
+        ctx.restore();
+    }
+    
+    renderWeaponUI(ctx, weapons) {
+        const definition = weapons.getDefinition();
+        if (!definition) return;
+        
+        const barWidth = 120;
+        const barHeight = 8;
+        const x = 20;
+        const y = 120;
+        
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'left';
+        
+        const ammo = definition.maxAmmo ? ` ${weapons.ammo.get(weapons.current) || 0}/${definition.maxAmmo}` : '';
+        ctx.fillText(`${definition.name || weapons.current}${ammo}`, x, y);
+        
+        // Energy
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(x, y + 8, barWidth, barHeight);
+        ctx.fillStyle = '#4FC3F7';
+        ctx.fillRect(x, y + 8, barWidth * weapons.energy / weapons.maxEnergy, barHeight);
+        
+        // Charge
+        if (weapons.charging) {
+            ctx.fillStyle = weapons.getChargeLevel() >= 1 ? '#FFD700' : '#FFFFFF';
+            ctx.fillRect(x, y + 20, barWidth * weapons.getChargeLevel(), 4);
+        }
+        
+        ctx.restore();
     }
     
     renderAbilityIcons(ctx) {
@@ -580,6 +867,7 @@ class Game {
             `Draw Calls: ${this.performance.drawCalls}`,
             `Frame Time: ${this.performance.frameTime.toFixed(2)}ms`,
             `Game Time: ${this.gameTime.toFixed(1)}s`,
+            `Timestep: ${this.getTimestepLabel()}`,
             `State: ${this.gameState}`,
             `Level: ${this.world.currentLevel || 'None'}`
         ];
@@ -616,10 +904,12 @@ class Game {
         }
     }
     
-    updatePerformanceStats() {
+    updatePerformanceStats(frameTime) {
         // Update FPS (smoothed over several frames)
-        this.performance.fps = this.performance.fps * 0.95 + (1 / this.deltaTime) * 0.05;
-        this.performance.frameTime = this.deltaTime * 1000;
+        if (frameTime > 0) {
+            this.performance.fps = this.performance.fps * 0.95 + (1 / frameTime) * 0.05;
+        }
+        this.performance.frameTime = frameTime * 1000;
     }
     
     checkGameStateChanges() {
@@ -642,9 +932,11 @@ class Game {
       startLevel(levelIndex) {
         // Use custom level if available, otherwise use level from array
         let levelData;
+        let levelId;
         
         if (this.customLevel) {
             levelData = this.customLevel;
+            levelId = levelData.metadata.id || 'custom';
             console.log(`Starting custom level: ${levelData.metadata.name}`);
         } else {
             if (levelIndex < 0 || levelIndex >= this.levels.length) return;
@@ -652,15 +944,28 @@ class Game {
             this.currentLevelIndex = levelIndex;
             const level = this.levels[levelIndex];
             levelData = level.data;
+            levelId = level.id;
             console.log(`Starting level: ${level.name}`);
         }
         
         // Load level into world
-        this.world.loadLevel(levelData);
+        this.enterLevel(levelData, levelId);
         
         // Create player at spawn point
         this.createPlayer();
         
+        this.gameState = 'playing';
+    }
+    
+    // Load a level into the world and apply its settings, leaving the player alone
+    enterLevel(levelData, levelId) {
+        this.world.loadLevel(levelData, levelId);
+        
+        const index = this.levels.findIndex(level => level.id === levelId);
+        if (index !== -1) {
+            this.currentLevelIndex = index;
+        }
+        
         // Set camera bounds based on level size
         const pixelWidth = levelData.properties.width * levelData.properties.tileSize;
         const pixelHeight = levelData.properties.height * levelData.properties.tileSize;
@@ -672,6 +977,12 @@ class Game {
             this.renderer.setBackgroundColor(levelData.properties.backgroundColor);
         }
         
+        // Ambient light and wall shadows (from the world's copy, which runtime tile changes update)
+        this.renderer.lighting.setLevel(this.world.levelData);
+        
+        // Parallax background layers
+        this.renderer.parallax.setLayers(levelData.properties.parallaxLayers);
+        
         // Set physics gravity
         if (levelData.properties.gravity) {
             this.physics.setGravity(0, levelData.properties.gravity);
@@ -681,8 +992,12 @@ class Game {
         if (levelData.properties.music) {
             this.audioManager.playMusic(levelData.properties.music);
         }
-        
-        this.gameState = 'playing';
+    }
+    
+    // Make a built-in level loadable by id through the level loader
+    registerLevel(level) {
+        const data = level.data.toJSON ? level.data.toJSON(true) : JSON.stringify(level.data);
+        this.levelLoader.preloadLevel(level.id, data);
     }
     
     loadCustomLevel(levelData) {
@@ -701,12 +1016,26 @@ class Game {
         // Create new player at spawn point
         const spawn = this.world.playerSpawn;
         this.player = new Player(spawn.x, spawn.y);
+        this.restoreAbilities(this.player);
         this.world.addObject(this.player);
         
         // Set camera target
         this.camera.follow(this.player, true);
     }
     
+    // Abilities unlocked in earlier sessions (boss rewards, etc.)
+    restoreAbilities(player) {
+        const abilities = this.saveSystem.load().abilities || {};
+        
+        for (const [name, unlocked] of Object.entries(abilities)) {
+            const ability = player.abilities.get(name);
+            if (unlocked && ability && !ability.enabled) {
+                ability.enabled = true;
+                ability.level = Math.max(1, ability.level);
+            }
+        }
+    }
+    
     restartLevel() {
         this.startLevel(this.currentLevelIndex);
     }
@@ -731,6 +1060,7 @@ class Game {
     
     resumeGame() {
         if (this.gameState === 'paused') {
+            this.mapScreen.close();
             this.paused = false;
             this.gameState = 'playing';
             this.ui.menus.get('pause').visible = false;
@@ -738,6 +1068,30 @@ class Game {
         }
     }
     
+    // Map screen (opened from the pause menu)
+    openMap() {
+        this.pauseGame();
+        if (this.gameState !== 'paused') return;
+        
+        this.ui.menus.get('pause').visible = false;
+        this.mapScreen.open();
+    }
+    
+    closeMap() {
+        this.mapScreen.close();
+        if (this.gameState === 'paused') {
+            this.ui.menus.get('pause').visible = true;
+        }
+    }
+    
+    toggleMap() {
+        if (this.mapScreen.visible) {
+            this.closeMap();
+        } else {
+            this.openMap();
+        }
+    }
+    
     gameOver() {
         this.gameState = 'gameOver';
         this.ui.menus.get('gameOver').visible = true;
@@ -752,6 +1106,9 @@ class Game {
     
     // Save system
     saveGame() {
+        // The replayed run isn't the player's
+        if (this.replays.playing) return;
+        
         const saveData = {
             progress: {
                 currentLevel: this.currentLevelIndex,
@@ -765,9 +1122,26 @@ class Game {
         };
         
         localStorage.setItem('echoGenesisSave', JSON.stringify(saveData));
+        this.saveExploredMap();
+        this.saveObjectStates();
         this.showNotification('Game saved!');
     }
     
+    saveExploredMap() {
+        const autoMap = this.world.autoMap;
+        if (!autoMap.dirty) return;
+        
+        this.saveSystem.setExploredMaps(autoMap.toJSON());
+        autoMap.dirty = false;
+    }
+    
+    saveObjectStates() {
+        if (!this.world.persistentObjectsDirty) return;
+        
+        this.saveSystem.setObjectStates(this.world.serializeObjectStates());
+        this.world.persistentObjectsDirty = false;
+    }
+    
     loadGame() {
         try {
             const saveData = JSON.parse(localStorage.getItem('echoGenesisSave'));
@@ -809,6 +1183,10 @@ class Game {
         } catch (error) {
             console.warn('No save data found');
         }
+        
+        // Restore explored map areas and per-room object states
+        this.world.autoMap.load(this.saveSystem.getExploredMaps());
+        this.world.loadObjectStates(this.saveSystem.getObjectStates());
     }
     
     // Utility methods
@@ -857,6 +1235,23 @@ class Game {
         this.settings.showFPS = !this.settings.showFPS;
     }
     
+    // Debug: compare interpolated fixed steps, raw fixed steps and the old variable timestep
+    cycleTimestepMode() {
+        // Replays only reproduce on fixed steps
+        const modes = this.replays.mode === 'idle' ? ['interpolated', 'fixed', 'variable'] : ['interpolated', 'fixed'];
+        this.settings.timestep = modes[(modes.indexOf(this.settings.timestep) + 1) % modes.length];
+        this.accumulator = 0;
+        this.showNotification(`Timestep: ${this.getTimestepLabel()}`, 1500);
+    }
+    
+    getTimestepLabel() {
+        if (this.settings.timestep === 'variable') return 'variable';
+        
+        const rate = Math.round(1 / this.fixedDeltaTime);
+        const steps = `${this.stepsThisFrame} step${this.stepsThisFrame === 1 ? '' : 's'}`;
+        return `${rate}Hz ${this.settings.timestep === 'interpolated' ? 'interpolated' : 'fixed'} (${steps})`;
+    }
+    
     // Cleanup
     destroy() {
         this.stop();
@@ -14,6 +14,7 @@ class GameObject {
         this.friction = 0.8;
         this.bounciness = 0;
         this.gravityScale = 1;
+        this.carriesRiders = false; // bodies standing on it move with it (see Physics.carryRiders)
         
         // State properties
         this.active = true;
@@ -28,6 +29,9 @@ class GameObject {
         this.opacity = 1;
         this.zIndex = 0;
         
+        // Point light carried by this object (see setLight)
+        this.light = null;
+        
         // Animation properties
         this.sprite = null;
         this.currentFrame = 0;
@@ -87,6 +91,14 @@ class GameObject {
         // Override in subclasses
     }
     
+    onAreaEnter(area) {
+        // Override in subclasses to react to water, wind, damage zones, etc.
+    }
+    
+    onAreaExit(area) {
+        // Override in subclasses
+    }
+    
     updatePhysics(deltaTime) {
         // Apply acceleration to velocity
         this.velocity.addInPlace(this.acceleration.multiply(deltaTime));
@@ -285,6 +297,26 @@ class GameObject {
         return this.tags.has(tag);
     }
     
+    // Lighting
+    setLight(options = {}) {
+        this.light = {
+            radius: 150,
+            color: '#ffffff',
+            intensity: 1,
+            flicker: 0, // 0 = steady, 1 = strong flicker
+            castShadows: true,
+            offsetX: 0,
+            offsetY: 0,
+            enabled: true,
+            ...options
+        };
+        return this.light;
+    }
+    
+    removeLight() {
+        this.light = null;
+    }
+    
     // Force application
     addForce(force) {
         this.acceleration.addInPlace(force.divide(this.mass));
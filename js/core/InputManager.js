@@ -35,6 +35,9 @@ class InputManager {
         // Touch controls for mobile
         this.touchControlsEnabled = false;
         this.virtualButtons = new Map();
+        
+        // Replays drive actions from recorded states instead of the devices (see ReplaySystem)
+        this.actionOverride = null;
     }
     
     setupDefaultInputMap() {
@@ -50,12 +53,15 @@ class InputManager {
         this.inputMap.set('dash', ['ShiftLeft', 'ShiftRight']);
         this.inputMap.set('special', ['KeyZ']);
         this.inputMap.set('interact', ['KeyE']);
+        this.inputMap.set('fire', ['KeyC']);
+        this.inputMap.set('switchWeapon', ['KeyQ']);
         
         // Menu/UI
         this.inputMap.set('pause', ['Escape', 'KeyP']);
         this.inputMap.set('menu', ['Tab']);
         this.inputMap.set('confirm', [' ', 'Enter']);
         this.inputMap.set('cancel', ['Escape']);
+        this.inputMap.set('skip', ['Backspace']); // held to skip cutscenes (kept off confirm, which advances dialogue)
         
         // Debug
         this.inputMap.set('debug', ['F1']);
@@ -167,7 +173,7 @@ class InputManager {
             'KeyA', 'KeyD', 'KeyW', 'KeyS',
             'Space', 'KeyX', 'KeyZ', 'KeyE',
             'ShiftLeft', 'ShiftRight',
-            'Escape', 'KeyP', 'Tab', 'Enter',
+            'Escape', 'KeyP', 'Tab', 'Enter', 'Backspace',
             'F1', 'Backquote'
         ];
         return gameKeys.includes(code);
@@ -276,6 +282,8 @@ class InputManager {
     
     // Action-based input methods
     isActionPressed(action) {
+        if (this.actionOverride) return this.actionOverride.pressed.has(action);
+        
         const mappedKeys = this.inputMap.get(action);
         if (!mappedKeys) return false;
         
@@ -283,6 +291,8 @@ class InputManager {
     }
     
     isActionDown(action) {
+        if (this.actionOverride) return this.actionOverride.down.has(action);
+        
         const mappedKeys = this.inputMap.get(action);
         if (!mappedKeys) return false;
         
@@ -290,12 +300,37 @@ class InputManager {
     }
     
     isActionUp(action) {
+        if (this.actionOverride) return this.actionOverride.up.has(action);
+        
         const mappedKeys = this.inputMap.get(action);
         if (!mappedKeys) return false;
         
         return mappedKeys.some(key => this.isKeyUp(key));
     }
     
+    getActionNames() {
+        return Array.from(this.inputMap.keys());
+    }
+    
+    // Held, pressed-this-frame and released-this-frame actions, as bitmasks over `actions` (at most 31)
+    captureActions(actions) {
+        const state = { pressed: 0, down: 0, up: 0 };
+        
+        actions.forEach((action, index) => {
+            const bit = 1 << index;
+            if (this.isActionPressed(action)) state.pressed |= bit;
+            if (this.isActionDown(action)) state.down |= bit;
+            if (this.isActionUp(action)) state.up |= bit;
+        });
+        
+        return state;
+    }
+    
+    // Answer action queries from `state` ({ pressed, down, up } sets of action names) until cleared with null
+    setActionOverride(state) {
+        this.actionOverride = state;
+    }
+    
     // Movement input helpers
     getMovementVector() {
         const movement = new Vector2(0, 0);
@@ -0,0 +1,160 @@
+/**
+ * LevelTransitionManager - Moves the player between levels for Echo Genesis
+ * Unloads the current room, loads the target through the LevelLoader and plays camera fades/slides
+ */
+class LevelTransitionManager {
+    constructor(game) {
+        this.game = game;
+        
+        this.active = false;
+        this.request = null;
+        
+        // Timing (seconds)
+        this.fadeDuration = 0.35;
+        this.slideDuration = 0.5;
+        
+        // Gap between the arrival door and the player
+        this.spawnPadding = 4;
+    }
+    
+    start(request) {
+        if (this.active) return;
+        
+        this.active = true;
+        this.request = request;
+        
+        if (request.type === 'slide') {
+            this.loadTarget();
+        } else {
+            this.game.camera.startFade(1, this.fadeDuration, () => this.loadTarget());
+        }
+    }
+    
+    async loadTarget() {
+        const request = this.request;
+        const game = this.game;
+        const player = game.player;
+        
+        // Carry the player's momentum through the door
+        const carried = player ? {
+            velocity: player.velocity.copy(),
+            facing: player.facingDirection
+        } : null;
+        
+        let levelData;
+        try {
+            levelData = await this.resolveLevel(request.targetLevel);
+        } catch (error) {
+            console.error(`Failed to load level '${request.targetLevel}':`, error);
+            game.showNotification('Failed to load area!', 3000, '#F44336');
+            this.finish();
+            return;
+        }
+        
+        game.enterLevel(levelData, request.targetLevel);
+        
+        if (player) {
+            this.placePlayer(player, request.targetSpawn);
+            
+            player.velocity.setFromVector(carried.velocity);
+            player.facingDirection = carried.facing;
+            player.scale.x = carried.facing;
+            
+            game.world.addObject(player);
+            game.camera.follow(player, true);
+        }
+        
+        if (request.type === 'slide') {
+            this.slideIn(request.direction);
+        } else {
+            game.camera.startFade(0, this.fadeDuration, () => this.finish());
+        }
+    }
+    
+    resolveLevel(levelId) {
+        const loader = this.game.levelLoader;
+        const entry = this.game.levels.find(level => level.id === levelId);
+        
+        // Built-in levels are registered with the loader by id
+        if (entry && !loader.preloadedLevels.has(levelId)) {
+            this.game.registerLevel(entry);
+        }
+        
+        return loader.loadLevel(levelId);
+    }
+    
+    placePlayer(player, spawnName) {
+        const world = this.game.world;
+        const spawn = world.findSpawnPoint(spawnName);
+        
+        if (!spawn) {
+            if (spawnName) {
+                console.warn(`Spawn '${spawnName}' not found, using level spawn`);
+            }
+            player.position.setFromVector(world.playerSpawn);
+            return;
+        }
+        
+        if (spawn.type === 'player_spawn') {
+            player.position.set(spawn.x, spawn.y);
+            return;
+        }
+        
+        // Arriving through a door: step out of it, away from the edge it leads to
+        const props = spawn.properties || {};
+        const width = props.width || 32;
+        const height = props.height || 64;
+        const padding = this.spawnPadding;
+        
+        let x = spawn.x + (width - player.size.x) / 2;
+        let y = spawn.y + height - player.size.y;
+        
+        switch (props.direction) {
+            case 'left':
+                x = spawn.x + width + padding;
+                break;
+            case 'right':
+                x = spawn.x - player.size.x - padding;
+                break;
+            case 'up':
+                y = spawn.y + height + padding;
+                break;
+            case 'down':
+                y = spawn.y - player.size.y - padding;
+                break;
+        }
+        
+        player.position.set(x, y);
+    }
+    
+    slideIn(direction) {
+        const camera = this.game.camera;
+        const target = camera.position.copy();
+        const offsets = {
+            left: new Vector2(camera.width, 0),
+            right: new Vector2(-camera.width, 0),
+            up: new Vector2(0, camera.height),
+            down: new Vector2(0, -camera.height)
+        };
+        
+        // Start a screen away from where the player came from
+        camera.position.addInPlace(offsets[direction] || offsets.right);
+        camera.startTransition('slide', target, this.slideDuration, () => this.finish());
+    }
+    
+    finish() {
+        const camera = this.game.camera;
+        if (camera.fadeAlpha > 0 && !camera.transition.active) {
+            camera.fadeAlpha = 0;
+        }
+        
+        this.active = false;
+        this.request = null;
+        this.game.world.completeLevelTransition();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LevelTransitionManager;
+}
@@ -0,0 +1,286 @@
+/**
+ * LightingSystem - Dynamic 2D lighting for Echo Genesis
+ * Darkens the scene to the level's ambient light and cuts point lights out of it, with shadows cast by collision tiles
+ */
+class LightingSystem {
+    constructor() {
+        this.enabled = true;
+        
+        // Ambient light: 1 is fully lit (lighting pass skipped), 0 is pitch black
+        this.ambientLight = 1.0;
+        this.ambientColor = '#000000';
+        
+        // Strength of the colored glow lights add on top of the scene
+        this.glowStrength = 0.35;
+        
+        // Lights beyond this count are ignored (closest to the camera first)
+        this.maxLights = 24;
+        
+        // Shadow-casting wall edges built from the collision layer ({ x1, y1, x2, y2 })
+        this.occluders = [];
+        
+        // Offscreen darkness map, composited over the scene each frame
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+    }
+    
+    setLevel(levelData) {
+        const properties = levelData.properties;
+        
+        this.ambientLight = properties.ambientLight !== undefined ? properties.ambientLight : 1.0;
+        this.ambientColor = properties.ambientColor || '#000000';
+        
+        this.buildOccluders(
+            levelData.layers.collision || [],
+            properties.width,
+            properties.height,
+            properties.tileSize,
+            TileDefinitions.forLevel(levelData)
+        );
+    }
+    
+    // Merge exposed tile edges into long segments so each light tests as few as possible
+    buildOccluders(collision, width, height, tileSize, tiles) {
+        this.occluders = [];
+        
+        // Outside the level counts as solid, so border walls don't cast inward edges
+        const isSolid = (x, y) => {
+            if (x < 0 || y < 0 || x >= width || y >= height) return true;
+            return tiles.isSolid(collision[y * width + x]);
+        };
+        
+        // Horizontal edges (top and bottom faces)
+        for (let y = 0; y < height; y++) {
+            for (const side of [-1, 1]) {
+                let runStart = -1;
+                
+                for (let x = 0; x <= width; x++) {
+                    const exposed = x < width && isSolid(x, y) && !isSolid(x, y + side);
+                    
+                    if (exposed && runStart === -1) {
+                        runStart = x;
+                    } else if (!exposed && runStart !== -1) {
+                        const edgeY = (side === -1 ? y : y + 1) * tileSize;
+                        this.occluders.push({ x1: runStart * tileSize, y1: edgeY, x2: x * tileSize, y2: edgeY });
+                        runStart = -1;
+                    }
+                }
+            }
+        }
+        
+        // Vertical edges (left and right faces)
+        for (let x = 0; x < width; x++) {
+            for (const side of [-1, 1]) {
+                let runStart = -1;
+                
+                for (let y = 0; y <= height; y++) {
+                    const exposed = y < height && isSolid(x, y) && !isSolid(x + side, y);
+                    
+                    if (exposed && runStart === -1) {
+                        runStart = y;
+                    } else if (!exposed && runStart !== -1) {
+                        const edgeX = (side === -1 ? x : x + 1) * tileSize;
+                        this.occluders.push({ x1: edgeX, y1: runStart * tileSize, x2: edgeX, y2: y * tileSize });
+                        runStart = -1;
+                    }
+                }
+            }
+        }
+    }
+    
+    // Active lights attached to game objects, with their world position
+    getLights(world, view) {
+        const lights = [];
+        
+        for (const obj of world.gameObjects) {
+            const light = obj.light;
+            if (!light || light.enabled === false || !obj.active || obj.destroyed) continue;
+            
+            const center = obj.getCenter();
+            const x = center.x + (light.offsetX || 0);
+            const y = center.y + (light.offsetY || 0);
+            
+            // Skip lights that can't reach the screen
+            if (x + light.radius < view.x || x - light.radius > view.x + view.width ||
+                y + light.radius < view.y || y - light.radius > view.y + view.height) {
+                continue;
+            }
+            
+            lights.push({ x, y, light });
+        }
+        
+        if (lights.length > this.maxLights) {
+            const cx = view.x + view.width / 2;
+            const cy = view.y + view.height / 2;
+            lights.sort((a, b) => Math.hypot(a.x - cx, a.y - cy) - Math.hypot(b.x - cx, b.y - cy));
+            lights.length = this.maxLights;
+        }
+        
+        return lights;
+    }
+    
+    render(ctx, world, camera) {
+        if (!this.enabled || !world || this.ambientLight >= 1) return;
+        
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        
+        // World-to-screen transform, matching Renderer.applyCameraTransform
+        const zoom = camera ? camera.zoom : 1;
+        const offsetX = camera ? -camera.position.x * zoom + camera.shake.offset.x : 0;
+        const offsetY = camera ? -camera.position.y * zoom + camera.shake.offset.y : 0;
+        const view = {
+            x: -offsetX / zoom,
+            y: -offsetY / zoom,
+            width: width / zoom,
+            height: height / zoom
+        };
+        
+        const lights = this.getLights(world, view);
+        // Flicker runs on game time, so it holds still while paused and plays back the same in replays
+        const time = world.worldTime;
+        const lctx = this.context;
+        
+        // Darkness
+        lctx.setTransform(1, 0, 0, 1, 0, 0);
+        lctx.globalCompositeOperation = 'source-over';
+        lctx.clearRect(0, 0, width, height);
+        lctx.globalAlpha = 1 - Math.max(0, this.ambientLight);
+        lctx.fillStyle = this.ambientColor;
+        lctx.fillRect(0, 0, width, height);
+        lctx.globalAlpha = 1;
+        
+        // Cut each light out of the darkness
+        lctx.setTransform(zoom, 0, 0, zoom, offsetX, offsetY);
+        lctx.globalCompositeOperation = 'destination-out';
+        
+        const shapes = [];
+        for (const { x, y, light } of lights) {
+            const flicker = light.flicker ? 1 - light.flicker * (0.5 + 0.5 * Math.sin(time * 13 + x * 0.1) * Math.sin(time * 7.3 + y * 0.1)) : 1;
+            const radius = light.radius * flicker;
+            const polygon = light.castShadows !== false ? this.getVisibilityPolygon(x, y, radius) : null;
+            shapes.push({ x, y, radius, polygon, light });
+            
+            lctx.save();
+            this.clipTo(lctx, polygon);
+            
+            const gradient = lctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, `rgba(0, 0, 0, ${Math.min(1, light.intensity)})`);
+            gradient.addColorStop(0.6, `rgba(0, 0, 0, ${Math.min(1, light.intensity) * 0.6})`);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            lctx.fillStyle = gradient;
+            lctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+            lctx.restore();
+        }
+        
+        // Composite the darkness over the scene
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(this.canvas, 0, 0);
+        
+        // Colored glow on top
+        ctx.setTransform(zoom, 0, 0, zoom, offsetX, offsetY);
+        ctx.globalCompositeOperation = 'lighter';
+        for (const { x, y, radius, polygon, light } of shapes) {
+            if (!light.color || light.color.toLowerCase() === '#ffffff') continue;
+            
+            ctx.save();
+            this.clipTo(ctx, polygon);
+            ctx.globalAlpha = this.glowStrength * Math.min(1, light.intensity);
+            
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, light.color);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+    
+    clipTo(context, polygon) {
+        if (!polygon || polygon.length < 3) return;
+        
+        context.beginPath();
+        context.moveTo(polygon[0].x, polygon[0].y);
+        for (let i = 1; i < polygon.length; i++) {
+            context.lineTo(polygon[i].x, polygon[i].y);
+        }
+        context.closePath();
+        context.clip();
+    }
+    
+    // Area visible from (x, y) within radius: cast rays at every nearby wall corner
+    getVisibilityPolygon(x, y, radius) {
+        const left = x - radius;
+        const right = x + radius;
+        const top = y - radius;
+        const bottom = y + radius;
+        
+        const segments = this.occluders.filter(s =>
+            Math.max(s.x1, s.x2) >= left && Math.min(s.x1, s.x2) <= right &&
+            Math.max(s.y1, s.y2) >= top && Math.min(s.y1, s.y2) <= bottom
+        );
+        
+        // No walls nearby: no clipping needed
+        if (segments.length === 0) return null;
+        
+        // The light's bounding square stops rays that hit nothing
+        segments.push(
+            { x1: left, y1: top, x2: right, y2: top },
+            { x1: right, y1: top, x2: right, y2: bottom },
+            { x1: right, y1: bottom, x2: left, y2: bottom },
+            { x1: left, y1: bottom, x2: left, y2: top }
+        );
+        
+        const angles = [];
+        for (const s of segments) {
+            for (const [px, py] of [[s.x1, s.y1], [s.x2, s.y2]]) {
+                const angle = Math.atan2(py - y, px - x);
+                angles.push(angle - 0.0001, angle, angle + 0.0001);
+            }
+        }
+        
+        const points = [];
+        for (const angle of angles) {
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            let closest = Infinity;
+            
+            for (const s of segments) {
+                const t = this.raySegmentDistance(x, y, dx, dy, s);
+                if (t < closest) closest = t;
+            }
+            
+            if (closest !== Infinity) {
+                points.push({ x: x + dx * closest, y: y + dy * closest, angle });
+            }
+        }
+        
+        points.sort((a, b) => a.angle - b.angle);
+        return points;
+    }
+    
+    raySegmentDistance(x, y, dx, dy, segment) {
+        const sx = segment.x2 - segment.x1;
+        const sy = segment.y2 - segment.y1;
+        const denominator = dx * sy - dy * sx;
+        if (Math.abs(denominator) < 1e-9) return Infinity;
+        
+        const ax = segment.x1 - x;
+        const ay = segment.y1 - y;
+        const t = (ax * sy - ay * sx) / denominator;
+        const u = (ax * dy - ay * dx) / denominator;
+        
+        return t >= 0 && u >= 0 && u <= 1 ? t : Infinity;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LightingSystem;
+}
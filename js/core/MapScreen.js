@@ -0,0 +1,267 @@
+/**
+ * MapScreen - Zoomable pause-screen map for Echo Genesis
+ * Draws explored rooms, the player's position, checkpoints and item markers
+ */
+class MapScreen {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        
+        // View settings (scale is screen pixels per world pixel at zoom 1)
+        this.baseScale = 0.15;
+        this.zoom = 1.0;
+        this.minZoom = 0.25;
+        this.maxZoom = 4.0;
+        this.panSpeed = 400; // screen pixels per second
+        this.center = new Vector2(0, 0);
+        
+        // Colors
+        this.colors = {
+            background: 'rgba(5, 10, 25, 0.92)',
+            wall: [120, 160, 220],
+            floor: [30, 45, 80],
+            platform: [80, 110, 165], // one-way platforms and slopes
+            outline: '#4a6fa5',
+            currentOutline: '#FFD700',
+            player: '#FF4444',
+            checkpoint: '#44FFAA',
+            item: '#FFD700',
+            collectedItem: '#666666'
+        };
+        
+        // Room images are rebuilt every time the map opens
+        this.roomImages = new Map();
+        this.blinkTimer = 0;
+    }
+    
+    open() {
+        this.visible = true;
+        this.roomImages.clear();
+        this.centerOnPlayer();
+    }
+    
+    close() {
+        this.visible = false;
+    }
+    
+    toggle() {
+        if (this.visible) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    zoomBy(factor) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+    }
+    
+    update(deltaTime, input) {
+        if (!this.visible) return;
+        
+        this.blinkTimer += deltaTime;
+        
+        // Pan with the movement keys
+        const scale = this.baseScale * this.zoom;
+        const panX = input.getMovementAxis('horizontal');
+        const panY = input.getMovementAxis('vertical');
+        this.center.x += panX * this.panSpeed * deltaTime / scale;
+        this.center.y += panY * this.panSpeed * deltaTime / scale;
+    }
+    
+    centerOnPlayer() {
+        const world = this.game.world;
+        const player = this.game.player;
+        const rect = this.getRoomRect(world.levelId, world.levelData);
+        
+        if (player && rect) {
+            const center = player.getCenter();
+            this.center.set(rect.x + center.x, rect.y + center.y);
+        }
+    }
+    
+    // Rooms to draw: every visited room in the world graph, plus the current level
+    getRooms() {
+        const world = this.game.world;
+        const autoMap = world.autoMap;
+        const rooms = [];
+        
+        if (this.game.worldGraph) {
+            for (const room of this.game.worldGraph.rooms.values()) {
+                if (room.id !== world.levelId && autoMap.isRoomVisited(room.id)) {
+                    rooms.push({ id: room.id, levelData: room.level });
+                }
+            }
+        }
+        
+        if (world.levelData) {
+            rooms.push({ id: world.levelId, levelData: world.levelData });
+        }
+        
+        return rooms;
+    }
+    
+    getRoomRect(levelId, levelData) {
+        const graphRect = this.game.worldGraph ? this.game.worldGraph.getRoomCoordinates(levelId) : null;
+        if (graphRect) return graphRect;
+        if (!levelData) return null;
+        
+        return {
+            x: 0,
+            y: 0,
+            width: levelData.properties.width * levelData.properties.tileSize,
+            height: levelData.properties.height * levelData.properties.tileSize
+        };
+    }
+    
+    // One pixel per tile: walls, platforms and explored floor, unexplored left transparent
+    buildRoomImage(levelId, levelData) {
+        const autoMap = this.game.world.autoMap;
+        const width = levelData.properties.width;
+        const height = levelData.properties.height;
+        const collision = levelData.layers.collision || [];
+        const tiles = TileDefinitions.forLevel(levelData);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!autoMap.isRevealed(levelId, x, y)) continue;
+                
+                // Ladders, water and other passable tiles are open space
+                const tileId = collision[y * width + x];
+                const color = tiles.isSolid(tileId) ? this.colors.wall :
+                    tiles.isSupport(tileId) ? this.colors.platform : this.colors.floor;
+                const offset = (y * width + x) * 4;
+                image.data[offset] = color[0];
+                image.data[offset + 1] = color[1];
+                image.data[offset + 2] = color[2];
+                image.data[offset + 3] = 255;
+            }
+        }
+        
+        context.putImageData(image, 0, 0);
+        return canvas;
+    }
+    
+    render(ctx, width, height) {
+        if (!this.visible) return;
+        
+        const world = this.game.world;
+        const scale = this.baseScale * this.zoom;
+        const toScreenX = (x) => width / 2 + (x - this.center.x) * scale;
+        const toScreenY = (y) => height / 2 + (y - this.center.y) * scale;
+        
+        ctx.save();
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.imageSmoothingEnabled = false;
+        
+        for (const room of this.getRooms()) {
+            const rect = this.getRoomRect(room.id, room.levelData);
+            if (!rect) continue;
+            
+            if (!this.roomImages.has(room.id)) {
+                this.roomImages.set(room.id, this.buildRoomImage(room.id, room.levelData));
+            }
+            
+            const x = toScreenX(rect.x);
+            const y = toScreenY(rect.y);
+            const w = rect.width * scale;
+            const h = rect.height * scale;
+            
+            ctx.drawImage(this.roomImages.get(room.id), x, y, w, h);
+            
+            // Room outline
+            ctx.strokeStyle = room.id === world.levelId ? this.colors.currentOutline : this.colors.outline;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, w, h);
+            
+            this.renderMarkers(ctx, room, rect, scale, toScreenX, toScreenY);
+        }
+        
+        // Current position (blinking)
+        const player = this.game.player;
+        const currentRect = this.getRoomRect(world.levelId, world.levelData);
+        if (player && currentRect && Math.floor(this.blinkTimer * 3) % 2 === 0) {
+            const center = player.getCenter();
+            ctx.fillStyle = this.colors.player;
+            ctx.beginPath();
+            ctx.arc(toScreenX(currentRect.x + center.x), toScreenY(currentRect.y + center.y), 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        this.renderLegend(ctx, width, height);
+        ctx.restore();
+    }
+    
+    renderMarkers(ctx, room, rect, scale, toScreenX, toScreenY) {
+        const world = this.game.world;
+        const autoMap = world.autoMap;
+        const levelData = room.levelData;
+        const tileSize = levelData.properties.tileSize;
+        
+        const isRevealed = (x, y) => autoMap.isRevealed(room.id, Math.floor(x / tileSize), Math.floor(y / tileSize));
+        
+        // Checkpoints
+        const checkpoints = [
+            ...(levelData.checkpoints || []),
+            ...(levelData.layers.entities || []).filter(e => e.type === 'checkpoint')
+        ];
+        
+        ctx.fillStyle = this.colors.checkpoint;
+        for (const checkpoint of checkpoints) {
+            if (!isRevealed(checkpoint.x, checkpoint.y)) continue;
+            
+            const x = toScreenX(rect.x + checkpoint.x);
+            const y = toScreenY(rect.y + checkpoint.y);
+            ctx.beginPath();
+            ctx.moveTo(x, y - 5);
+            ctx.lineTo(x + 5, y);
+            ctx.lineTo(x, y + 5);
+            ctx.lineTo(x - 5, y);
+            ctx.closePath();
+            ctx.fill();
+        }
+        
+        // Items: filled while still out there, hollow once collected
+        const items = (levelData.layers.entities || []).filter(e => e.type === 'powerup' || e.type === 'health');
+        ctx.lineWidth = 2;
+        for (const item of items) {
+            if (!isRevealed(item.x, item.y)) continue;
+            
+            const x = toScreenX(rect.x + item.x);
+            const y = toScreenY(rect.y + item.y);
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            
+            if (world.isItemCollected(item.id)) {
+                ctx.strokeStyle = this.colors.collectedItem;
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = this.colors.item;
+                ctx.fill();
+            }
+        }
+    }
+    
+    renderLegend(ctx, width, height) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('MAP', width / 2, 36);
+        
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText('Arrows: pan   +/- or wheel: zoom   M: close', width / 2, height - 20);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapScreen;
+}
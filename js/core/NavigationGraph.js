@@ -0,0 +1,566 @@
+/**
+ * NavigationGraph - Enemy pathfinding over the level's collision tiles for Echo Genesis
+ * Ground units follow walk, jump and drop links sized to their jump; flying units use grid A*
+ */
+class NavigationGraph {
+    // options.gravity: the world's gravity (pixels per second squared), otherwise the level's or the World default
+    constructor(levelData, options = {}) {
+        const properties = levelData.properties;
+        
+        this.collision = levelData.layers.collision || [];
+        this.tiles = TileDefinitions.forLevel(levelData);
+        this.width = properties.width;
+        this.height = properties.height;
+        this.tileSize = properties.tileSize;
+        this.gravity = options.gravity || properties.gravity || 980;
+        
+        // Ground graphs are built on first use, one per movement profile
+        this.groundGraphs = new Map();
+        this.version = 0;
+        
+        // Searches give up after this many expanded nodes
+        this.maxIterations = this.width * this.height;
+        
+        // Debug overlay colors by link type
+        this.debugColors = {
+            walk: 'rgba(72, 187, 120, 0.8)',
+            jump: 'rgba(236, 201, 75, 0.8)',
+            drop: 'rgba(66, 153, 225, 0.8)',
+            node: 'rgba(255, 255, 255, 0.6)',
+            path: '#ff66cc'
+        };
+    }
+    
+    // Throw away cached graphs after the collision layer changes; they rebuild on the next search
+    invalidate() {
+        this.groundGraphs.clear();
+        this.version++;
+    }
+    
+    // Tiles
+    isSolid(x, y) {
+        // Outside the level counts as solid so paths stay inside it
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return true;
+        return this.tiles.isSolid(this.collision[y * this.width + x]);
+    }
+    
+    // Solid or one-way: something to stand on
+    isSupport(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return true;
+        return this.tiles.isSupport(this.collision[y * this.width + x]);
+    }
+    
+    // Room for a body `width` x `height` tiles whose top-left tile is (x, y)
+    isClear(x, y, width = 1, height = 1) {
+        for (let ty = y; ty < y + height; ty++) {
+            for (let tx = x; tx < x + width; tx++) {
+                if (this.isSolid(tx, ty)) return false;
+            }
+        }
+        return true;
+    }
+    
+    // A ground unit `height` tiles tall can stand with its feet in tile (x, y)
+    isStandable(x, y, height = 1) {
+        return y + 1 < this.height && this.isSupport(x, y + 1) && this.isClear(x, y - height + 1, 1, height);
+    }
+    
+    // Whether a grounded body can keep walking in `direction` without hitting a wall or stepping off a ledge
+    canWalk(bounds, direction, height = 1) {
+        const aheadX = direction > 0 ? bounds.x + bounds.width + 1 : bounds.x - 1;
+        const tileX = Math.floor(aheadX / this.tileSize);
+        const tileY = Math.floor((bounds.y + bounds.height - 1) / this.tileSize);
+        if (this.isStandable(tileX, tileY, height)) return true;
+        
+        // Walking up a slope, the ground ahead is a tile higher
+        const currentX = Math.floor((bounds.x + bounds.width / 2) / this.tileSize);
+        return this.isSlope(currentX, tileY) && this.isStandable(tileX, tileY - 1, height);
+    }
+    
+    isSlope(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+        const properties = this.tiles.get(this.collision[y * this.width + x]);
+        return !!properties && !!properties.slope;
+    }
+    
+    // Profiles
+    // { flying, width, height } body size in tiles, plus for ground units
+    // { jumpHeight, jumpDistance, maxDrop } in tiles
+    profileFor(width, height, options = {}) {
+        const jumpForce = options.jumpForce || 0;
+        const speed = options.speed || 0;
+        const airTime = 2 * jumpForce / this.gravity;
+        
+        return {
+            flying: !!options.flying,
+            width: Math.max(1, Math.ceil(width / this.tileSize)),
+            height: Math.max(1, Math.ceil(height / this.tileSize)),
+            jumpHeight: Math.floor(jumpForce * jumpForce / (2 * this.gravity) / this.tileSize),
+            jumpDistance: Math.floor(speed * airTime / this.tileSize),
+            maxDrop: options.maxDrop !== undefined ? options.maxDrop : 6
+        };
+    }
+    
+    // Ground graph
+    getGroundGraph(profile) {
+        const key = `${profile.height}:${profile.jumpHeight}:${profile.jumpDistance}:${profile.maxDrop}`;
+        
+        if (!this.groundGraphs.has(key)) {
+            this.groundGraphs.set(key, this.buildGroundGraph(profile));
+        }
+        return this.groundGraphs.get(key);
+    }
+    
+    buildGroundGraph(profile) {
+        const nodes = new Map(); // tile index -> { x, y, links: [{ to, type, cost }] }
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.isStandable(x, y, profile.height)) {
+                    nodes.set(y * this.width + x, { x, y, links: [] });
+                }
+            }
+        }
+        
+        for (const node of nodes.values()) {
+            this.linkGroundNode(node, nodes, profile);
+        }
+        
+        return { profile, nodes };
+    }
+    
+    linkGroundNode(node, nodes, profile) {
+        const { x, y } = node;
+        const height = profile.height;
+        const linked = new Set();
+        const addLink = (tx, ty, type, cost) => {
+            const index = ty * this.width + tx;
+            if (!linked.has(index) && nodes.has(index)) {
+                linked.add(index);
+                node.links.push({ to: index, type, cost });
+            }
+        };
+        
+        for (const direction of [-1, 1]) {
+            const nx = x + direction;
+            
+            if (this.isStandable(nx, y, height)) {
+                addLink(nx, y, 'walk', 1);
+            } else if (this.isClear(nx, y - height + 1, 1, height)) {
+                // Step off the ledge and fall straight down
+                for (let ny = y + 1; ny <= y + profile.maxDrop; ny++) {
+                    if (!this.isClear(nx, ny - height + 1, 1, height)) break;
+                    if (this.isStandable(nx, ny, height)) {
+                        addLink(nx, ny, 'drop', 1 + (ny - y) * 0.5);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        if (profile.jumpHeight <= 0) return;
+        
+        // Jumps up onto ledges and across gaps
+        for (let dy = -profile.jumpHeight; dy <= profile.maxDrop; dy++) {
+            for (let dx = -profile.jumpDistance; dx <= profile.jumpDistance; dx++) {
+                if (dx === 0 || (dy === 0 && Math.abs(dx) === 1)) continue;
+                
+                const tx = x + dx;
+                const ty = y + dy;
+                if (nodes.has(ty * this.width + tx) && this.canJump(x, y, tx, ty, profile)) {
+                    addLink(tx, ty, 'jump', Math.abs(dx) + Math.abs(dy) + 2);
+                }
+            }
+        }
+    }
+    
+    // Boxy approximation of the arc: straight up to the peak, across, then down onto the target
+    canJump(x, y, tx, ty, profile) {
+        const height = profile.height;
+        const peak = Math.max(Math.min(y, ty) - 1, y - profile.jumpHeight);
+        const clear = (cx, feetY) => this.isClear(cx, feetY - height + 1, 1, height);
+        
+        if (ty < peak) return false;
+        
+        for (let cy = y; cy >= peak; cy--) {
+            if (!clear(x, cy)) return false;
+        }
+        
+        const step = Math.sign(tx - x);
+        for (let cx = x; cx !== tx + step; cx += step) {
+            if (!clear(cx, peak)) return false;
+        }
+        
+        for (let cy = peak; cy <= ty; cy++) {
+            if (!clear(tx, cy)) return false;
+        }
+        
+        return true;
+    }
+    
+    // Closest node to where a body's feet are, searching down (targets may be mid-jump) and to the sides
+    findGroundNode(graph, x, y) {
+        for (let dy = 0; dy <= 8; dy++) {
+            for (const dx of [0, -1, 1]) {
+                const index = (y + dy) * this.width + (x + dx);
+                if (x + dx >= 0 && x + dx < this.width && graph.nodes.has(index)) {
+                    return index;
+                }
+            }
+        }
+        return -1;
+    }
+    
+    // Paths
+    // Returns waypoints [{ x, y, link }] from a body's bounds to a world point, or null when there's no route.
+    // Ground waypoints are where the feet should land (tile center, tile bottom); flying waypoints are body centers.
+    findPath(bounds, goal, profile) {
+        return profile.flying ? this.findFlyingPath(bounds, goal, profile) : this.findGroundPath(bounds, goal, profile);
+    }
+    
+    findGroundPath(bounds, goal, profile) {
+        const graph = this.getGroundGraph(profile);
+        const tileSize = this.tileSize;
+        
+        const start = this.findGroundNode(graph,
+            Math.floor((bounds.x + bounds.width / 2) / tileSize),
+            Math.floor((bounds.y + bounds.height - 1) / tileSize));
+        const end = this.findGroundNode(graph, Math.floor(goal.x / tileSize), Math.floor(goal.y / tileSize));
+        if (start === -1 || end === -1) return null;
+        
+        const endNode = graph.nodes.get(end);
+        const indices = this.search(start, end,
+            (index, visit) => {
+                for (const link of graph.nodes.get(index).links) {
+                    visit(link.to, link.cost, link.type);
+                }
+            },
+            (index) => {
+                const node = graph.nodes.get(index);
+                return Math.abs(node.x - endNode.x) + Math.abs(node.y - endNode.y) * 0.5;
+            });
+        
+        if (!indices) return null;
+        
+        return indices.map(({ index, link }) => {
+            const node = graph.nodes.get(index);
+            return { x: (node.x + 0.5) * tileSize, y: (node.y + 1) * tileSize, link };
+        });
+    }
+    
+    findFlyingPath(bounds, goal, profile) {
+        const tileSize = this.tileSize;
+        const { width, height } = profile;
+        const anchor = (px, py) => ({
+            x: Math.floor(px / tileSize) - Math.floor((width - 1) / 2),
+            y: Math.floor(py / tileSize) - Math.floor((height - 1) / 2)
+        });
+        
+        const from = this.findClearCell(anchor(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2), profile);
+        const to = this.findClearCell(anchor(goal.x, goal.y), profile);
+        if (!from || !to) return null;
+        
+        const start = from.y * this.width + from.x;
+        const end = to.y * this.width + to.x;
+        
+        const indices = this.search(start, end,
+            (index, visit) => {
+                const x = index % this.width;
+                const y = Math.floor(index / this.width);
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if ((dx === 0 && dy === 0) || !this.isClear(x + dx, y + dy, width, height)) continue;
+                        
+                        // No cutting corners past walls
+                        if (dx !== 0 && dy !== 0 &&
+                            (!this.isClear(x + dx, y, width, height) || !this.isClear(x, y + dy, width, height))) continue;
+                        
+                        visit((y + dy) * this.width + x + dx, dx !== 0 && dy !== 0 ? Math.SQRT2 : 1, 'fly');
+                    }
+                }
+            },
+            (index) => {
+                const dx = Math.abs(index % this.width - to.x);
+                const dy = Math.abs(Math.floor(index / this.width) - to.y);
+                return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+            });
+        
+        if (!indices) return null;
+        
+        const path = indices.map(({ index, link }) => ({
+            x: (index % this.width + width / 2) * tileSize,
+            y: (Math.floor(index / this.width) + height / 2) * tileSize,
+            link
+        }));
+        
+        return this.smoothPath(path, profile);
+    }
+    
+    findClearCell(cell, profile) {
+        for (let radius = 0; radius <= 2; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (this.isClear(cell.x + dx, cell.y + dy, profile.width, profile.height)) {
+                        return { x: cell.x + dx, y: cell.y + dy };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Drop flying waypoints that can be skipped with a straight, unobstructed flight
+    smoothPath(path, profile) {
+        if (path.length <= 2) return path;
+        
+        const smoothed = [path[0]];
+        let anchor = path[0];
+        
+        for (let i = 1; i < path.length - 1; i++) {
+            if (!this.hasClearLine(anchor, path[i + 1], profile)) {
+                smoothed.push(path[i]);
+                anchor = path[i];
+            }
+        }
+        
+        smoothed.push(path[path.length - 1]);
+        return smoothed;
+    }
+    
+    hasClearLine(from, to, profile) {
+        const halfWidth = profile.width * this.tileSize / 2 - 1;
+        const halfHeight = profile.height * this.tileSize / 2 - 1;
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+        const steps = Math.ceil(distance / (this.tileSize / 4));
+        
+        for (let i = 1; i <= steps; i++) {
+            const x = from.x + (to.x - from.x) * i / steps;
+            const y = from.y + (to.y - from.y) * i / steps;
+            
+            for (const [cx, cy] of [[x - halfWidth, y - halfHeight], [x + halfWidth, y - halfHeight],
+                                    [x - halfWidth, y + halfHeight], [x + halfWidth, y + halfHeight]]) {
+                if (this.isSolid(Math.floor(cx / this.tileSize), Math.floor(cy / this.tileSize))) return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    // A* over tile indices; neighbors(index, visit(next, cost, link)) and heuristic(index)
+    // Returns [{ index, link }] after the start, or null
+    search(start, end, neighbors, heuristic) {
+        if (start === end) return [];
+        
+        const open = new NavigationQueue();
+        const costs = new Map([[start, 0]]);
+        const cameFrom = new Map();
+        let iterations = 0;
+        
+        open.push(start, heuristic(start));
+        
+        while (open.size > 0 && iterations++ < this.maxIterations) {
+            const current = open.pop();
+            
+            if (current === end) {
+                const path = [];
+                for (let index = end; index !== start; index = cameFrom.get(index).from) {
+                    path.push({ index, link: cameFrom.get(index).link });
+                }
+                return path.reverse();
+            }
+            
+            const currentCost = costs.get(current);
+            neighbors(current, (next, cost, link) => {
+                const nextCost = currentCost + cost;
+                if (!costs.has(next) || nextCost < costs.get(next)) {
+                    costs.set(next, nextCost);
+                    cameFrom.set(next, { from: current, link });
+                    open.push(next, nextCost + heuristic(next));
+                }
+            });
+        }
+        
+        return null;
+    }
+    
+    // Debug overlay (world space): ground nodes and links for every profile in use, plus the given paths
+    renderDebug(ctx, viewBounds, paths = []) {
+        const tileSize = this.tileSize;
+        const margin = tileSize * 4;
+        const inView = (node) => {
+            const x = node.x * tileSize;
+            const y = node.y * tileSize;
+            return x > viewBounds.x - margin && x < viewBounds.x + viewBounds.width + margin &&
+                y > viewBounds.y - margin && y < viewBounds.y + viewBounds.height + margin;
+        };
+        
+        ctx.save();
+        ctx.lineWidth = 1;
+        
+        for (const graph of this.groundGraphs.values()) {
+            for (const node of graph.nodes.values()) {
+                if (!inView(node)) continue;
+                
+                const x = (node.x + 0.5) * tileSize;
+                const y = (node.y + 1) * tileSize - 2;
+                
+                for (const link of node.links) {
+                    const target = graph.nodes.get(link.to);
+                    const tx = (target.x + 0.5) * tileSize;
+                    const ty = (target.y + 1) * tileSize - 2;
+                    
+                    ctx.strokeStyle = this.debugColors[link.type];
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    if (link.type === 'jump') {
+                        // Arc over the top so jumps read apart from walks
+                        ctx.quadraticCurveTo((x + tx) / 2, Math.min(y, ty) - tileSize, tx, ty);
+                    } else {
+                        ctx.lineTo(tx, ty);
+                    }
+                    ctx.stroke();
+                }
+                
+                ctx.fillStyle = this.debugColors.node;
+                ctx.fillRect(x - 2, y - 2, 4, 4);
+            }
+        }
+        
+        ctx.strokeStyle = this.debugColors.path;
+        ctx.lineWidth = 2;
+        for (const path of paths) {
+            if (path.length === 0) continue;
+            
+            ctx.beginPath();
+            ctx.moveTo(path[0].x, path[0].y);
+            for (const waypoint of path) {
+                ctx.lineTo(waypoint.x, waypoint.y);
+            }
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+}
+
+/**
+ * NavigationAgent - Keeps an entity's path to a moving goal up to date and hands out the next waypoint
+ */
+class NavigationAgent {
+    constructor(entity, options = {}) {
+        this.entity = entity;
+        this.repathInterval = options.repathInterval || 0.5;
+        this.reachDistance = options.reachDistance || 8;
+        
+        this.path = null;
+        this.goal = null;
+        this.repathTimer = 0;
+        this.version = -1;
+    }
+    
+    // Next waypoint toward `goal`, or null when there's no route. Without a navigation graph the goal itself.
+    update(goal, deltaTime) {
+        const navigation = window.game && window.game.world ? window.game.world.navigation : null;
+        if (!navigation) {
+            return { x: goal.x, y: goal.y, link: 'direct' };
+        }
+        
+        const profile = this.entity.getNavigationProfile(navigation);
+        const goalMoved = !this.goal || Math.abs(goal.x - this.goal.x) + Math.abs(goal.y - this.goal.y) > navigation.tileSize;
+        
+        this.repathTimer -= deltaTime;
+        if (this.version !== navigation.version || (goalMoved && this.repathTimer <= 0)) {
+            this.path = navigation.findPath(this.entity.getBounds(), goal, profile);
+            this.goal = { x: goal.x, y: goal.y };
+            this.repathTimer = this.repathInterval;
+            this.version = navigation.version;
+        }
+        
+        if (!this.path) return null;
+        
+        // Drop waypoints as they're reached
+        const bounds = this.entity.getBounds();
+        const centerX = bounds.x + bounds.width / 2;
+        while (this.path.length > 0) {
+            const waypoint = this.path[0];
+            const reached = profile.flying ?
+                Math.hypot(waypoint.x - centerX, waypoint.y - (bounds.y + bounds.height / 2)) < this.reachDistance :
+                Math.abs(waypoint.x - centerX) < this.reachDistance &&
+                    Math.abs(waypoint.y - (bounds.y + bounds.height)) < navigation.tileSize / 2;
+            
+            if (!reached) break;
+            this.path.shift();
+        }
+        
+        return this.path[0] || { x: goal.x, y: goal.y, link: 'direct' };
+    }
+    
+    // Every waypoint of the current path has been reached
+    isFinished() {
+        return this.path !== null && this.path.length === 0;
+    }
+    
+    reset() {
+        this.path = null;
+        this.goal = null;
+        this.repathTimer = 0;
+    }
+}
+
+/**
+ * NavigationQueue - Binary min-heap of tile indices by priority, for A*
+ */
+class NavigationQueue {
+    constructor() {
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(index, priority) {
+        const items = this.items;
+        items.push({ index, priority });
+        
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        
+        return top.index;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationGraph, NavigationAgent, NavigationQueue };
+}
@@ -0,0 +1,147 @@
+/**
+ * ParallaxBackground - Multi-layer scrolling backgrounds for Echo Genesis
+ * Renders LevelData.properties.parallaxLayers behind the world, driven by the camera position
+ */
+class ParallaxBackground {
+    constructor() {
+        this.layers = [];
+        
+        // Loaded images and tinted copies, keyed by url (and tint)
+        this.images = new Map();
+        this.tintedImages = new Map();
+    }
+    
+    // Layer format (all fields optional except image or color):
+    //   image            - url of the layer image
+    //   color            - solid fill used when there is no image (band of `height` pixels, or the whole screen)
+    //   height           - height of a solid color band
+    //   scrollX, scrollY - how much the layer follows the camera (0 = fixed to the screen, 1 = moves with the world)
+    //   repeatX, repeatY - tile the image along each axis
+    //   offsetY          - vertical offset of the layer, in screen pixels
+    //   velocityX/Y      - auto-scroll speed in pixels per second (clouds, fog)
+    //   scale            - image scale
+    //   opacity          - layer opacity
+    //   tint, tintStrength - color blended over the image (0 = none, 1 = solid tint)
+    static createLayer(overrides = {}) {
+        return {
+            name: 'Layer',
+            image: '',
+            color: '#16213e',
+            height: 0,
+            scrollX: 0.5,
+            scrollY: 0.5,
+            repeatX: true,
+            repeatY: false,
+            offsetY: 0,
+            velocityX: 0,
+            velocityY: 0,
+            scale: 1,
+            opacity: 1,
+            tint: '#000000',
+            tintStrength: 0,
+            visible: true,
+            ...overrides
+        };
+    }
+    
+    setLayers(layers) {
+        this.layers = (layers || []).map(layer => ParallaxBackground.createLayer(layer));
+        
+        for (const layer of this.layers) {
+            if (layer.image) {
+                this.loadImage(layer.image);
+            }
+        }
+    }
+    
+    loadImage(url) {
+        if (this.images.has(url)) return this.images.get(url);
+        
+        const image = new Image();
+        image.onerror = () => console.warn(`Failed to load parallax image: ${url}`);
+        image.src = url;
+        this.images.set(url, image);
+        return image;
+    }
+    
+    getImage(layer) {
+        const image = this.loadImage(layer.image);
+        if (!image.complete || image.naturalWidth === 0) return null;
+        if (!layer.tintStrength) return image;
+        
+        const key = `${layer.image}|${layer.tint}|${layer.tintStrength}`;
+        if (!this.tintedImages.has(key)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            context.globalCompositeOperation = 'source-atop';
+            context.globalAlpha = Math.min(1, layer.tintStrength);
+            context.fillStyle = layer.tint;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            
+            this.tintedImages.set(key, canvas);
+        }
+        
+        return this.tintedImages.get(key);
+    }
+    
+    // cameraX/Y is the top-left of the view in world pixels; `time` (seconds of game time) drives auto-scroll,
+    // so layers stop while paused and follow replays
+    render(ctx, cameraX, cameraY, width, height, zoom = 1, time = 0) {
+        if (this.layers.length === 0) return;
+        
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        for (const layer of this.layers) {
+            if (!layer.visible || layer.opacity <= 0) continue;
+            
+            ctx.globalAlpha = layer.opacity;
+            
+            const x = -cameraX * layer.scrollX * zoom + layer.velocityX * time;
+            const y = layer.offsetY - cameraY * layer.scrollY * zoom + layer.velocityY * time;
+            
+            if (layer.image) {
+                const image = this.getImage(layer);
+                if (image) {
+                    this.renderImageLayer(ctx, layer, image, x, y, width, height, zoom);
+                }
+            } else if (layer.color) {
+                ctx.fillStyle = layer.color;
+                if (layer.height > 0) {
+                    ctx.fillRect(0, y, width, layer.height * zoom);
+                } else {
+                    ctx.fillRect(0, 0, width, height);
+                }
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    renderImageLayer(ctx, layer, image, x, y, width, height, zoom) {
+        const tileWidth = image.width * layer.scale * zoom;
+        const tileHeight = image.height * layer.scale * zoom;
+        if (tileWidth < 1 || tileHeight < 1) return;
+        
+        // Wrap the start position so tiles cover the screen from the left/top edge
+        const startX = layer.repeatX ? (x % tileWidth + tileWidth) % tileWidth - tileWidth : x;
+        const startY = layer.repeatY ? (y % tileHeight + tileHeight) % tileHeight - tileHeight : y;
+        const endX = layer.repeatX ? width : startX + 1;
+        const endY = layer.repeatY ? height : startY + 1;
+        
+        for (let drawY = startY; drawY < endY; drawY += tileHeight) {
+            for (let drawX = startX; drawX < endX; drawX += tileWidth) {
+                ctx.drawImage(image, drawX, drawY, tileWidth, tileHeight);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParallaxBackground;
+}
@@ -0,0 +1,118 @@
+/**
+ * ParticleEffects - Built-in particle emitter definitions for Echo Genesis
+ * Plain JSON data; more effects can be added with ParticleSystem.loadDefinitions or loadDefinitionsFromUrl
+ */
+
+ParticleSystem.loadDefinitions({
+    "dust": {
+        "burst": 8,
+        "lifetime": [0.3, 0.6],
+        "speed": [20, 60],
+        "angle": -90,
+        "spread": 160,
+        "gravity": 60,
+        "drag": 3,
+        "shape": { "type": "rect", "width": 16, "height": 2 },
+        "colors": ["#c8b89a", "#8a7a66"],
+        "alpha": [0.8, 0],
+        "size": [3, 6]
+    },
+    "sparks": {
+        "burst": 12,
+        "lifetime": [0.2, 0.45],
+        "speed": [120, 260],
+        "spread": 360,
+        "gravity": 500,
+        "colors": ["#ffffaa", "#ffaa00", "#ff4400"],
+        "alpha": [1, 0],
+        "size": [3, 1],
+        "blend": "lighter"
+    },
+    "explosion_small": {
+        "burst": 10,
+        "lifetime": [0.3, 0.6],
+        "speed": [40, 120],
+        "spread": 360,
+        "gravity": 100,
+        "drag": 2,
+        "colors": ["#ffffff", "#ffcc44", "#ff6600", "#442200"],
+        "alpha": [1, 0],
+        "size": [5, 1],
+        "blend": "lighter"
+    },
+    "explosion_medium": {
+        "burst": 25,
+        "lifetime": [0.4, 0.9],
+        "speed": [60, 200],
+        "spread": 360,
+        "gravity": 150,
+        "drag": 2,
+        "colors": ["#ffffff", "#ffcc44", "#ff6600", "#442200"],
+        "alpha": [1, 0],
+        "size": [7, 1],
+        "blend": "lighter"
+    },
+    "explosion_large": {
+        "burst": 50,
+        "bursts": [{ "time": 0.1, "count": 20 }],
+        "lifetime": [0.5, 1.2],
+        "speed": [80, 320],
+        "spread": 360,
+        "gravity": 150,
+        "drag": 1.5,
+        "shape": { "type": "circle", "radius": 12 },
+        "colors": ["#ffffff", "#ffdd66", "#ff6600", "#551100"],
+        "alpha": [1, 0.8, 0],
+        "size": [10, 2],
+        "blend": "lighter"
+    },
+    "powerup_pickup": {
+        "burst": 24,
+        "lifetime": [0.5, 0.9],
+        "speed": [40, 140],
+        "spread": 360,
+        "gravity": -40,
+        "drag": 2,
+        "colors": ["#ffffff", "#ffd700", "#ff9900"],
+        "alpha": [1, 0],
+        "size": [4, 1],
+        "spin": [-180, 180],
+        "blend": "lighter"
+    },
+    "health_pickup": {
+        "burst": 16,
+        "lifetime": [0.5, 0.8],
+        "speed": [20, 60],
+        "angle": -90,
+        "spread": 90,
+        "gravity": -80,
+        "shape": { "type": "rect", "width": 20, "height": 10 },
+        "colors": ["#ffffff", "#ff6b6b"],
+        "alpha": [1, 0],
+        "size": [4, 2]
+    },
+    "checkpoint_activation": {
+        "burst": 30,
+        "lifetime": [0.6, 1.2],
+        "speed": [60, 160],
+        "angle": -90,
+        "spread": 120,
+        "gravity": 120,
+        "colors": ["#ffffff", "#48bb78"],
+        "alpha": [1, 0],
+        "size": [4, 1],
+        "blend": "lighter"
+    },
+    "checkpoint_glow": {
+        "rate": 18,
+        "duration": -1,
+        "lifetime": 1,
+        "speed": [50, 80],
+        "angle": -90,
+        "spread": 0,
+        "shape": { "type": "rect", "width": 32, "height": 0 },
+        "colors": ["#48bb78"],
+        "alpha": [1, 0],
+        "size": 4
+    }
+});
@@ -0,0 +1,330 @@
+/**
+ * ParticleSystem - Data-driven particle emitters for Echo Genesis
+ * Emitters spawn pooled particles with rates, bursts, velocity cones, gravity, color/size curves and sprite frames
+ */
+class ParticleSystem {
+    // Named emitter definitions (see ParticleEffects.js) and the shared particle pool
+    static definitions = new Map();
+    static pool = [];
+    static maxPoolSize = 2000;
+    
+    // Definition fields (all optional):
+    //   rate         - particles per second while emitting
+    //   burst        - particles spawned at once when the emitter starts
+    //   bursts       - [{ time, count }] extra bursts at times (seconds) after start
+    //   duration     - how long the emitter emits, in seconds (-1 = until stopped)
+    //   maxParticles - cap on live particles for this emitter
+    //   lifetime     - particle lifetime in seconds, number or [min, max]
+    //   speed        - initial speed in pixels per second, number or [min, max]
+    //   angle        - emission direction in degrees (0 = right, -90 = up)
+    //   spread       - width of the emission cone in degrees (360 = all directions)
+    //   gravity      - acceleration in pixels per second², number (down) or { x, y }
+    //   drag         - velocity damping per second (0 = none)
+    //   shape        - spawn area: { type: 'point' | 'circle' | 'rect', radius, width, height }
+    //   colors       - color curve over life, e.g. ['#ffffff', '#ff8800', '#440000']
+    //   alpha        - opacity curve over life, e.g. [1, 0]
+    //   size         - size curve over life in pixels, e.g. [6, 0]
+    //   rotation     - initial rotation in degrees, number or [min, max]
+    //   spin         - rotation speed in degrees per second, number or [min, max]
+    //   sprite       - { name, frameWidth, frameHeight, frames, fps } (frames play over life when fps is 0)
+    //   blend        - canvas composite operation, e.g. 'lighter' for glows
+    static define(name, definition) {
+        this.definitions.set(name, definition);
+    }
+    
+    static has(name) {
+        return this.definitions.has(name);
+    }
+    
+    // Load definitions from a JSON string or an already parsed object ({ name: definition })
+    static loadDefinitions(json) {
+        const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [name, definition] of Object.entries(definitions)) {
+            this.define(name, definition);
+        }
+        
+        return Object.keys(definitions);
+    }
+    
+    static async loadDefinitionsFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.loadDefinitions(await response.json());
+        } catch (error) {
+            throw new Error(`Failed to load particle definitions from ${url}: ${error.message}`);
+        }
+    }
+    
+    static create(name, position, overrides = {}) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            console.warn(`Unknown particle effect: ${name}`);
+            return null;
+        }
+        
+        return new ParticleSystem(position, { ...definition, ...overrides });
+    }
+    
+    // Pooling
+    static acquireParticle() {
+        return this.pool.pop() || {};
+    }
+    
+    static releaseParticle(particle) {
+        if (this.pool.length < this.maxPoolSize) {
+            this.pool.push(particle);
+        }
+    }
+    
+    constructor(position, config = {}) {
+        this.position = new Vector2(position.x, position.y);
+        this.config = config;
+        
+        // Emission
+        this.rate = config.rate || 0;
+        this.burst = config.burst || 0;
+        this.bursts = (config.bursts || []).map(burst => ({ ...burst, fired: false }));
+        this.duration = config.duration !== undefined ? config.duration : (this.rate > 0 ? 1.0 : 0);
+        this.maxParticles = config.maxParticles || 500;
+        
+        // Particle behaviour
+        this.gravity = typeof config.gravity === 'number' ?
+            new Vector2(0, config.gravity) :
+            new Vector2(config.gravity?.x || 0, config.gravity?.y || 0);
+        this.drag = config.drag || 0;
+        this.colors = (config.colors || [config.color || '#ffffff']).map(color => ParticleSystem.parseColor(color));
+        this.alphaCurve = this.toCurve(config.alpha, [1, 0]);
+        this.sizeCurve = this.toCurve(config.size, [4, 4]);
+        this.blend = config.blend || 'source-over';
+        this.sprite = config.sprite || null;
+        
+        // Attachment (emitter follows an object, e.g. a glowing checkpoint)
+        this.target = null;
+        this.offset = new Vector2(0, 0);
+        
+        this.particles = [];
+        this.time = 0;
+        this.emitAccumulator = 0;
+        this.emitting = true;
+        this.started = false;
+    }
+    
+    attachTo(target, offsetX = 0, offsetY = 0) {
+        this.target = target;
+        this.offset.set(offsetX, offsetY);
+        return this;
+    }
+    
+    stop() {
+        this.emitting = false;
+    }
+    
+    // Finished once emission is over and every particle has died
+    shouldRemove() {
+        return !this.emitting && this.particles.length === 0;
+    }
+    
+    update(deltaTime) {
+        if (this.target) {
+            if (this.target.destroyed) {
+                this.stop();
+            } else {
+                const center = this.target.getCenter();
+                this.position.set(center.x + this.offset.x, center.y + this.offset.y);
+            }
+        }
+        
+        if (!this.started) {
+            this.started = true;
+            this.emit(this.burst);
+        }
+        
+        this.time += deltaTime;
+        
+        if (this.emitting) {
+            this.updateEmission(deltaTime);
+        }
+        
+        this.updateParticles(deltaTime);
+    }
+    
+    updateEmission(deltaTime) {
+        for (const burst of this.bursts) {
+            if (!burst.fired && this.time >= burst.time) {
+                burst.fired = true;
+                this.emit(burst.count);
+            }
+        }
+        
+        if (this.rate > 0) {
+            this.emitAccumulator += this.rate * deltaTime;
+            const count = Math.floor(this.emitAccumulator);
+            this.emitAccumulator -= count;
+            this.emit(count);
+        }
+        
+        if (this.duration >= 0 && this.time >= this.duration && this.bursts.every(burst => burst.fired)) {
+            this.emitting = false;
+        }
+    }
+    
+    updateParticles(deltaTime) {
+        const damping = this.drag > 0 ? Math.max(0, 1 - this.drag * deltaTime) : 1;
+        
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+            particle.age += deltaTime;
+            
+            if (particle.age >= particle.lifetime) {
+                // Swap-remove and hand the particle back to the pool
+                this.particles[i] = this.particles[this.particles.length - 1];
+                this.particles.pop();
+                ParticleSystem.releaseParticle(particle);
+                continue;
+            }
+            
+            particle.vx = (particle.vx + this.gravity.x * deltaTime) * damping;
+            particle.vy = (particle.vy + this.gravity.y * deltaTime) * damping;
+            particle.x += particle.vx * deltaTime;
+            particle.y += particle.vy * deltaTime;
+            particle.rotation += particle.spin * deltaTime;
+            
+            // Curves are sampled by normalized age
+            const t = particle.age / particle.lifetime;
+            particle.size = this.sampleCurve(this.sizeCurve, t);
+            particle.alpha = this.sampleCurve(this.alphaCurve, t);
+            particle.color = this.sampleColor(t);
+            
+            if (this.sprite) {
+                const frames = this.sprite.frames || 1;
+                particle.frame = this.sprite.fps ?
+                    Math.floor(particle.age * this.sprite.fps) % frames :
+                    Math.min(frames - 1, Math.floor(t * frames));
+            }
+        }
+    }
+    
+    emit(count) {
+        const config = this.config;
+        
+        for (let i = 0; i < count && this.particles.length < this.maxParticles; i++) {
+            const particle = ParticleSystem.acquireParticle();
+            const spawn = this.getSpawnOffset();
+            
+            const angle = ((config.angle || 0) + (Math.random() - 0.5) * (config.spread !== undefined ? config.spread : 360)) * Math.PI / 180;
+            const speed = this.randomRange(config.speed !== undefined ? config.speed : 50);
+            
+            particle.x = this.position.x + spawn.x;
+            particle.y = this.position.y + spawn.y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.lifetime = Math.max(0.01, this.randomRange(config.lifetime !== undefined ? config.lifetime : 1));
+            particle.rotation = this.randomRange(config.rotation || 0) * Math.PI / 180;
+            particle.spin = this.randomRange(config.spin || 0) * Math.PI / 180;
+            particle.size = this.sizeCurve[0];
+            particle.alpha = this.alphaCurve[0];
+            particle.color = this.sampleColor(0);
+            particle.frame = 0;
+            
+            this.particles.push(particle);
+        }
+    }
+    
+    getSpawnOffset() {
+        const shape = this.config.shape;
+        if (!shape || shape.type === 'point') return { x: 0, y: 0 };
+        
+        if (shape.type === 'circle') {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.sqrt(Math.random()) * (shape.radius || 0);
+            return { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance };
+        }
+        
+        return {
+            x: (Math.random() - 0.5) * (shape.width || 0),
+            y: (Math.random() - 0.5) * (shape.height || 0)
+        };
+    }
+    
+    render(renderer) {
+        if (this.particles.length === 0) return;
+        
+        const ctx = renderer.context;
+        const sprite = this.sprite ? renderer.getSprite(this.sprite.name) : null;
+        
+        ctx.save();
+        ctx.globalCompositeOperation = this.blend;
+        
+        for (const particle of this.particles) {
+            renderer.renderParticle(particle, sprite, this.sprite);
+        }
+        
+        ctx.restore();
+    }
+    
+    // Helpers
+    randomRange(value) {
+        if (Array.isArray(value)) {
+            return value[0] + Math.random() * (value[1] - value[0]);
+        }
+        return value;
+    }
+    
+    toCurve(value, fallback) {
+        if (value === undefined) return fallback;
+        return Array.isArray(value) ? value : [value];
+    }
+    
+    sampleCurve(curve, t) {
+        if (curve.length === 1) return curve[0];
+        
+        const position = t * (curve.length - 1);
+        const index = Math.min(curve.length - 2, Math.floor(position));
+        const local = position - index;
+        return curve[index] + (curve[index + 1] - curve[index]) * local;
+    }
+    
+    sampleColor(t) {
+        const colors = this.colors;
+        if (colors.length === 1) return colors[0].css;
+        
+        const position = t * (colors.length - 1);
+        const index = Math.min(colors.length - 2, Math.floor(position));
+        const local = position - index;
+        const a = colors[index];
+        const b = colors[index + 1];
+        
+        const r = Math.round(a.r + (b.r - a.r) * local);
+        const g = Math.round(a.g + (b.g - a.g) * local);
+        const bl = Math.round(a.b + (b.b - a.b) * local);
+        return `rgb(${r}, ${g}, ${bl})`;
+    }
+    
+    // '#rgb' or '#rrggbb' to components (other CSS colors are used as-is and not interpolated)
+    static parseColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (!hex) return { r: 255, g: 255, b: 255, css: color };
+        
+        let digits = hex[1];
+        if (digits.length === 3) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            css: color
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleSystem;
+}
@@ -17,6 +17,11 @@ class Physics {
         this.velocityIterations = 8;
         this.positionIterations = 3;
         
+        // Continuous collision: bodies faster than this (pixels per second) sweep their movement against tiles
+        // instead of stepping into them, so they can't tunnel through thin walls and floors between substeps
+        this.sweepSpeed = 600;
+        this.maxSweepIterations = 3;
+        
         // Debug
         this.debugDraw = false;
     }
@@ -45,6 +50,22 @@ class Physics {
         // Apply gravity to all physics objects
         this.applyGravity(world.gameObjects, deltaTime);
         
+        // Ground contact is found again by this frame's collisions
+        for (const obj of world.gameObjects) {
+            obj.lastGroundTile = obj.groundTile || null;
+            obj.onSlope = !!(obj.groundTile && obj.groundTile.slope);
+            obj.groundTile = null;
+            obj.lastGroundObject = obj.groundObject || null;
+            obj.groundObject = null;
+        }
+        
+        if (world.levelData) {
+            this.sweepUntrackedMovement(world, deltaTime);
+        }
+        
+        // Bodies standing on moving platforms move with them
+        this.carryRiders(world.gameObjects, deltaTime);
+        
         // Update spatial grid
         this.spatialGrid.clear();
         this.spatialGrid.addObjects(world.gameObjects);
@@ -52,11 +73,98 @@ class Physics {
         // Perform collision detection and resolution in substeps
         const subDeltaTime = deltaTime / this.subSteps;
         for (let i = 0; i < this.subSteps; i++) {
-            this.physicsSubStep(world.gameObjects, subDeltaTime);
+            this.physicsSubStep(world.gameObjects, subDeltaTime, world);
+        }
+        
+        this.releaseRiders(world.gameObjects);
+        
+        // Where each body was left, to sweep whatever moves it before the next step
+        for (const obj of world.gameObjects) {
+            if (this.collidesWithTiles(obj)) {
+                obj.sweepOrigin = obj.position.copy();
+            }
+        }
+    }
+    
+    // Bodies also move outside the physics step (GameObject.updatePhysics, dashes and other abilities);
+    // fast ones are taken back to where the last step left them and swept over that movement
+    sweepUntrackedMovement(world, deltaTime) {
+        for (const obj of world.gameObjects) {
+            if (!obj.sweepOrigin || !this.collidesWithTiles(obj) || !this.isFastMover(obj)) continue;
+            
+            // Teleports (respawns, level transitions) aren't movement to sweep
+            const displacement = obj.position.subtract(obj.sweepOrigin);
+            if (displacement.magnitude() > obj.velocity.magnitude() * deltaTime * 2) continue;
+            
+            obj.position.setFromVector(obj.sweepOrigin);
+            this.moveSwept(world, obj, displacement);
+        }
+    }
+    
+    // Riders: bodies grounded on a carrier (an object with carriesRiders, like a moving platform) last frame
+    // are moved by however far the carrier has moved since, before anything else in the step
+    carryRiders(objects, deltaTime) {
+        this.carryFrame = (this.carryFrame || 0) + 1;
+        
+        for (const obj of objects) {
+            this.carry(obj, deltaTime, 0);
         }
     }
     
-    physicsSubStep(objects, deltaTime) {
+    // Moves a body with what it stands on and returns how far it has moved this frame.
+    // Carriers are settled before their riders, so stacked bodies all move together: a carried body
+    // (a crate or enemy on a platform) passes what it was carried by on to whatever stands on it.
+    carry(obj, deltaTime, depth) {
+        if (obj.carryFrame === this.carryFrame) return obj.carryDisplacement;
+        obj.carryFrame = this.carryFrame;
+        obj.carryDisplacement = Vector2.zero();
+        if (!obj.carriesRiders) {
+            obj.carrierVelocity = null;
+        }
+        
+        const carrier = obj.lastGroundObject;
+        if (carrier && carrier.active && !carrier.destroyed && depth < 8) {
+            const displacement = this.carry(carrier, deltaTime, depth + 1);
+            obj.position.addInPlace(displacement);
+            
+            if (!obj.carriesRiders) {
+                obj.carryDisplacement = displacement.copy();
+                obj.carrierVelocity = carrier.carrierVelocity ? carrier.carrierVelocity.copy() : null;
+            }
+        }
+        
+        if (obj.carriesRiders) {
+            // Carriers move themselves (platforms set their position directly), so measure from where the last step left them
+            obj.carryDisplacement = obj.riderAnchor ? obj.position.subtract(obj.riderAnchor) : Vector2.zero();
+            obj.carrierVelocity = deltaTime > 0 ? obj.carryDisplacement.divide(deltaTime) : Vector2.zero();
+        }
+        
+        return obj.carryDisplacement;
+    }
+    
+    releaseRiders(objects) {
+        for (const obj of objects) {
+            // Bodies stepping or jumping off keep the carrier's momentum
+            const carrier = obj.lastGroundObject;
+            if (carrier && !obj.groundObject && carrier.carrierVelocity && !obj.climbing) {
+                if (obj.handlesMomentum) {
+                    // Bodies that steer themselves (the player) would overwrite horizontal speed next step
+                    obj.airMomentum = carrier.carrierVelocity.x;
+                    obj.velocity.y += carrier.carrierVelocity.y;
+                } else {
+                    obj.velocity.addInPlace(carrier.carrierVelocity);
+                }
+            }
+            
+            if (obj.carriesRiders) {
+                obj.riderAnchor = obj.position.copy();
+            }
+        }
+    }
+    
+    physicsSubStep(objects, deltaTime, world = null) {
+        this.stepDeltaTime = deltaTime;
+        
         // Move objects
         for (const obj of objects) {
             if (obj.active && !obj.destroyed && obj.gravityScale !== 0) {
@@ -68,18 +176,319 @@ class Physics {
         this.detectCollisions(objects);
         this.resolveCollisions();
         
-        // Update positions
+        // Update positions (projectiles and other self-moving objects opt out)
         for (const obj of objects) {
-            if (obj.active && !obj.destroyed) {
-                this.integratePosition(obj, deltaTime);
+            if (obj.active && !obj.destroyed && !obj.manualMovement) {
+                if (world && world.levelData && this.isFastMover(obj) && this.collidesWithTiles(obj)) {
+                    this.moveSwept(world, obj, obj.velocity.multiply(deltaTime));
+                } else {
+                    this.integratePosition(obj, deltaTime);
+                }
+            }
+        }
+        
+        // Keep bodies out of the level's collision tiles
+        if (world && world.levelData) {
+            for (const obj of objects) {
+                if (this.collidesWithTiles(obj)) {
+                    this.resolveTileCollisions(world, obj, deltaTime);
+                }
+            }
+        }
+    }
+    
+    // Tile collision
+    collidesWithTiles(obj) {
+        return obj.active && !obj.destroyed && !obj.manualMovement &&
+            !obj.hasTag('static') && !obj.hasTag('tile') &&
+            (obj.collisionMask || []).includes('solid');
+    }
+    
+    resolveTileCollisions(world, obj, deltaTime) {
+        const tileSize = world.tileSize;
+        const bounds = obj.getBounds();
+        
+        const startX = Math.floor(bounds.x / tileSize);
+        const endX = Math.floor((bounds.x + bounds.width - 0.001) / tileSize);
+        const startY = Math.floor(bounds.y / tileSize);
+        const endY = Math.floor((bounds.y + bounds.height - 0.001) / tileSize);
+        
+        // Slopes first, so a body walking along one is already on its surface when the level ground it meets is checked
+        const blocks = [];
+        for (let y = startY; y <= endY; y++) {
+            for (let x = startX; x <= endX; x++) {
+                const tile = world.getTileProperties(x, y);
+                if (tile && tile.slope) {
+                    const rect = { x: x * tileSize, y: y * tileSize, width: tileSize, height: tileSize };
+                    this.resolveSlopeCollision(obj, rect, tile.slope, tile);
+                } else if (tile && (tile.solid || tile.oneWay)) {
+                    blocks.push({ x, y, tile });
+                }
+            }
+        }
+        
+        for (const block of blocks) {
+            this.resolveTileCollision(world, obj, block.x, block.y, block.tile, deltaTime);
+        }
+        
+        // Stay on slopes when walking down them instead of skipping off the surface
+        if (obj.lastGroundTile && obj.velocity.y >= 0) {
+            this.snapToGround(world, obj);
+        }
+        
+        // Where the feet were left, so one-way tiles can tell a landing from passing up through them
+        const resolved = obj.getBounds();
+        obj.tileBottom = resolved.y + resolved.height;
+    }
+    
+    resolveTileCollision(world, obj, tileX, tileY, tile, deltaTime) {
+        const tileSize = world.tileSize;
+        const left = tileX * tileSize;
+        const top = tileY * tileSize;
+        
+        // Earlier tiles may already have pushed the body clear
+        const bounds = obj.getBounds();
+        const overlapX = Math.min(bounds.x + bounds.width, left + tileSize) - Math.max(bounds.x, left);
+        const overlapY = Math.min(bounds.y + bounds.height, top + tileSize) - Math.max(bounds.y, top);
+        if (overlapX <= 0 || overlapY <= 0) return;
+        
+        // One-way tiles only catch bodies falling onto them from above
+        if (!tile.solid) {
+            // Bodies also move outside the physics step, so take the higher of the last resolved and estimated feet
+            const estimatedBottom = bounds.y + bounds.height - obj.velocity.y * deltaTime;
+            const previousBottom = obj.tileBottom !== undefined ? Math.min(obj.tileBottom, estimatedBottom) : estimatedBottom;
+            if (obj.ignoreOneWay || obj.velocity.y < 0 || previousBottom > top + 1) return;
+            
+            obj.position.y -= overlapY;
+            this.landOnTile(obj, tile);
+            return;
+        }
+        
+        // Coming off a slope, step up onto the level ground it meets instead of stopping against its edge
+        const stepUp = bounds.y + bounds.height - top;
+        if (obj.onSlope && stepUp <= bounds.width / 2 && !this.isTileSolid(world, tileX, tileY - 1)) {
+            obj.position.y -= stepUp;
+            this.landOnTile(obj, tile);
+            return;
+        }
+        
+        // Push out along the shallower axis, but never into a neighbouring solid tile (so bodies don't snag on seams)
+        const pushX = bounds.x + bounds.width / 2 < left + tileSize / 2 ? -1 : 1;
+        const pushY = bounds.y + bounds.height / 2 < top + tileSize / 2 ? -1 : 1;
+        const blockedX = this.isTileSolid(world, tileX + pushX, tileY);
+        const blockedY = this.isTileSolid(world, tileX, tileY + pushY);
+        const horizontal = blockedX !== blockedY ? blockedY : overlapX < overlapY;
+        
+        if (horizontal) {
+            obj.position.x += pushX * overlapX;
+            if (Math.sign(obj.velocity.x) === -pushX) {
+                obj.velocity.x = 0;
+            }
+        } else {
+            obj.position.y += pushY * overlapY;
+            if (pushY < 0) {
+                this.landOnTile(obj, tile);
+            } else if (obj.velocity.y < 0) {
+                obj.velocity.y = 0;
+            }
+        }
+    }
+    
+    // Slopes: `rect` is the slope tile, `slope` its [leftHeight, rightHeight] surface
+    resolveSlopeCollision(obj, rect, slope, tile) {
+        const bounds = obj.getBounds();
+        if (!this.boundsOverlap(bounds, rect)) return;
+        
+        const centerX = bounds.x + bounds.width / 2;
+        const bottom = bounds.y + bounds.height;
+        
+        // From below, the flat underside is a ceiling
+        if (bounds.y > rect.y && bottom > rect.y + rect.height) {
+            if (obj.velocity.y < 0) {
+                obj.position.y += rect.y + rect.height - bounds.y;
+                obj.velocity.y = 0;
+            }
+            return;
+        }
+        
+        // Beside the slope, its near edge is a wall as tall as the surface there; shallow overlaps are
+        // just a body walking along the slope with its center over the next tile
+        if (centerX < rect.x || centerX > rect.x + rect.width) {
+            const edgeX = centerX < rect.x ? rect.x : rect.x + rect.width;
+            if (bottom - TileDefinitions.slopeSurfaceY(rect, slope, edgeX) > bounds.width / 2) {
+                const push = centerX < rect.x ? rect.x - (bounds.x + bounds.width) : rect.x + rect.width - bounds.x;
+                obj.position.x += push;
+                if (Math.sign(obj.velocity.x) === -Math.sign(push)) {
+                    obj.velocity.x = 0;
+                }
+            }
+            return;
+        }
+        
+        // Over the slope: stand on the surface under the body's center
+        const surface = TileDefinitions.slopeSurfaceY(rect, slope, centerX);
+        if (bottom <= surface) return;
+        
+        obj.position.y -= bottom - surface;
+        if (obj.velocity.y >= 0) {
+            this.landOnTile(obj, tile);
+        }
+    }
+    
+    // Pull a grounded body down onto a slope just below its feet (or off a slope onto the ground below it)
+    snapToGround(world, obj) {
+        const tileSize = world.tileSize;
+        const bounds = obj.getBounds();
+        const x = bounds.x + bounds.width / 2;
+        const bottom = bounds.y + bounds.height;
+        const maxDistance = tileSize / 2;
+        const tileX = Math.floor(x / tileSize);
+        
+        for (let tileY = Math.floor(bottom / tileSize); tileY <= Math.floor((bottom + maxDistance) / tileSize); tileY++) {
+            const tile = world.getTileProperties(tileX, tileY);
+            if (!tile || !(tile.solid || tile.oneWay || tile.slope)) continue;
+            
+            const rect = { x: tileX * tileSize, y: tileY * tileSize, width: tileSize, height: tileSize };
+            const surface = tile.slope ? TileDefinitions.slopeSurfaceY(rect, tile.slope, x) : rect.y;
+            
+            if ((tile.slope || obj.onSlope) && surface >= bottom && surface - bottom <= maxDistance) {
+                obj.position.y += surface - bottom;
+                this.landOnTile(obj, tile);
+            }
+            return;
+        }
+    }
+    
+    // Continuous collision
+    isFastMover(obj) {
+        return obj.velocity.magnitudeSquared() > this.sweepSpeed * this.sweepSpeed;
+    }
+    
+    // Moves a body by `displacement`, stopping at the first tile in its way and sliding along it with the rest
+    moveSwept(world, obj, displacement) {
+        let remaining = displacement;
+        
+        for (let i = 0; i < this.maxSweepIterations; i++) {
+            const hit = this.sweepTiles(world, obj.getBounds(), remaining, !obj.ignoreOneWay);
+            if (!hit) {
+                obj.position.addInPlace(remaining);
+                return;
+            }
+            
+            obj.position.addInPlace(remaining.multiply(hit.time));
+            this.stopAgainstTile(obj, hit);
+            
+            remaining = remaining.multiply(1 - hit.time);
+            if (hit.normal.x !== 0) {
+                remaining.x = 0;
+            } else {
+                remaining.y = 0;
+            }
+        }
+    }
+    
+    // Earliest tile a box moving by `displacement` runs into: { time (0-1), normal, tileX, tileY, tile } or null.
+    // Slopes are left to the surface resolution; one-way tiles only count when landed on from above.
+    sweepTiles(world, bounds, displacement, oneWay = false) {
+        const tileSize = world.tileSize;
+        const startX = Math.floor(Math.min(bounds.x, bounds.x + displacement.x) / tileSize);
+        const endX = Math.floor((Math.max(bounds.x, bounds.x + displacement.x) + bounds.width - 0.001) / tileSize);
+        const startY = Math.floor(Math.min(bounds.y, bounds.y + displacement.y) / tileSize);
+        const endY = Math.floor((Math.max(bounds.y, bounds.y + displacement.y) + bounds.height - 0.001) / tileSize);
+        
+        let closest = null;
+        for (let y = startY; y <= endY; y++) {
+            for (let x = startX; x <= endX; x++) {
+                const tile = world.getTileProperties(x, y);
+                if (!tile || tile.slope || !(tile.solid || (oneWay && tile.oneWay))) continue;
+                
+                const rect = { x: x * tileSize, y: y * tileSize, width: tileSize, height: tileSize };
+                const hit = this.sweepAABB(bounds, displacement, rect);
+                if (!hit || (closest && hit.time >= closest.time)) continue;
+                
+                // Faces shared with a neighbouring solid tile are inside the wall, so never the first thing hit
+                if (!tile.solid && hit.normal.y >= 0) continue;
+                if (this.isTileSolid(world, x + hit.normal.x, y + hit.normal.y)) continue;
+                
+                closest = { time: hit.time, normal: hit.normal, tileX: x, tileY: y, tile: tile };
             }
         }
+        
+        return closest;
+    }
+    
+    // Time of impact (0-1) of a box moving by `displacement` into a static rect, and the face normal it hits.
+    // Boxes already overlapping the rect are left to the discrete resolution.
+    sweepAABB(bounds, displacement, rect) {
+        const epsilon = 1e-6;
+        
+        const axis = (position, size, delta, rectPosition, rectSize) => {
+            if (delta > 0) {
+                return [(rectPosition - (position + size)) / delta, (rectPosition + rectSize - position) / delta];
+            }
+            if (delta < 0) {
+                return [(rectPosition + rectSize - position) / delta, (rectPosition - (position + size)) / delta];
+            }
+            // Not moving on this axis: overlapping it the whole time, or never
+            const overlapping = position < rectPosition + rectSize - epsilon && position + size > rectPosition + epsilon;
+            return overlapping ? [-Infinity, Infinity] : null;
+        };
+        
+        const x = axis(bounds.x, bounds.width, displacement.x, rect.x, rect.width);
+        const y = axis(bounds.y, bounds.height, displacement.y, rect.y, rect.height);
+        if (!x || !y) return null;
+        
+        const entry = Math.max(x[0], y[0]);
+        const exit = Math.min(x[1], y[1]);
+        if (entry > exit || entry < 0 || entry > 1) return null;
+        
+        const normal = x[0] > y[0] ?
+            new Vector2(-Math.sign(displacement.x), 0) :
+            new Vector2(0, -Math.sign(displacement.y));
+        
+        return { time: entry, normal: normal };
+    }
+    
+    stopAgainstTile(obj, hit) {
+        if (hit.normal.y < 0) {
+            this.landOnTile(obj, hit.tile);
+        } else if (hit.normal.y > 0) {
+            if (obj.velocity.y < 0) {
+                obj.velocity.y = 0;
+            }
+        } else if (Math.sign(obj.velocity.x) === -hit.normal.x) {
+            obj.velocity.x = 0;
+        }
+    }
+    
+    boundsOverlap(a, b) {
+        return a.x < b.x + b.width && a.x + a.width > b.x &&
+            a.y < b.y + b.height && a.y + a.height > b.y;
+    }
+    
+    landOnTile(obj, tile) {
+        // Bouncy tiles throw back hard landings; gentle ones come to rest
+        if (tile.bounciness > 0 && obj.velocity.y > 100) {
+            obj.velocity.y = -obj.velocity.y * tile.bounciness;
+        } else if (obj.velocity.y > 0) {
+            obj.velocity.y = 0;
+        }
+        
+        obj.groundTile = tile;
+        obj.onSlope = !!tile.slope;
+    }
+    
+    isTileSolid(world, tileX, tileY) {
+        const tile = world.getTileProperties(tileX, tileY);
+        return !!tile && tile.solid;
     }
     
     applyGravity(objects, deltaTime) {
         for (const obj of objects) {
             if (obj.active && !obj.destroyed && obj.gravityScale > 0) {
-                const gravityForce = this.gravity.multiply(obj.gravityScale * obj.mass);
+                // Area volumes can override gravity per object
+                const gravity = obj.gravityOverride || this.gravity;
+                const gravityForce = gravity.multiply(obj.gravityScale * obj.mass);
                 obj.addForce(gravityForce);
                 
                 // Apply terminal velocity
@@ -215,6 +624,15 @@ class Physics {
         // Skip if neither object is solid
         if (!objectA.solid && !objectB.solid) return;
         
+        // Bodies against carriers are pushed out of them without moving the carrier
+        const contact = this.getCarrierContact(objectA, objectB);
+        if (contact) {
+            if (this.resolveCarrierCollision(contact.body, contact.carrier)) {
+                this.handleCollisionCallbacks(objectA, objectB, collision);
+            }
+            return;
+        }
+        
         // Position correction (separate overlapping objects)
         this.positionalCorrection(objectA, objectB, collision);
         
@@ -225,6 +643,75 @@ class Physics {
         this.handleCollisionCallbacks(objectA, objectB, collision);
     }
     
+    // A body that moves under physics can ride a carrier, or a body that is itself being carried;
+    // with two candidates the upper one is the rider
+    getCarrierContact(objA, objB) {
+        const isBody = (obj) => obj.gravityScale > 0 && !obj.manualMovement && !obj.hasTag('static') && !obj.hasTag('tile');
+        const canCarry = (obj) => obj.carriesRiders || (isBody(obj) && !!(obj.groundObject || obj.lastGroundObject));
+        const aRides = canCarry(objB) && isBody(objA);
+        const bRides = canCarry(objA) && isBody(objB);
+        
+        if (aRides && bRides) {
+            return objA.getCenter().y < objB.getCenter().y ?
+                { body: objA, carrier: objB } :
+                { body: objB, carrier: objA };
+        }
+        if (aRides) return { body: objA, carrier: objB };
+        if (bRides) return { body: objB, carrier: objA };
+        return null;
+    }
+    
+    // Like a solid tile, but the carrier may be moving: one-way (jumpthrough) carriers compare velocities relative to it
+    resolveCarrierCollision(body, carrier) {
+        const bounds = body.getBounds();
+        const rect = carrier.getBounds();
+        const overlapX = Math.min(bounds.x + bounds.width, rect.x + rect.width) - Math.max(bounds.x, rect.x);
+        const overlapY = Math.min(bounds.y + bounds.height, rect.y + rect.height) - Math.max(bounds.y, rect.y);
+        if (overlapX <= 0 || overlapY <= 0) return false;
+        
+        // Riders already moved with the carrier this frame, so their own velocity is relative to it
+        const carried = body.lastGroundObject === carrier;
+        const carrierVelocity = carried ? Vector2.zero() : (carrier.carriesRiders && carrier.carrierVelocity) || carrier.velocity;
+        const relativeVelocityY = body.velocity.y - carrierVelocity.y;
+        
+        if (carrier.hasTag('jumpthrough')) {
+            const previousBottom = bounds.y + bounds.height - relativeVelocityY * (this.stepDeltaTime || 0);
+            if (body.ignoreOneWay || relativeVelocityY < 0 || previousBottom > rect.y + 1) return false;
+            
+            body.position.y -= overlapY;
+            this.landOnObject(body, carrier);
+            return true;
+        }
+        
+        if (overlapX < overlapY) {
+            const pushX = bounds.x + bounds.width / 2 < rect.x + rect.width / 2 ? -1 : 1;
+            body.position.x += pushX * overlapX;
+            if (Math.sign(body.velocity.x - carrierVelocity.x) === -pushX) {
+                body.velocity.x = carrierVelocity.x;
+            }
+        } else if (bounds.y + bounds.height / 2 < rect.y + rect.height / 2) {
+            body.position.y -= overlapY;
+            this.landOnObject(body, carrier);
+        } else {
+            body.position.y += overlapY;
+            if (relativeVelocityY < 0) {
+                body.velocity.y = Math.max(carrierVelocity.y, 0);
+            }
+        }
+        return true;
+    }
+    
+    landOnObject(obj, carrier) {
+        // Bouncy carriers throw back hard landings; the carrier's own motion is covered by carrying
+        if (carrier.bounciness > 0 && obj.velocity.y > 100) {
+            obj.velocity.y = -obj.velocity.y * carrier.bounciness;
+        } else if (obj.velocity.y > 0) {
+            obj.velocity.y = 0;
+        }
+        
+        obj.groundObject = carrier;
+    }
+    
     positionalCorrection(objA, objB, collision) {
         const { normal, penetration } = collision;
         const correction = normal.multiply(penetration * 0.8); // 80% correction
@@ -401,6 +888,9 @@ class Physics {
     
     // Ground checking for platformers
     isGrounded(obj, groundDistance = 5) {
+        // Standing on a tile (set by this frame's tile collisions)
+        if (obj.groundTile || obj.groundObject) return true;
+        
         const bounds = obj.getBounds();
         const rayOrigin = new Vector2(bounds.x + bounds.width / 2, bounds.y + bounds.height);
         const rayDirection = Vector2.down();
@@ -502,7 +992,7 @@ class SpatialGrid {
     getObjectsInRay(ray) {
         // Simplified - get objects in cells that the ray passes through
         const objects = new Set();
-        const distance = 0;
+        let distance = 0;
         const step = this.cellSize / 2;
         
         while (distance < ray.maxDistance) {
@@ -20,12 +20,20 @@ class Renderer {
         
         // Effects system
         this.effects = [];
-        this.particles = [];
         
         // Sprite cache
         this.spriteCache = new Map();
         this.textureAtlas = null;
         
+        // Parallax background layers
+        this.parallax = new ParallaxBackground();
+        
+        // Dynamic lighting (ambient darkness, point lights and shadows)
+        this.lighting = new LightingSystem();
+        
+        // Speedrun ghost ({ x, y, width, height, facing, color }, set each frame while one is shown)
+        this.ghost = null;
+        
         // Post-processing
         this.postProcessing = {
             enabled: false,
@@ -87,6 +95,9 @@ class Renderer {
         // Clear canvas
         this.clear();
         
+        // Parallax background (screen space, behind everything)
+        this.renderParallax(world);
+        
         // Apply camera transform
         this.context.save();
         if (this.camera) {
@@ -96,13 +107,40 @@ class Renderer {
         // Render layers in order
         for (const layerName of this.layerOrder) {
             const layer = this.layers.get(layerName);
+            
+            // The ghost goes under the player
+            if (layerName === 'player' && this.ghost) {
+                this.renderGhost(this.ghost);
+            }
+            
             if (layer.visible) {
                 this.renderLayer(layer, world);
             }
         }
         
+        // Particle effects (world space, above entities)
+        if (world) {
+            this.renderParticles(world);
+        }
+        
+        // Pathfinding graph and enemy routes
+        if (this.debugMode && world && world.navigation) {
+            this.renderNavigation(world);
+        }
+        
         this.context.restore();
         
+        // Weather particles (screen space, anchored to the camera)
+        if (world && world.weather) {
+            world.weather.render(this.context, this.camera, this.canvas.width, this.canvas.height);
+        }
+        
+        // Lighting pass (screen space, over the world but under fades and UI)
+        this.lighting.render(this.context, world, this.camera);
+        
+        // Screen fade from camera transitions
+        this.renderCameraFade();
+        
         // Render UI (always on top, no camera transform)
         this.renderUI();
         
@@ -120,6 +158,15 @@ class Renderer {
         this.stats.frameTime = performance.now() - startTime;
     }
     
+    renderParallax(world) {
+        const cameraX = this.camera ? this.camera.position.x : 0;
+        const cameraY = this.camera ? this.camera.position.y : 0;
+        const zoom = this.camera ? this.camera.zoom : 1;
+        const time = world ? world.worldTime : 0;
+        
+        this.parallax.render(this.context, cameraX, cameraY, this.canvas.width, this.canvas.height, zoom, time);
+    }
+    
     clear() {
         this.context.fillStyle = this.backgroundColor;
         this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -184,6 +231,21 @@ class Renderer {
         this.stats.drawCalls++;
     }
     
+    renderGhost(ghost) {
+        this.context.save();
+        this.context.globalAlpha = 0.35;
+        this.context.fillStyle = ghost.color;
+        this.context.fillRect(ghost.x, ghost.y, ghost.width, ghost.height);
+        
+        // Eye on the side it's facing
+        const eyeX = ghost.facing < 0 ? ghost.x + ghost.width * 0.2 : ghost.x + ghost.width * 0.65;
+        this.context.fillStyle = '#FFFFFF';
+        this.context.fillRect(eyeX, ghost.y + ghost.height * 0.2, ghost.width * 0.15, ghost.height * 0.15);
+        
+        this.context.restore();
+        this.stats.drawCalls++;
+    }
+    
     renderSprite(obj) {
         if (!obj.sprite || !obj.currentAnimation) return;
         
@@ -222,6 +284,16 @@ class Renderer {
         this.context.restore();
     }
     
+    renderCameraFade() {
+        if (!this.camera || this.camera.fadeAlpha <= 0) return;
+        
+        this.context.save();
+        this.context.globalAlpha = Math.min(1, this.camera.fadeAlpha);
+        this.context.fillStyle = this.camera.fadeColor;
+        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.context.restore();
+    }
+    
     renderUIObject(obj) {
         this.context.save();
         
@@ -414,40 +486,56 @@ class Renderer {
     }
     
     // Particle system rendering
-    renderParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            if (particle.active) {
-                this.renderParticle(particle);
-            } else {
-                this.particles.splice(i, 1);
-            }
+    // Particle systems live in the world and draw through renderParticle
+    renderParticles(world) {
+        for (const system of world.particleSystems) {
+            system.render(this);
         }
     }
     
-    renderParticle(particle) {
+    renderNavigation(world) {
+        const viewBounds = this.camera ? this.camera.getViewBounds() : {
+            x: 0, y: 0,
+            width: this.canvas.width,
+            height: this.canvas.height
+        };
+        
+        const paths = world.gameObjects
+            .filter(obj => obj.navAgent && obj.navAgent.path && !obj.destroyed)
+            .map(obj => [obj.getCenter(), ...obj.navAgent.path]);
+        
+        world.navigation.renderDebug(this.context, viewBounds, paths);
+    }
+    
+    renderParticle(particle, sprite = null, spriteInfo = null) {
+        if (particle.alpha <= 0 || particle.size <= 0) return;
+        
         this.context.save();
         
-        this.context.globalAlpha = particle.opacity;
-        this.context.translate(particle.position.x, particle.position.y);
+        this.context.globalAlpha *= Math.min(1, particle.alpha);
+        this.context.translate(particle.x, particle.y);
         this.context.rotate(particle.rotation);
-        this.context.scale(particle.scale, particle.scale);
         
-        if (particle.sprite) {
+        const size = particle.size;
+        if (sprite && spriteInfo) {
+            const frameWidth = spriteInfo.frameWidth || sprite.width;
+            const frameHeight = spriteInfo.frameHeight || sprite.height;
+            const columns = Math.max(1, Math.floor(sprite.width / frameWidth));
+            const frameX = (particle.frame % columns) * frameWidth;
+            const frameY = Math.floor(particle.frame / columns) * frameHeight;
+            
             this.context.drawImage(
-                particle.sprite,
-                -particle.size / 2, -particle.size / 2,
-                particle.size, particle.size
+                sprite,
+                frameX, frameY, frameWidth, frameHeight,
+                -size / 2, -size / 2, size, size
             );
         } else {
             this.context.fillStyle = particle.color;
-            this.context.fillRect(
-                -particle.size / 2, -particle.size / 2,
-                particle.size, particle.size
-            );
+            this.context.fillRect(-size / 2, -size / 2, size, size);
         }
         
         this.context.restore();
+        this.stats.drawCalls++;
     }
     
     // Effect rendering
@@ -622,43 +710,17 @@ class Renderer {
     }
 
     getEntityDebugColor(entityType) {
-        const colors = {
-            'player_spawn': '#00ff00',
-            'powerup': '#ffff00',
-            'health': '#ff0088',
-            'checkpoint': '#00ffff',
-            'basic_enemy': '#ff0000',
-            'flying_enemy': '#ff8800',
-            'enemy': '#ff0000',
-            'platform': '#888888',
-            'trigger': '#ff00ff'
-        };
-        return colors[entityType] || '#ffffff';
+        if (typeof EntityRegistry !== 'undefined' && EntityRegistry.has(entityType)) {
+            return EntityRegistry.getDebugColor(entityType);
+        }
+        return entityType === 'trigger' ? '#ff00ff' : '#ffffff';
     }
 
     getEntityDebugText(entityType, properties = {}) {
-        switch (entityType) {
-            case 'player_spawn':
-                return 'Player Spawn';
-            case 'powerup':
-                return properties.powerType ? `PowerUp (${properties.powerType})` : 'PowerUp';
-            case 'health':
-                return 'Health Pack';
-            case 'checkpoint':
-                return 'Checkpoint';
-            case 'basic_enemy':
-                return 'Basic Enemy';
-            case 'flying_enemy':
-                return 'Flying Enemy';
-            case 'enemy':
-                return properties.enemyType ? `Enemy (${properties.enemyType})` : 'Enemy';
-            case 'platform':
-                return 'Platform';
-            case 'trigger':
-                return 'Trigger';
-            default:
-                return entityType || 'Entity';
+        if (typeof EntityRegistry !== 'undefined' && EntityRegistry.has(entityType)) {
+            return EntityRegistry.getDebugText(entityType, properties);
         }
+        return entityType === 'trigger' ? 'Trigger' : (entityType || 'Entity');
     }
     
     // Screenshot functionality
@@ -743,7 +805,6 @@ class Renderer {
     destroy() {
         this.layers.clear();
         this.effects = [];
-        this.particles = [];
         this.spriteCache.clear();
     }
 }
@@ -0,0 +1,498 @@
+/**
+ * ReplaySystem - Input recording and deterministic replay for Echo Genesis
+ * Records per-tick action states from a known starting point and plays them back through the same simulation
+ */
+class ReplaySystem {
+    static FORMAT = 'echo-genesis-replay';
+    static VERSION = 1;
+    static SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+    
+    // Replay data:
+    //   format, version - identify the file
+    //   levelId         - room the run starts in
+    //   level           - copy of that room's level data as it was when recording started
+    //   seed            - Random seed the run starts from
+    //   tickRate        - fixed updates per second
+    //   actions         - action names, in the bit order of the input masks
+    //   start           - player, object states, world flags, collectibles, world time, seen cutscenes,
+    //                     weather, and the open conversation and cutscene at the start
+    //   inputs          - [tick, pressed, down, up] bitmasks, only for ticks where something changed
+    //   length          - ticks recorded
+    //   note            - free text (what the replay shows, for bug reports)
+    constructor(game) {
+        this.game = game;
+        
+        // 'idle', 'recording' or 'playing'
+        this.mode = 'idle';
+        this.replay = null;
+        this.lastReplay = null;
+        this.tick = 0;
+        
+        // Recording
+        this.lastPressed = 0;
+        
+        // Playback
+        this.inputIndex = 0;
+        this.speed = 1;
+        this.playbackPaused = false;
+        this.returnState = null; // where the game was before playback, to go back to afterwards
+    }
+    
+    get recording() {
+        return this.mode === 'recording';
+    }
+    
+    get playing() {
+        return this.mode === 'playing';
+    }
+    
+    // Recording
+    
+    // Recording reloads the current room so the run starts from a state a replay can rebuild
+    startRecording(note = '') {
+        if (this.mode !== 'idle') return false;
+        
+        const replay = this.captureStart();
+        if (!replay) {
+            this.game.showNotification('Nothing to record', 2000, '#FF6666');
+            return false;
+        }
+        
+        const actions = this.game.inputManager.getActionNames();
+        if (actions.length > 31) {
+            console.warn(`Replays record the first 31 of ${actions.length} actions`);
+        }
+        
+        Object.assign(replay, {
+            format: ReplaySystem.FORMAT,
+            version: ReplaySystem.VERSION,
+            createdAt: new Date().toISOString(),
+            note: note,
+            seed: Random.createSeed(),
+            tickRate: Math.round(1 / this.game.fixedDeltaTime),
+            actions: actions.slice(0, 31),
+            inputs: [],
+            length: 0
+        });
+        
+        this.beginRun(replay);
+        
+        this.replay = replay;
+        this.mode = 'recording';
+        this.tick = 0;
+        this.lastPressed = 0;
+        
+        this.game.showNotification('Recording replay', 2000, '#FF4444');
+        return true;
+    }
+    
+    stopRecording() {
+        if (!this.recording) return null;
+        
+        this.replay.length = this.tick;
+        this.lastReplay = this.replay;
+        this.replay = null;
+        this.mode = 'idle';
+        
+        this.game.showNotification(`Replay recorded (${this.formatTime(this.lastReplay.length, this.lastReplay.tickRate)})`, 2000);
+        return this.lastReplay;
+    }
+    
+    toggleRecording() {
+        if (this.recording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    // Level, player and persistent world state: everything a run starts from besides the seed
+    captureStart() {
+        const game = this.game;
+        const world = game.world;
+        const player = game.player;
+        if (!world.levelData || !player) return null;
+        
+        const weather = world.weather;
+        
+        const levelData = world.levelData.toJSON ? world.levelData.toJSON(true) : JSON.stringify(world.levelData);
+        
+        return {
+            levelId: world.levelId,
+            level: JSON.parse(levelData),
+            start: {
+                player: player.toJSON(),
+                objectStates: world.serializeObjectStates(),
+                worldFlags: Object.fromEntries(world.worldFlags),
+                collectibles: Object.fromEntries(world.collectibles),
+                worldTime: world.worldTime,
+                seenCutscenes: game.saveSystem.load().seenCutscenes || [],
+                weather: weather ? { type: weather.type, intensity: weather.intensity, options: weather.options, time: weather.time } : null,
+                dialogue: world.dialogue.getState(),
+                cutscene: game.cutscenes.getState()
+            }
+        };
+    }
+    
+    // Rebuild a run's starting state: same room, player, world state and seed
+    beginRun(replay) {
+        const game = this.game;
+        const world = game.world;
+        const start = replay.start;
+        
+        // Replays tick at the rate they were recorded at, on the fixed timestep
+        game.fixedDeltaTime = 1 / (replay.tickRate || 60);
+        game.accumulator = 0;
+        if (game.settings.timestep === 'variable') {
+            game.settings.timestep = 'interpolated';
+        }
+        
+        if (replay.seed !== undefined) {
+            Random.setSeed(replay.seed);
+        }
+        
+        // Playback saves to memory only, starting from the cutscenes seen when recording began
+        const saveSystem = game.saveSystem;
+        saveSystem.setSandbox(null);
+        if (this.playing) {
+            saveSystem.setSandbox({ ...saveSystem.load(), seenCutscenes: start.seenCutscenes || [] });
+        }
+        
+        // Object states first so the room spawns without defeated enemies; a fresh copy of the
+        // level each time, since runtime tile changes write into the level's layers
+        world.loadObjectStates(start.objectStates);
+        game.enterLevel(JSON.parse(JSON.stringify(replay.level)), replay.levelId);
+        
+        world.worldFlags = new Map(Object.entries(start.worldFlags || {}));
+        world.collectibles = new Map(Object.entries(start.collectibles || {}));
+        world.worldTime = start.worldTime || 0;
+        
+        // Fresh weather at the recorded gust phase (setWeather would keep the current one if the type matches)
+        world.setWeather(null);
+        if (start.weather) {
+            world.setWeather(start.weather.type, start.weather.intensity, start.weather.options).time = start.weather.time;
+        }
+        
+        if (game.player) {
+            world.removeObject(game.player);
+        }
+        game.player = Player.fromJSON(start.player);
+        world.addObject(game.player);
+        game.camera.follow(game.player, true);
+        
+        // Cutscene before dialogue: a cutscene's dialogue step waits on the restored conversation
+        if (start.cutscene) {
+            game.cutscenes.restoreState(start.cutscene);
+        }
+        if (start.dialogue) {
+            world.dialogue.restoreState(start.dialogue);
+        }
+    }
+    
+    // Ticks (called by Game.update around every simulation step)
+    
+    beforeTick() {
+        const input = this.game.inputManager;
+        
+        if (this.recording) {
+            const state = input.captureActions(this.replay.actions);
+            if (state.pressed !== this.lastPressed || state.down || state.up) {
+                this.replay.inputs.push([this.tick, state.pressed, state.down, state.up]);
+                this.lastPressed = state.pressed;
+            }
+        } else if (this.playing) {
+            input.setActionOverride(this.getActionState(this.tick));
+        }
+    }
+    
+    afterTick() {
+        if (this.mode === 'idle') return;
+        
+        this.tick++;
+        
+        if (this.playing && this.tick >= this.replay.length) {
+            this.setPaused(true);
+            this.game.showNotification('Replay finished', 2000);
+        }
+    }
+    
+    // Action sets for a tick: held actions carry over from the last change, presses and releases only on their own tick
+    getActionState(tick) {
+        const inputs = this.replay.inputs;
+        
+        if (this.inputIndex >= inputs.length || (inputs[this.inputIndex] && inputs[this.inputIndex][0] > tick)) {
+            this.inputIndex = 0;
+        }
+        while (this.inputIndex + 1 < inputs.length && inputs[this.inputIndex + 1][0] <= tick) {
+            this.inputIndex++;
+        }
+        
+        const state = { pressed: new Set(), down: new Set(), up: new Set() };
+        const entry = inputs[this.inputIndex];
+        if (!entry || entry[0] > tick) return state;
+        
+        const [entryTick, pressed, down, up] = entry;
+        this.replay.actions.forEach((action, index) => {
+            const bit = 1 << index;
+            if (pressed & bit) state.pressed.add(action);
+            if (entryTick === tick && (down & bit)) state.down.add(action);
+            if (entryTick === tick && (up & bit)) state.up.add(action);
+        });
+        
+        return state;
+    }
+    
+    // Playback
+    
+    play(replay = this.lastReplay) {
+        if (!replay) {
+            this.game.showNotification('No replay to play', 2000, '#FF6666');
+            return false;
+        }
+        if (this.recording) {
+            this.stopRecording();
+        }
+        
+        // Come back to the current game once the replay is stopped
+        if (!this.playing) {
+            this.returnState = this.captureStart();
+        }
+        
+        this.replay = replay;
+        this.mode = 'playing';
+        this.speed = 1;
+        this.seek(0);
+        this.setPaused(false);
+        
+        this.game.showNotification(`Playing replay${replay.note ? `: ${replay.note}` : ''}`, 2000);
+        return true;
+    }
+    
+    stopPlayback() {
+        if (!this.playing) return;
+        
+        this.mode = 'idle';
+        this.replay = null;
+        this.game.inputManager.setActionOverride(null);
+        this.game.saveSystem.setSandbox(null);
+        this.game.timeScale = 1;
+        
+        if (this.returnState) {
+            this.beginRun(this.returnState);
+            this.returnState = null;
+        }
+    }
+    
+    togglePlayback() {
+        if (this.playing) {
+            this.stopPlayback();
+        } else {
+            this.play();
+        }
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(ReplaySystem.SPEEDS[0], Math.min(ReplaySystem.SPEEDS[ReplaySystem.SPEEDS.length - 1], speed));
+        this.game.timeScale = this.playbackPaused ? 0 : this.speed;
+    }
+    
+    // Step through SPEEDS (direction 1 = faster, -1 = slower)
+    changeSpeed(direction) {
+        const speeds = ReplaySystem.SPEEDS;
+        const index = speeds.indexOf(this.speed);
+        const next = speeds[Math.max(0, Math.min(speeds.length - 1, (index === -1 ? speeds.indexOf(1) : index) + direction))];
+        this.setSpeed(next);
+        this.game.showNotification(`Replay speed ${next}x`, 1000);
+    }
+    
+    setPaused(paused) {
+        // A finished replay restarts when resumed
+        if (!paused && this.tick >= this.replay.length) {
+            this.seek(0);
+        }
+        
+        this.playbackPaused = paused;
+        this.game.timeScale = paused ? 0 : this.speed;
+    }
+    
+    togglePaused() {
+        if (this.playing) {
+            this.setPaused(!this.playbackPaused);
+        }
+    }
+    
+    // Jump to a tick. The simulation can only run forwards, so this rebuilds the start and re-simulates up to it.
+    seek(tick) {
+        if (!this.playing) return;
+        
+        const game = this.game;
+        const target = Math.max(0, Math.min(this.replay.length, Math.round(tick)));
+        
+        this.beginRun(this.replay);
+        this.tick = 0;
+        this.inputIndex = 0;
+        
+        const muted = game.audioManager.muted;
+        game.audioManager.setMuted(true);
+        
+        game.deltaTime = game.fixedDeltaTime;
+        while (this.tick < target && this.playing) {
+            const tick = this.tick;
+            game.update();
+            if (this.tick === tick) break; // game paused or in a menu: updates don't advance the replay
+        }
+        
+        game.audioManager.setMuted(muted);
+        game.savePreviousPositions();
+        game.accumulator = 0;
+    }
+    
+    skip(seconds) {
+        if (this.playing) {
+            this.seek(this.tick + seconds * this.replay.tickRate);
+        }
+    }
+    
+    // Files
+    
+    save(replay = this.lastReplay) {
+        if (!replay) {
+            this.game.showNotification('No replay to save', 2000, '#FF6666');
+            return;
+        }
+        
+        const json = JSON.stringify(replay);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `replay_${String(replay.levelId).replace(/[^a-z0-9]/gi, '_')}_${replay.createdAt.replace(/[^0-9]/g, '').slice(0, 14)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    static parse(json) {
+        const replay = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        if (!replay || replay.format !== ReplaySystem.FORMAT) {
+            throw new Error('Not an Echo Genesis replay');
+        }
+        if (replay.version > ReplaySystem.VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than this game supports`);
+        }
+        
+        return replay;
+    }
+    
+    load(json) {
+        try {
+            this.lastReplay = ReplaySystem.parse(json);
+            return this.play(this.lastReplay);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.game.showNotification(`Failed to load replay: ${error.message}`, 3000, '#FF6666');
+            return false;
+        }
+    }
+    
+    // Pick a replay file (e.g. one attached to a bug report) and play it
+    openFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (event) => this.load(event.target.result);
+            reader.onerror = () => this.game.showNotification('Failed to read replay file', 3000, '#FF6666');
+            reader.readAsText(file);
+        });
+        
+        input.click();
+    }
+    
+    // Debug keys (see Game.setupEventHandlers)
+    handleKey(key) {
+        switch (key) {
+            case 'F5':
+                if (!this.playing) this.toggleRecording();
+                return true;
+            case 'F6':
+                this.save();
+                return true;
+            case 'F7':
+                this.openFile();
+                return true;
+            case 'F8':
+                this.togglePlayback();
+                return true;
+        }
+        
+        if (!this.playing) return false;
+        
+        switch (key) {
+            case '[':
+                this.changeSpeed(-1);
+                return true;
+            case ']':
+                this.changeSpeed(1);
+                return true;
+            case ',':
+                this.skip(-5);
+                return true;
+            case '.':
+                this.skip(5);
+                return true;
+            case '/':
+                this.togglePaused();
+                return true;
+        }
+        return false;
+    }
+    
+    formatTime(ticks, tickRate = 60) {
+        const seconds = ticks / tickRate;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+    }
+    
+    // Recording light, or playback position and speed with a progress bar
+    render(ctx, width, height) {
+        if (this.mode === 'idle') return;
+        
+        const replay = this.replay;
+        
+        ctx.save();
+        ctx.font = '14px monospace';
+        ctx.textAlign = 'right';
+        
+        if (this.recording) {
+            ctx.fillStyle = Math.floor(this.tick / (replay.tickRate / 2)) % 2 === 0 ? '#FF4444' : '#882222';
+            ctx.fillText(`● REC ${this.formatTime(this.tick, replay.tickRate)}`, width - 20, 30);
+        } else {
+            const status = this.playbackPaused ? '❚❚' : `▶ ${this.speed}x`;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(`${status} ${this.formatTime(this.tick, replay.tickRate)} / ${this.formatTime(replay.length, replay.tickRate)}`, width - 20, 30);
+            
+            const barWidth = 200;
+            const progress = replay.length > 0 ? this.tick / replay.length : 1;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(width - 20 - barWidth, 40, barWidth, 6);
+            ctx.fillStyle = '#FFD700';
+            ctx.fillRect(width - 20 - barWidth, 40, barWidth * progress, 6);
+        }
+        
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplaySystem;
+}
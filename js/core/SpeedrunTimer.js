@@ -0,0 +1,415 @@
+/**
+ * SpeedrunTimer - In-game speedrun timer for Echo Genesis
+ * Times runs over split routes, compares them against the personal best and best segments, and records a ghost of the best run
+ */
+class SpeedrunTimer {
+    // Named split routes
+    static routes = new Map();
+    
+    // Route fields:
+    //   name   - shown above the splits
+    //   start  - room id the run starts in (the run starts where the player is when left out)
+    //   splits - [{ name, room, checkpoint }] in order; a split with only a room is reached by entering
+    //            that room, one with a checkpoint by activating that checkpoint id in that room.
+    //            Reaching the last split finishes the run.
+    static define(id, route) {
+        this.routes.set(id, route);
+    }
+    
+    static has(id) {
+        return this.routes.has(id);
+    }
+    
+    // Load routes from a JSON string or an already parsed object ({ id: route })
+    static loadDefinitions(json) {
+        const routes = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [id, route] of Object.entries(routes)) {
+            this.define(id, route);
+        }
+        
+        return Object.keys(routes);
+    }
+    
+    // A route through the game's rooms in order, one split per room
+    static routeFromLevels(levels) {
+        return {
+            name: 'All Rooms',
+            start: levels[0].id,
+            splits: levels.slice(1).map(level => ({ name: level.name, room: level.id }))
+        };
+    }
+    
+    constructor(game) {
+        this.game = game;
+        this.routeId = null;
+        
+        // Current run (times are in game seconds, so pauses and menus don't count)
+        this.running = false;
+        this.finished = false;
+        this.time = 0;
+        this.ticks = 0;
+        this.splitIndex = 0;
+        this.splitTimes = [];
+        this.goldSplits = []; // which of this run's splits beat the best segment
+        
+        // Saved for the route: { personalBest: { time, splits, ghost, date }, bestSegments }
+        this.record = null;
+        
+        // Ghost: player positions sampled every `ghostInterval` ticks
+        this.ghostInterval = 2;
+        this.ghost = null;
+        this.ghostColor = '#88CCFF';
+        
+        // Colors
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.6)',
+            text: '#FFFFFF',
+            dim: '#999999',
+            ahead: '#44DD66',
+            behind: '#FF5555',
+            gold: '#FFD700',
+            current: 'rgba(255, 255, 255, 0.12)'
+        };
+    }
+    
+    get route() {
+        return SpeedrunTimer.routes.get(this.routeId) || null;
+    }
+    
+    // Step through the defined routes
+    cycleRoute() {
+        if (this.running) return;
+        
+        const ids = Array.from(SpeedrunTimer.routes.keys());
+        if (ids.length === 0) return;
+        
+        this.routeId = ids[(ids.indexOf(this.routeId) + 1) % ids.length];
+        this.finished = false;
+        this.game.showNotification(`Speedrun route: ${this.route.name}`, 1500);
+    }
+    
+    // Run control
+    
+    start(routeId = this.routeId) {
+        if (!SpeedrunTimer.has(routeId)) {
+            routeId = SpeedrunTimer.routes.keys().next().value;
+        }
+        const route = SpeedrunTimer.routes.get(routeId);
+        if (!route || !route.splits || route.splits.length === 0) {
+            this.game.showNotification('No speedrun route defined', 2000, '#FF6666');
+            return false;
+        }
+        
+        this.routeId = routeId;
+        
+        // Runs start fresh from the route's first room
+        const startIndex = this.game.levels.findIndex(level => level.id === route.start);
+        if (startIndex !== -1) {
+            this.game.startLevel(startIndex);
+        }
+        
+        const player = this.game.player;
+        this.record = this.game.saveSystem.getSpeedrun(routeId) || { personalBest: null, bestSegments: [] };
+        
+        this.running = true;
+        this.finished = false;
+        this.time = 0;
+        this.ticks = 0;
+        this.splitIndex = 0;
+        this.splitTimes = [];
+        this.goldSplits = [];
+        this.ghost = {
+            interval: this.ghostInterval * this.game.fixedDeltaTime,
+            width: player ? player.size.x : 32,
+            height: player ? player.size.y : 32,
+            frames: [],
+            rooms: []
+        };
+        this.recordGhostFrame();
+        
+        this.game.showNotification(`Run started: ${route.name}`, 1500);
+        return true;
+    }
+    
+    // Abandon the run; best segments reached so far are still kept
+    reset() {
+        if (!this.running) return;
+        
+        this.running = false;
+        this.finished = false;
+        this.saveBestSegments();
+        this.game.showNotification('Run reset', 1500);
+    }
+    
+    toggle() {
+        if (this.running) {
+            this.reset();
+        } else {
+            this.start();
+        }
+    }
+    
+    finish() {
+        this.running = false;
+        this.finished = true;
+        
+        const best = this.record.personalBest;
+        if (!best || this.time < best.time) {
+            this.record.personalBest = {
+                time: this.time,
+                splits: this.splitTimes.slice(),
+                ghost: this.ghost,
+                date: new Date().toISOString()
+            };
+            this.game.showNotification(`New personal best! ${this.formatTime(this.time)}`, 3000, this.colors.gold);
+        } else {
+            this.game.showNotification(`Run finished: ${this.formatTime(this.time)}`, 3000);
+        }
+        
+        this.saveBestSegments();
+    }
+    
+    saveBestSegments() {
+        this.splitTimes.forEach((time, index) => {
+            const segment = time - (index > 0 ? this.splitTimes[index - 1] : 0);
+            if (this.isBestSegment(index, segment)) {
+                this.record.bestSegments[index] = segment;
+            }
+        });
+        
+        this.game.saveSystem.setSpeedrun(this.routeId, this.record);
+    }
+    
+    // Segments never run are saved as null
+    isBestSegment(index, segment) {
+        const best = this.record.bestSegments[index];
+        return typeof best !== 'number' || segment < best;
+    }
+    
+    // Splits (called from Game's world event listeners)
+    
+    reachRoom(levelId) {
+        const split = this.getCurrentSplit();
+        if (split && !split.checkpoint && split.room === levelId) {
+            this.split();
+        }
+    }
+    
+    reachCheckpoint(checkpoint) {
+        const split = this.getCurrentSplit();
+        if (split && split.checkpoint && checkpoint.persistenceKey === `${split.room}:${split.checkpoint}`) {
+            this.split();
+        }
+    }
+    
+    getCurrentSplit() {
+        if (!this.running || this.game.replays.playing) return null;
+        return this.route.splits[this.splitIndex] || null;
+    }
+    
+    split() {
+        const segment = this.time - (this.splitIndex > 0 ? this.splitTimes[this.splitIndex - 1] : 0);
+        
+        this.goldSplits[this.splitIndex] = this.isBestSegment(this.splitIndex, segment);
+        this.splitTimes.push(this.time);
+        this.splitIndex++;
+        
+        if (this.splitIndex >= this.route.splits.length) {
+            this.finish();
+        }
+    }
+    
+    // Time and ghost (called by Game.update every simulation step)
+    update(deltaTime) {
+        if (!this.running || this.game.replays.playing) return;
+        
+        this.time += deltaTime;
+        this.ticks++;
+        
+        if (this.ticks % this.ghostInterval === 0) {
+            this.recordGhostFrame();
+        }
+    }
+    
+    // Frame n is the player at n * interval seconds into the run
+    recordGhostFrame() {
+        const player = this.game.player;
+        if (!player) return;
+        
+        const rooms = this.ghost.rooms;
+        const levelId = this.game.world.levelId;
+        if (rooms.length === 0 || rooms[rooms.length - 1][1] !== levelId) {
+            rooms.push([this.ghost.frames.length, levelId]);
+        }
+        
+        this.ghost.frames.push([
+            Math.round(player.position.x * 10) / 10,
+            Math.round(player.position.y * 10) / 10,
+            player.facingDirection
+        ]);
+    }
+    
+    // Where the personal best's player was at this point of the run, if in the current room.
+    // `lag` puts the ghost as far behind as render interpolation puts everything else.
+    getGhostPose(lag = 0) {
+        if (!this.running || this.game.replays.playing) return null;
+        
+        const ghost = this.record.personalBest && this.record.personalBest.ghost;
+        if (!ghost || ghost.frames.length === 0) return null;
+        
+        const position = Math.max(0, this.time - lag) / ghost.interval;
+        const index = Math.floor(position);
+        if (index >= ghost.frames.length) return null;
+        
+        // Rooms are stored as [first frame, level id]; the ghost only shows in the room it was in
+        let room = null;
+        let nextRoomFrame = Infinity;
+        for (const [frame, levelId] of ghost.rooms) {
+            if (frame > index) {
+                nextRoomFrame = frame;
+                break;
+            }
+            room = levelId;
+        }
+        if (room !== this.game.world.levelId) return null;
+        
+        const [x, y, facing] = ghost.frames[index];
+        const next = index + 1 < ghost.frames.length && index + 1 < nextRoomFrame ? ghost.frames[index + 1] : null;
+        const t = position - index;
+        
+        return {
+            x: next ? x + (next[0] - x) * t : x,
+            y: next ? y + (next[1] - y) * t : y,
+            width: ghost.width,
+            height: ghost.height,
+            facing: facing,
+            color: this.ghostColor
+        };
+    }
+    
+    // Display
+    
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds % 60).toFixed(2).padStart(5, '0');
+        return minutes > 0 ? `${minutes}:${rest}` : (seconds % 60).toFixed(2);
+    }
+    
+    formatDelta(seconds) {
+        const sign = seconds < 0 ? '-' : '+';
+        const magnitude = Math.abs(seconds);
+        return sign + (magnitude >= 60 ? this.formatTime(magnitude) : magnitude.toFixed(1));
+    }
+    
+    // Split list with deltas against the personal best, gold for best segments, and the run time
+    render(ctx, width, height) {
+        if ((!this.running && !this.finished) || !this.route || this.game.replays.playing) return;
+        
+        const splits = this.route.splits;
+        const best = this.record.personalBest;
+        const panelWidth = 240;
+        const rowHeight = 18;
+        const maxRows = 8;
+        
+        // Keep the current split in view on long routes
+        const first = Math.max(0, Math.min(this.splitIndex - Math.floor(maxRows / 2), splits.length - maxRows));
+        const visible = splits.slice(first, first + maxRows);
+        
+        const x = width - 20 - panelWidth;
+        const y = 60;
+        const panelHeight = 28 + visible.length * rowHeight + 44;
+        
+        ctx.save();
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(x, y, panelWidth, panelHeight);
+        
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(this.route.name, x + panelWidth / 2, y + 18);
+        
+        ctx.font = '13px Arial';
+        visible.forEach((split, offset) => {
+            const index = first + offset;
+            const rowY = y + 28 + offset * rowHeight;
+            
+            if (index === this.splitIndex && this.running) {
+                ctx.fillStyle = this.colors.current;
+                ctx.fillRect(x, rowY, panelWidth, rowHeight);
+            }
+            
+            ctx.textAlign = 'left';
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(split.name, x + 8, rowY + 13);
+            
+            ctx.textAlign = 'right';
+            const time = this.splitTimes[index];
+            const bestTime = best ? best.splits[index] : undefined;
+            
+            if (time === undefined) {
+                // Not reached yet: the personal best's split time
+                ctx.fillStyle = this.colors.dim;
+                ctx.fillText(bestTime !== undefined ? this.formatTime(bestTime) : '-', x + panelWidth - 8, rowY + 13);
+                return;
+            }
+            
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(this.formatTime(time), x + panelWidth - 8, rowY + 13);
+            
+            if (bestTime !== undefined) {
+                const delta = time - bestTime;
+                ctx.fillStyle = this.goldSplits[index] ? this.colors.gold : (delta < 0 ? this.colors.ahead : this.colors.behind);
+                ctx.fillText(this.formatDelta(delta), x + panelWidth - 80, rowY + 13);
+            } else if (this.goldSplits[index]) {
+                ctx.fillStyle = this.colors.gold;
+                ctx.fillText('★', x + panelWidth - 80, rowY + 13);
+            }
+        });
+        
+        // Run time, colored by pace against the personal best's next split
+        const timerY = y + 28 + visible.length * rowHeight + 28;
+        const paceTime = best ? best.splits[Math.min(this.splitIndex, best.splits.length - 1)] : undefined;
+        let color = this.colors.text;
+        if (this.finished && best) {
+            color = this.time <= best.time ? this.colors.gold : this.colors.behind;
+        } else if (paceTime !== undefined && this.time > paceTime) {
+            color = this.colors.behind;
+        }
+        
+        ctx.font = 'bold 24px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = color;
+        ctx.fillText(this.formatTime(this.time), x + panelWidth - 8, timerY);
+        
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.colors.dim;
+        ctx.fillText(best ? `PB ${this.formatTime(best.time)}` : 'No PB', x + 8, timerY - 14);
+        
+        const sumOfBest = this.getSumOfBest();
+        if (sumOfBest !== null) {
+            ctx.fillText(`SoB ${this.formatTime(sumOfBest)}`, x + 8, timerY);
+        }
+        
+        ctx.restore();
+    }
+    
+    // Best possible time: the best segments added up, once every segment has one
+    getSumOfBest() {
+        const segments = this.record.bestSegments;
+        const splits = this.route.splits;
+        
+        let total = 0;
+        for (let i = 0; i < splits.length; i++) {
+            if (typeof segments[i] !== 'number') return null;
+            total += segments[i];
+        }
+        return total;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeedrunTimer;
+}
@@ -0,0 +1,126 @@
+/**
+ * TileDefinitions - Per-tile properties for Echo Genesis tilesets
+ * Maps collision tile IDs to solid, one-way, hazard damage, friction, bounciness, ladder and water properties
+ */
+class TileDefinitions {
+    // Named tileset definitions (see Tilesets.js): { name, extends, tiles: { tileId: properties } }
+    static definitions = new Map();
+    
+    // Tile fields (all optional):
+    //   name       - shown in the editor palette
+    //   color      - editor and map color
+    //   solid      - blocks movement from every side (default true; false for one-way, ladder and water tiles)
+    //   oneWay     - only blocks from above, so bodies can jump up through it and drop down through it
+    //   damage     - hazard damage dealt to the player on contact
+    //   friction   - ground grip, 1 = normal, towards 0 = slippery
+    //   bounciness - fraction of falling speed bounced back on landing
+    //   ladder     - climbable with up/down
+    //   water      - swimmable, behaves like a water area
+    //   slope      - [leftHeight, rightHeight] surface heights as fractions of the tile (0 = bottom, 1 = top);
+    //                bodies stand on the surface and the flat underside blocks from below
+    static DEFAULT_PROPERTIES = {
+        solid: true,
+        oneWay: false,
+        damage: 0,
+        friction: 1,
+        bounciness: 0,
+        ladder: false,
+        water: false
+    };
+    
+    static define(name, definition) {
+        this.definitions.set(name, definition);
+    }
+    
+    static has(name) {
+        return this.definitions.has(name);
+    }
+    
+    // Load definitions from a JSON string or an already parsed object ({ name: definition })
+    static loadDefinitions(json) {
+        const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [name, definition] of Object.entries(definitions)) {
+            this.define(name, definition);
+        }
+        
+        return Object.keys(definitions);
+    }
+    
+    // Tile table for a named tileset, following `extends` to its parents
+    static getTiles(name, depth = 0) {
+        const definition = this.definitions.get(name);
+        if (!definition || depth > 8) return {};
+        
+        const parent = definition.extends ? this.getTiles(definition.extends, depth + 1) : {};
+        return { ...parent, ...(definition.tiles || {}) };
+    }
+    
+    static fromTileset(name) {
+        return new TileDefinitions(this.getTiles(name));
+    }
+    
+    // A level's tile table: the built-in tiles of each tileset it uses, then any tiles the level defines itself
+    static forLevel(levelData) {
+        let tiles = {};
+        
+        for (const tileset of levelData.tilesets || []) {
+            tiles = { ...tiles, ...this.getTiles(tileset.id), ...(tileset.tiles || {}) };
+        }
+        
+        return new TileDefinitions(tiles);
+    }
+    
+    static normalize(properties) {
+        // One-way, ladder, water and slope tiles don't block as whole boxes unless they say so
+        const passable = properties.oneWay || properties.ladder || properties.water || properties.slope;
+        return { ...this.DEFAULT_PROPERTIES, solid: !passable, ...properties };
+    }
+    
+    // Y of a slope's surface at x, for a slope tile `rect` ({ x, y, width, height }) with `slope` [leftHeight, rightHeight]
+    static slopeSurfaceY(rect, slope, x) {
+        const t = Math.max(0, Math.min(1, (x - rect.x) / rect.width));
+        return rect.y + rect.height * (1 - (slope[0] + (slope[1] - slope[0]) * t));
+    }
+    
+    constructor(tiles = {}) {
+        this.tiles = new Map();
+        
+        for (const [id, properties] of Object.entries(tiles)) {
+            this.tiles.set(Number(id), TileDefinitions.normalize(properties));
+        }
+        
+        // Tiles without a definition are plain solid blocks
+        this.fallback = TileDefinitions.normalize({});
+    }
+    
+    // Properties of a tile ID, or null for empty tiles
+    get(tileId) {
+        if (!tileId) return null;
+        return this.tiles.get(tileId) || this.fallback;
+    }
+    
+    isSolid(tileId) {
+        const properties = this.get(tileId);
+        return !!properties && properties.solid;
+    }
+    
+    // Something a body can stand on
+    isSupport(tileId) {
+        const properties = this.get(tileId);
+        return !!properties && (properties.solid || properties.oneWay || !!properties.slope);
+    }
+    
+    // Whether any defined tile has a property set (lets systems skip tile scans they don't need)
+    any(property) {
+        for (const properties of this.tiles.values()) {
+            if (properties[property]) return true;
+        }
+        return false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileDefinitions;
+}
@@ -0,0 +1,41 @@
+/**
+ * Tilesets - Built-in tile definitions for Echo Genesis
+ * Plain JSON data; levels can override tiles through their own tileset entries ({ id, tiles })
+ */
+
+TileDefinitions.loadDefinitions({
+    "default": {
+        "name": "Default Tileset",
+        "tiles": {
+            "1": { "name": "Ground", "color": "#4a5568" },
+            "2": { "name": "Stone", "color": "#2d3748" },
+            "3": { "name": "Dark Stone", "color": "#1a202c" },
+            "4": { "name": "Platform", "color": "#4fd1c7", "oneWay": true },
+            "5": { "name": "Water", "color": "#38b2ac", "water": true },
+            "6": { "name": "Spikes", "color": "#e53e3e", "damage": 20 },
+            "7": { "name": "Ice", "color": "#bee3f8", "friction": 0.1 },
+            "8": { "name": "Bounce Pad", "color": "#d69e2e", "bounciness": 0.9 },
+            "9": { "name": "Ladder", "color": "#975a16", "ladder": true },
+            "10": { "name": "Lava", "color": "#dd6b20", "solid": false, "damage": 30 },
+            "11": { "name": "Ladder Top", "color": "#b7791f", "ladder": true, "oneWay": true },
+            "12": { "name": "Slope Up 45°", "color": "#718096", "slope": [0, 1] },
+            "13": { "name": "Slope Down 45°", "color": "#718096", "slope": [1, 0] },
+            "14": { "name": "Slope Up 22.5° (low)", "color": "#a0aec0", "slope": [0, 0.5] },
+            "15": { "name": "Slope Up 22.5° (high)", "color": "#a0aec0", "slope": [0.5, 1] },
+            "16": { "name": "Slope Down 22.5° (high)", "color": "#a0aec0", "slope": [1, 0.5] },
+            "17": { "name": "Slope Down 22.5° (low)", "color": "#a0aec0", "slope": [0.5, 0] }
+        }
+    },
+    
+    "forest": {
+        "name": "Forest Tileset",
+        "extends": "default",
+        "tiles": {
+            "1": { "name": "Tree Trunk", "color": "#2d5016" },
+            "2": { "name": "Forest Ground", "color": "#1a2f0a" },
+            "3": { "name": "Deep Ground", "color": "#0f1f05" },
+            "4": { "name": "Mossy Branch", "color": "#4a7c20", "oneWay": true },
+            "5": { "name": "Foliage", "color": "#6b9932", "solid": false }
+        }
+    }
+});
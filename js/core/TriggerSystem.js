@@ -0,0 +1,270 @@
+/**
+ * TriggerSystem - Runs the level triggers placed in level data for Echo Genesis
+ * Detects player enter/stay/exit, evaluates trigger conditions and executes trigger actions
+ */
+class TriggerSystem {
+    constructor(world) {
+        this.world = world;
+        
+        // Registered action handlers (name -> handler(params, trigger, player))
+        this.actions = new Map();
+        
+        // Delayed callbacks driven by world time (camera pan returns, etc.)
+        this.timers = [];
+        
+        this.registerDefaultActions();
+    }
+    
+    registerDefaultActions() {
+        this.registerAction('setFlag', (params) => {
+            this.world.setFlag(params.flag, params.value !== undefined ? params.value : true);
+        });
+        
+        this.registerAction('spawnEntity', (params) => {
+            const data = params.entity || {
+                id: params.id,
+                type: params.entityType,
+                x: params.x,
+                y: params.y,
+                properties: params.properties || {}
+            };
+            
+            this.world.spawnEntity(data);
+        });
+        
+        // Open or seal walls: x, y, width and height in tiles; tile is the collision tile ID (0 clears)
+        this.registerAction('setTile', (params) => {
+            const width = params.width || 1;
+            const height = params.height || 1;
+            for (let y = params.y; y < params.y + height; y++) {
+                for (let x = params.x; x < params.x + width; x++) {
+                    this.world.setCollisionTile(x, y, params.tile || 0);
+                }
+            }
+        });
+        
+        this.registerAction('playMusic', (params) => {
+            if (window.game && window.game.audioManager) {
+                window.game.audioManager.playMusic(params.music || params.track);
+            }
+        });
+        
+        this.registerAction('showNotification', (params) => {
+            if (window.game) {
+                window.game.showNotification(params.text, params.duration, params.color);
+            }
+        });
+        
+        this.registerAction('cameraPan', (params, trigger, player) => {
+            this.panCamera(params, player);
+        });
+        
+        this.registerAction('setWeather', (params) => {
+            const { weather, intensity = 1.0, ...options } = params;
+            this.world.setWeather(weather, intensity, options);
+        });
+        
+        this.registerAction('startDialogue', (params) => {
+            this.world.dialogue.start(params.dialogue, null, params.node || null);
+        });
+        
+        this.registerAction('playCutscene', (params) => {
+            if (window.game && window.game.cutscenes) {
+                window.game.cutscenes.play(params.cutscene);
+            }
+        });
+        
+        this.registerAction('loadLevel', (params) => {
+            this.world.startLevelTransition(params.level, params.spawn || null, {
+                type: params.transitionType,
+                direction: params.direction
+            });
+        });
+    }
+    
+    registerAction(name, handler) {
+        this.actions.set(name, handler);
+    }
+    
+    update(deltaTime) {
+        this.updateTimers(deltaTime);
+        
+        const triggers = this.world.triggers;
+        if (!triggers || triggers.length === 0) return;
+        
+        const player = this.world.getPlayer();
+        const playerBounds = player ? player.getBounds() : null;
+        const levelData = this.world.levelData;
+        
+        for (const trigger of triggers.slice()) {
+            if (trigger.cooldownTimer > 0) {
+                trigger.cooldownTimer -= deltaTime;
+            }
+            
+            const inside = playerBounds !== null && this.world.boundsOverlap(trigger.bounds, playerBounds);
+            
+            let event = null;
+            if (inside) {
+                event = trigger.inside ? 'stay' : 'enter';
+            } else if (trigger.inside) {
+                event = 'exit';
+            }
+            trigger.inside = inside;
+            
+            if (event && event === this.getTriggerEvent(trigger)) {
+                this.tryFire(trigger, player);
+            }
+            
+            // An action swapped the level out from under us
+            if (this.world.levelData !== levelData) break;
+        }
+    }
+    
+    getTriggerEvent(trigger) {
+        return trigger.type === 'stay' || trigger.type === 'exit' ? trigger.type : 'enter';
+    }
+    
+    tryFire(trigger, player) {
+        const mode = trigger.properties.mode || 'once';
+        
+        if (mode === 'once' && trigger.triggered) return false;
+        if (mode === 'cooldown' && trigger.cooldownTimer > 0) return false;
+        if (!this.checkConditions(trigger.conditions, player)) return false;
+        
+        trigger.triggered = true;
+        trigger.fireCount++;
+        
+        if (mode === 'cooldown') {
+            trigger.cooldownTimer = trigger.properties.cooldown !== undefined ? trigger.properties.cooldown : 1.0;
+        }
+        
+        for (const action of this.getActions(trigger)) {
+            this.executeAction(action, trigger, player);
+        }
+        
+        this.world.triggerEvent('triggerFired', { trigger: trigger, player: player });
+        return true;
+    }
+    
+    // Condition evaluation against world flags, collectibles and player abilities
+    checkConditions(conditions, player) {
+        if (!conditions) return true;
+        
+        if (conditions.flags) {
+            for (const [name, value] of Object.entries(conditions.flags)) {
+                if (this.world.getFlag(name) !== value) return false;
+            }
+        }
+        
+        if (conditions.notFlags) {
+            for (const name of conditions.notFlags) {
+                if (this.world.getFlag(name)) return false;
+            }
+        }
+        
+        if (conditions.collected) {
+            for (const id of conditions.collected) {
+                if (!this.world.isItemCollected(id)) return false;
+            }
+        }
+        
+        if (conditions.collectibles) {
+            for (const [type, count] of Object.entries(conditions.collectibles)) {
+                if (this.world.getCollectionCount(type) < count) return false;
+            }
+        }
+        
+        if (conditions.abilities) {
+            if (!player) return false;
+            for (const ability of conditions.abilities) {
+                if (!player.hasAbility(ability)) return false;
+            }
+        }
+        
+        if (conditions.missingAbilities && player) {
+            for (const ability of conditions.missingAbilities) {
+                if (player.hasAbility(ability)) return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    // A trigger's action is either a name (parameters in properties) or a list of action objects
+    getActions(trigger) {
+        if (Array.isArray(trigger.action)) {
+            return trigger.action;
+        }
+        
+        if (trigger.action && typeof trigger.action === 'object') {
+            return [trigger.action];
+        }
+        
+        if (trigger.action) {
+            return [{ ...trigger.properties, type: trigger.action }];
+        }
+        
+        return [];
+    }
+    
+    executeAction(action, trigger, player) {
+        const handler = this.actions.get(action.type);
+        
+        if (!handler) {
+            console.warn(`Unknown trigger action: ${action.type}`);
+            return;
+        }
+        
+        try {
+            handler(action, trigger, player);
+        } catch (error) {
+            console.error(`Trigger action '${action.type}' failed:`, error);
+        }
+    }
+    
+    panCamera(params, player) {
+        const camera = window.game && window.game.camera;
+        if (!camera) return;
+        
+        const duration = params.duration !== undefined ? params.duration : 1.0;
+        const hold = params.hold !== undefined ? params.hold : 1.0;
+        const target = new Vector2(params.x - camera.width / 2, params.y - camera.height / 2);
+        
+        camera.stopFollowing();
+        camera.startTransition('slide', target, duration, () => {
+            if (params.returnToPlayer === false || !player) return;
+            
+            this.addTimer(hold, () => {
+                const center = player.getCenter();
+                const back = new Vector2(center.x - camera.width / 2, center.y - camera.height / 2);
+                camera.startTransition('slide', back, duration, () => camera.follow(player));
+            });
+        });
+    }
+    
+    // Timers
+    addTimer(delay, callback) {
+        this.timers.push({ timeLeft: delay, callback: callback });
+    }
+    
+    updateTimers(deltaTime) {
+        for (let i = this.timers.length - 1; i >= 0; i--) {
+            const timer = this.timers[i];
+            timer.timeLeft -= deltaTime;
+            
+            if (timer.timeLeft <= 0) {
+                this.timers.splice(i, 1);
+                timer.callback();
+            }
+        }
+    }
+    
+    reset() {
+        this.timers = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TriggerSystem;
+}
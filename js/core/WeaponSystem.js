@@ -0,0 +1,307 @@
+/**
+ * WeaponSystem - Ranged weapons for Echo Genesis
+ * Fires pooled projectiles from weapon definitions, with fire rate, spread, charge shots, ammo and energy
+ */
+class WeaponSystem {
+    // Named weapon definitions (see Weapons.js)
+    static definitions = new Map();
+    
+    // Definition fields (all optional):
+    //   name        - display name
+    //   fireRate    - shots per second
+    //   automatic   - keep firing while fire is held
+    //   projectiles - projectiles per shot
+    //   spread      - cone in degrees the projectiles fan out over (random when there's one projectile)
+    //   speed       - projectile speed in pixels per second
+    //   damage      - per projectile (defaults to the owner's rangedAttack damage)
+    //   cost        - { energy } or { ammo } spent per shot
+    //   maxAmmo     - ammo capacity for ammo weapons
+    //   charge      - { time, minCharge, damageMultiplier, speedMultiplier, sizeMultiplier }: hold fire to charge,
+    //                 release to shoot; charges under minCharge (0-1) fire a normal shot
+    //   projectile  - Projectile config (projectileType, width, height, color, gravity, piercing, explosive, ...)
+    //   sound       - sound played when firing
+    static define(name, definition) {
+        this.definitions.set(name, definition);
+    }
+    
+    static has(name) {
+        return this.definitions.has(name);
+    }
+    
+    // Load definitions from a JSON string or an already parsed object ({ name: definition })
+    static loadDefinitions(json) {
+        const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        for (const [name, definition] of Object.entries(definitions)) {
+            this.define(name, definition);
+        }
+        
+        return Object.keys(definitions);
+    }
+    
+    constructor(owner) {
+        this.owner = owner;
+        
+        // Owned weapons in pickup order, and the equipped one
+        this.weapons = [];
+        this.currentIndex = -1;
+        this.ammo = new Map();
+        
+        // Shared energy pool for energy weapons
+        this.maxEnergy = 100;
+        this.energy = this.maxEnergy;
+        this.energyRegen = 25; // per second
+        
+        // Firing state
+        this.cooldown = 0;
+        this.charging = false;
+        this.chargeTime = 0;
+        
+        // Aim direction (unit vector), from movement input
+        this.aim = new Vector2(1, 0);
+        
+        // Projectiles load from an ES module; start fetching the class early
+        EntityRegistry.loadClass('projectile').catch(error => console.error(error.message));
+    }
+    
+    get current() {
+        return this.weapons[this.currentIndex] || null;
+    }
+    
+    getDefinition(name = this.current) {
+        return WeaponSystem.definitions.get(name) || null;
+    }
+    
+    addWeapon(name, equip = true) {
+        const definition = WeaponSystem.definitions.get(name);
+        if (!definition) {
+            console.warn(`Unknown weapon: ${name}`);
+            return false;
+        }
+        
+        if (!this.weapons.includes(name)) {
+            this.weapons.push(name);
+            if (definition.maxAmmo) {
+                this.ammo.set(name, definition.maxAmmo);
+            }
+        }
+        
+        if (equip || this.currentIndex === -1) {
+            this.equip(name);
+        }
+        return true;
+    }
+    
+    hasWeapon(name) {
+        return this.weapons.includes(name);
+    }
+    
+    equip(name) {
+        const index = this.weapons.indexOf(name);
+        if (index === -1) return false;
+        
+        this.currentIndex = index;
+        this.cancelCharge();
+        return true;
+    }
+    
+    cycle(direction = 1) {
+        if (this.weapons.length < 2) return;
+        
+        this.currentIndex = (this.currentIndex + direction + this.weapons.length) % this.weapons.length;
+        this.cancelCharge();
+        
+        const definition = this.getDefinition();
+        if (window.game) {
+            window.game.showNotification(definition.name || this.current, 1000);
+        }
+    }
+    
+    addAmmo(name, amount) {
+        const definition = WeaponSystem.definitions.get(name);
+        if (!definition || !definition.maxAmmo) return;
+        
+        this.ammo.set(name, Math.min(definition.maxAmmo, (this.ammo.get(name) || 0) + amount));
+    }
+    
+    update(deltaTime, input) {
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+        }
+        this.energy = Math.min(this.maxEnergy, this.energy + this.energyRegen * deltaTime);
+        
+        if (!input) return;
+        
+        this.updateAim(input);
+        
+        if (input.isActionDown('switchWeapon')) {
+            this.cycle(1);
+        }
+        
+        const definition = this.getDefinition();
+        if (!definition) return;
+        
+        if (definition.charge) {
+            this.updateCharge(definition, input, deltaTime);
+        } else if (definition.automatic ? input.isActionPressed('fire') : input.isActionDown('fire')) {
+            this.fire(0);
+        }
+    }
+    
+    // Aim follows the direction being held (8-way); with nothing held, straight ahead
+    updateAim(input) {
+        const movement = input.getMovementVector();
+        
+        // Aiming down only makes sense in the air
+        if (movement.y > 0 && this.owner.isGrounded) {
+            movement.y = 0;
+        }
+        
+        if (movement.x === 0 && movement.y === 0) {
+            this.aim.set(this.owner.facingDirection || 1, 0);
+        } else {
+            this.aim = movement.normalized();
+        }
+    }
+    
+    updateCharge(definition, input, deltaTime) {
+        if (input.isActionPressed('fire') && (this.charging || this.cooldown <= 0)) {
+            this.charging = true;
+            this.chargeTime = Math.min(definition.charge.time || 1, this.chargeTime + deltaTime);
+        } else if (this.charging) {
+            const charge = this.getChargeLevel();
+            this.cancelCharge();
+            this.fire(charge >= (definition.charge.minCharge || 0) ? charge : 0);
+        }
+    }
+    
+    // 0-1
+    getChargeLevel() {
+        const definition = this.getDefinition();
+        if (!definition || !definition.charge) return 0;
+        return this.chargeTime / (definition.charge.time || 1);
+    }
+    
+    cancelCharge() {
+        this.charging = false;
+        this.chargeTime = 0;
+    }
+    
+    canAfford(definition) {
+        const cost = definition.cost || {};
+        if (cost.energy && this.energy < cost.energy) return false;
+        if (cost.ammo && (this.ammo.get(this.current) || 0) < cost.ammo) return false;
+        return true;
+    }
+    
+    fire(charge = 0) {
+        const definition = this.getDefinition();
+        const world = window.game && window.game.world;
+        if (!definition || !world || this.cooldown > 0) return false;
+        
+        if (!this.canAfford(definition)) {
+            this.owner.playSound('weaponEmpty');
+            return false;
+        }
+        
+        // Charged shots scale up from the base shot
+        const chargeConfig = definition.charge || {};
+        const scale = (multiplier) => 1 + ((multiplier || 1) - 1) * charge;
+        
+        const baseDamage = definition.damage !== undefined ? definition.damage :
+            (this.owner.abilities.get('rangedAttack') || {}).damage || 10;
+        const damage = baseDamage * scale(chargeConfig.damageMultiplier);
+        const speed = (definition.speed || 400) * scale(chargeConfig.speedMultiplier);
+        const size = scale(chargeConfig.sizeMultiplier);
+        
+        const projectileConfig = definition.projectile || {};
+        const width = (projectileConfig.width || 8) * size;
+        const height = (projectileConfig.height || 8) * size;
+        
+        // Fan the projectiles out across the spread cone, centered on the aim
+        const count = definition.projectiles || 1;
+        const spread = (definition.spread || 0) * Math.PI / 180;
+        const aimAngle = Math.atan2(this.aim.y, this.aim.x);
+        const origin = this.getMuzzlePosition();
+        let fired = 0;
+        
+        for (let i = 0; i < count; i++) {
+            const offset = count > 1 ?
+                -spread / 2 + spread * i / (count - 1) :
+                (Random.value() - 0.5) * spread;
+            const angle = aimAngle + offset;
+            
+            const projectile = world.createProjectile({
+                ...projectileConfig,
+                x: origin.x - width / 2,
+                y: origin.y - height / 2,
+                width: width,
+                height: height,
+                velocityX: Math.cos(angle) * speed,
+                velocityY: Math.sin(angle) * speed,
+                damage: damage,
+                owner: this.owner,
+                team: 'player'
+            });
+            if (projectile) fired++;
+        }
+        
+        // Nothing spawned (the projectile class is still loading), so the shot costs nothing
+        if (fired === 0) return false;
+        
+        // Pay for the shot
+        const cost = definition.cost || {};
+        if (cost.energy) {
+            this.energy -= cost.energy;
+        }
+        if (cost.ammo) {
+            this.ammo.set(this.current, this.ammo.get(this.current) - cost.ammo);
+        }
+        
+        this.cooldown = 1 / (definition.fireRate || 4);
+        
+        world.createEffect('sparks', origin.x, origin.y, { burst: charge > 0 ? 10 : 4, speed: [60, 140] });
+        this.owner.playSound(definition.sound || 'shoot');
+        world.triggerEvent('weaponFired', { owner: this.owner, weapon: this.current, charge: charge });
+        
+        return true;
+    }
+    
+    // Save data: owned weapons, the equipped one and ammo counts
+    toJSON() {
+        return {
+            weapons: [...this.weapons],
+            current: this.current,
+            ammo: Object.fromEntries(this.ammo),
+            energy: this.energy
+        };
+    }
+    
+    loadJSON(data) {
+        for (const name of data.weapons || []) {
+            this.addWeapon(name, false);
+        }
+        for (const [name, amount] of Object.entries(data.ammo || {})) {
+            this.ammo.set(name, amount);
+        }
+        if (data.current) {
+            this.equip(data.current);
+        }
+        if (data.energy !== undefined) {
+            this.energy = data.energy;
+        }
+    }
+    
+    getMuzzlePosition() {
+        const center = this.owner.getCenter();
+        return new Vector2(
+            center.x + this.aim.x * this.owner.size.x * 0.75,
+            center.y + this.aim.y * this.owner.size.y * 0.5
+        );
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeaponSystem;
+}
@@ -0,0 +1,289 @@
+/**
+ * Weather - Level-wide weather effects for Echo Genesis
+ * Each weather type drives its own screen particles, pushes airborne objects, changes surface grip and plays ambient audio
+ */
+class Weather {
+    constructor(world, intensity = 1.0, options = {}) {
+        this.world = world;
+        this.type = 'clear';
+        this.intensity = Math.max(0, intensity);
+        this.options = options;
+        
+        // Physics: constant wind force on airborne objects and how slippery the ground becomes at full intensity (0-1)
+        this.wind = new Vector2(options.windX || 0, options.windY || 0);
+        this.slickness = 0;
+        
+        // Ambient loop played through AudioManager.playAmbientSound
+        this.ambientSound = options.ambientSound || null;
+        this.ambientVolume = options.ambientVolume !== undefined ? options.ambientVolume : 0.6;
+        
+        // Particles live in a wrapping field the size of the view, anchored to the world
+        this.particles = [];
+        this.particleCount = 0;
+        this.fieldWidth = 1280;
+        this.fieldHeight = 720;
+        this.parallax = 1.0; // how much the particle field follows the camera
+        
+        this.time = 0;
+        this.active = false;
+    }
+    
+    start() {
+        this.active = true;
+        this.spawnParticles();
+        
+        const audioManager = this.getAudioManager();
+        if (audioManager && this.ambientSound) {
+            audioManager.playAmbientSound(this.ambientSound, this.ambientVolume * Math.min(1, this.intensity));
+        }
+    }
+    
+    stop() {
+        this.active = false;
+        this.clearForces();
+        
+        const audioManager = this.getAudioManager();
+        if (audioManager && this.ambientSound) {
+            audioManager.stopAmbientSound(this.ambientSound);
+        }
+    }
+    
+    setIntensity(intensity) {
+        this.intensity = Math.max(0, intensity);
+        this.spawnParticles();
+    }
+    
+    getAudioManager() {
+        return window.game && window.game.audioManager ? window.game.audioManager : null;
+    }
+    
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        this.time += deltaTime;
+        this.applyPhysics(deltaTime);
+        
+        for (const particle of this.particles) {
+            this.updateParticle(particle, deltaTime);
+        }
+    }
+    
+    // Wind pushes airborne objects; grounded or weightless objects are left alone
+    applyPhysics(deltaTime) {
+        const force = this.getWindForce();
+        
+        for (const obj of this.world.gameObjects) {
+            if (!obj.active || obj.destroyed || obj.hasTag('tile')) continue;
+            
+            obj.weatherForce = obj.weatherForce || new Vector2(0, 0);
+            
+            if (obj.gravityScale <= 0 || obj.isGrounded || obj.inWater) {
+                obj.weatherForce.set(0, 0);
+                continue;
+            }
+            
+            // Objects that handle wind (the player) push themselves by weatherForce
+            obj.weatherForce.set(force.x, force.y);
+            if (!obj.handlesWind) {
+                obj.addForce(force.multiply(obj.mass));
+            }
+        }
+    }
+    
+    clearForces() {
+        for (const obj of this.world.gameObjects) {
+            if (obj.weatherForce) obj.weatherForce.set(0, 0);
+        }
+    }
+    
+    getWindForce() {
+        return this.wind.multiply(this.intensity);
+    }
+    
+    getSlickness() {
+        return Math.min(0.9, this.slickness * this.intensity);
+    }
+    
+    // Particles
+    spawnParticles() {
+        const count = Math.round(this.particleCount * this.intensity);
+        this.particles = [];
+        
+        for (let i = 0; i < count; i++) {
+            this.particles.push(this.createParticle(
+                Math.random() * this.fieldWidth,
+                Math.random() * this.fieldHeight
+            ));
+        }
+    }
+    
+    createParticle(x, y) {
+        return { x, y, vx: 0, vy: 0, size: 1, alpha: 1 };
+    }
+    
+    updateParticle(particle, deltaTime) {
+        particle.x += particle.vx * deltaTime;
+        particle.y += particle.vy * deltaTime;
+    }
+    
+    render(ctx, camera, width, height) {
+        if (!this.active || this.particles.length === 0) return;
+        
+        // The field follows the view size so particles always cover the screen
+        this.fieldWidth = width + 64;
+        this.fieldHeight = height + 64;
+        
+        const offsetX = camera ? camera.position.x * camera.zoom * this.parallax : 0;
+        const offsetY = camera ? camera.position.y * camera.zoom * this.parallax : 0;
+        
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        for (const particle of this.particles) {
+            const x = this.wrap(particle.x - offsetX, this.fieldWidth) - 32;
+            const y = this.wrap(particle.y - offsetY, this.fieldHeight) - 32;
+            this.renderParticle(ctx, particle, x, y);
+        }
+        
+        ctx.restore();
+    }
+    
+    wrap(value, size) {
+        return ((value % size) + size) % size;
+    }
+    
+    renderParticle(ctx, particle, x, y) {
+        // Override in subclasses
+    }
+}
+
+/**
+ * RainWeather - Slanted rain streaks, slick ground and a rain loop
+ */
+class RainWeather extends Weather {
+    constructor(world, intensity = 1.0, options = {}) {
+        super(world, intensity, { ambientSound: 'rain', windX: 40, ...options });
+        
+        this.type = 'rain';
+        this.particleCount = 250;
+        this.fallSpeed = 900;
+        this.slickness = 0.6;
+        this.color = options.color || 'rgba(170, 190, 230, 0.5)';
+    }
+    
+    createParticle(x, y) {
+        const speed = this.fallSpeed * (0.8 + Math.random() * 0.4);
+        return {
+            x, y,
+            vx: this.wind.x * this.intensity * 0.5,
+            vy: speed,
+            length: 10 + Math.random() * 10,
+            alpha: 0.4 + Math.random() * 0.6
+        };
+    }
+    
+    renderParticle(ctx, particle, x, y) {
+        const scale = particle.length / particle.vy;
+        
+        ctx.globalAlpha = particle.alpha;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - particle.vx * scale, y - particle.length);
+        ctx.stroke();
+    }
+}
+
+/**
+ * SnowWeather - Drifting snowflakes, slightly slippery ground and a soft wind loop
+ */
+class SnowWeather extends Weather {
+    constructor(world, intensity = 1.0, options = {}) {
+        super(world, intensity, { ambientSound: 'snow', windX: 20, ...options });
+        
+        this.type = 'snow';
+        this.particleCount = 180;
+        this.slickness = 0.3;
+        this.parallax = 0.8;
+        this.color = options.color || '#ffffff';
+    }
+    
+    createParticle(x, y) {
+        return {
+            x, y,
+            vx: this.wind.x * this.intensity * 0.3,
+            vy: 30 + Math.random() * 50,
+            size: 1 + Math.random() * 2.5,
+            phase: Math.random() * Math.PI * 2,
+            alpha: 0.5 + Math.random() * 0.5
+        };
+    }
+    
+    updateParticle(particle, deltaTime) {
+        // Side-to-side sway
+        particle.x += (particle.vx + Math.sin(this.time * 1.5 + particle.phase) * 20) * deltaTime;
+        particle.y += particle.vy * deltaTime;
+    }
+    
+    renderParticle(ctx, particle, x, y) {
+        ctx.globalAlpha = particle.alpha;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(x, y, particle.size, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * WindWeather - Strong gusting wind with flying debris streaks
+ */
+class WindWeather extends Weather {
+    constructor(world, intensity = 1.0, options = {}) {
+        super(world, intensity, { ambientSound: 'wind', windX: 250, ...options });
+        
+        this.type = 'wind';
+        this.particleCount = 60;
+        this.gustStrength = options.gustStrength !== undefined ? options.gustStrength : 0.4;
+        this.gustFrequency = options.gustFrequency !== undefined ? options.gustFrequency : 0.5;
+        this.color = options.color || 'rgba(220, 230, 240, 0.35)';
+    }
+    
+    // Wind rises and falls in gusts around its base strength
+    getWindForce() {
+        const gust = 1 + this.gustStrength * Math.sin(this.time * this.gustFrequency * Math.PI * 2);
+        return this.wind.multiply(this.intensity * gust);
+    }
+    
+    createParticle(x, y) {
+        return {
+            x, y,
+            speed: 0.8 + Math.random() * 0.8,
+            length: 20 + Math.random() * 40,
+            alpha: 0.3 + Math.random() * 0.7
+        };
+    }
+    
+    updateParticle(particle, deltaTime) {
+        const force = this.getWindForce();
+        particle.x += force.x * 2 * particle.speed * deltaTime;
+        particle.y += (force.y + Math.sin(this.time * 2 + particle.length) * 15) * deltaTime;
+    }
+    
+    renderParticle(ctx, particle, x, y) {
+        const direction = Math.sign(this.wind.x) || 1;
+        
+        ctx.globalAlpha = particle.alpha;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - particle.length * direction, y);
+        ctx.stroke();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Weather, RainWeather, SnowWeather, WindWeather };
+}
@@ -10,7 +10,10 @@ class World {
         
         // Level data
         this.currentLevel = null;
+        this.levelId = null;
         this.levelData = null;
+        this.tileLayers = { background: [], collision: [], foreground: [] };
+        this.tileDefinitions = new TileDefinitions();
         this.tilemap = null;
         this.tileset = null;
         
@@ -33,12 +36,36 @@ class World {
         this.timeScale = 1.0;
         this.worldTime = 0;
         
+        // Incremented on every level load so late async spawns can be dropped
+        this.levelGeneration = 0;
+        
         // Level transition
         this.transitioning = false;
         this.transitionData = null;
         
-        // Persistent data
+        // Level triggers
+        this.triggers = [];
+        this.triggerSystem = new TriggerSystem(this);
+        
+        // NPC conversations
+        this.dialogue = new DialogueSystem(this);
+        
+        // Boss currently fighting the player (drives the boss health bar)
+        this.activeBoss = null;
+        
+        // Enemy pathfinding over the collision layer (built per level)
+        this.navigation = null;
+        
+        // Area volumes (water, wind, damage, gravity)
+        this.areas = [];
+        this.areaEffects = new AreaEffectSystem(this);
+        
+        // Explored tiles for the map screen
+        this.autoMap = new AutoMap();
+        
+        // Persistent data (persistentObjects maps "levelId:entityId" to { state, respawn, time })
         this.persistentObjects = new Map();
+        this.persistentObjectsDirty = false;
         this.worldFlags = new Map();
         this.collectibles = new Map();
         
@@ -51,6 +78,10 @@ class World {
         // Particle systems
         this.particleSystems = [];
         
+        // Destroyed projectiles waiting to be reused
+        this.projectilePool = [];
+        this.maxPooledProjectiles = 200;
+        
         // Weather and environmental effects
         this.weather = null;
         this.ambientSounds = [];
@@ -1281,9 +1312,18 @@ class World {
         // Process object additions and removals
         this.processObjectChanges();
         
+        // Advance open conversations before objects update, so the key that starts one isn't also read by it
+        this.updateDialogue(deltaTime);
+        
         // Update all game objects
         this.updateGameObjects(deltaTime);
         
+        // Apply area volume effects
+        this.updateAreaEffects(deltaTime);
+        
+        // Reveal the map around the player
+        this.updateExploration();
+        
         // Update particle systems
         this.updateParticleSystems(deltaTime);
         
@@ -1293,6 +1333,9 @@ class World {
         // Check level transitions
         this.checkLevelTransitions();
         
+        // Run level triggers
+        this.updateTriggers(deltaTime);
+        
         // Update audio zones
         this.updateAudioZones();
         
@@ -1318,18 +1361,32 @@ class World {
         }
         this.toRemove = [];
         
-        // Clean up destroyed objects
-        this.gameObjects = this.gameObjects.filter(obj => !obj.destroyed);
+        // Clean up destroyed objects (projectiles go back to the pool)
+        this.gameObjects = this.gameObjects.filter(obj => {
+            if (!obj.destroyed) return true;
+            if (obj.type === 'projectile') {
+                this.releaseProjectile(obj);
+            }
+            return false;
+        });
     }
     
     updateGameObjects(deltaTime) {
         for (const obj of this.gameObjects) {
             if (obj.active && !obj.destroyed) {
-                obj.update(deltaTime);
+                obj.update(deltaTime, this);
             }
         }
     }
     
+    updateAreaEffects(deltaTime) {
+        this.areaEffects.update(deltaTime);
+    }
+    
+    updateExploration() {
+        this.autoMap.update(this, this.getPlayer());
+    }
+    
     updateParticleSystems(deltaTime) {
         for (let i = this.particleSystems.length - 1; i >= 0; i--) {
             const system = this.particleSystems[i];
@@ -1354,8 +1411,11 @@ class World {
                 // Check if player is at level transition points
                 const transitions = this.getObjectsWithTag('transition');
                 for (const transition of transitions) {
-                    if (player.overlaps(transition)) {
-                        this.startLevelTransition(transition.targetLevel, transition.targetSpawn);
+                    if (transition.armed !== false && player.overlaps(transition)) {
+                        this.startLevelTransition(transition.targetLevel, transition.targetSpawn, {
+                            type: transition.transitionType,
+                            direction: transition.direction
+                        });
                         break;
                     }
                 }
@@ -1363,6 +1423,70 @@ class World {
         }
     }
     
+    startLevelTransition(targetLevel, targetSpawn = null, options = {}) {
+        if (this.transitioning) return;
+        
+        this.transitioning = true;
+        this.transitionData = {
+            fromLevel: this.levelId,
+            targetLevel: targetLevel,
+            targetSpawn: targetSpawn,
+            type: options.type || 'fade',
+            direction: options.direction || null
+        };
+        
+        this.triggerEvent('transitionStart', this.transitionData);
+        
+        if (window.game && window.game.levelTransitions) {
+            window.game.levelTransitions.start(this.transitionData);
+        } else {
+            console.warn('No level transition handler available');
+            this.completeLevelTransition();
+        }
+    }
+    
+    completeLevelTransition() {
+        const data = this.transitionData;
+        
+        this.transitioning = false;
+        this.transitionData = null;
+        
+        this.triggerEvent('transitionComplete', data);
+    }
+    
+    // Find a named spawn point (connection, player_spawn or level_transition entity) in the current level data
+    findSpawnPoint(name) {
+        if (!this.levelData || !name) return null;
+        
+        const connection = (this.levelData.connections || []).find(c => c.id === name);
+        if (connection) {
+            return {
+                type: 'connection',
+                x: connection.x,
+                y: connection.y,
+                properties: {
+                    width: connection.width,
+                    height: connection.height,
+                    direction: connection.direction
+                }
+            };
+        }
+        
+        const entities = this.levelData.layers.entities || [];
+        return entities.find(entity =>
+            (entity.type === 'player_spawn' || entity.type === 'level_transition') &&
+            (entity.id === name || entity.properties?.name === name)
+        ) || null;
+    }
+    
+    updateTriggers(deltaTime) {
+        this.triggerSystem.update(deltaTime);
+    }
+    
+    updateDialogue(deltaTime) {
+        this.dialogue.update(deltaTime);
+    }
+    
     updateAudioZones() {
         const player = this.getPlayer();
         if (!player) return;
@@ -1452,12 +1576,86 @@ class World {
                 a.y + a.height <= b.y ||
                 b.y + b.height <= a.y);
     }
+    
+    getEntitiesInArea(x, y, width, height) {
+        return this.getObjectsInArea({ x: x, y: y, width: width, height: height });
+    }
+    
+    // Properties of the collision tile at (tileX, tileY), or null for empty tiles and outside the level
+    getTileProperties(tileX, tileY) {
+        if (!this.levelData) return null;
+        
+        const width = this.levelData.properties.width;
+        if (tileX < 0 || tileY < 0 || tileX >= width || tileY >= this.levelData.properties.height) return null;
+        
+        return this.tileDefinitions.get(this.tileLayers.collision[tileY * width + tileX]);
+    }
+    
+    // Properties of the first collision tile overlapping the bounds that has `property` set (e.g. 'ladder', 'damage')
+    findTile(bounds, property) {
+        if (!this.levelData) return null;
+        
+        const tileSize = this.tileSize;
+        const startX = Math.floor(bounds.x / tileSize);
+        const endX = Math.floor((bounds.x + bounds.width - 1) / tileSize);
+        const startY = Math.floor(bounds.y / tileSize);
+        const endY = Math.floor((bounds.y + bounds.height - 1) / tileSize);
+        
+        for (let y = startY; y <= endY; y++) {
+            for (let x = startX; x <= endX; x++) {
+                const properties = this.getTileProperties(x, y);
+                if (properties && properties[property]) {
+                    return properties;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    // First collision-layer tile overlapping the bounds, with a normal pointing out of it (for bounces)
+    checkTileCollision(bounds) {
+        if (!this.levelData) return null;
+        
+        const width = this.levelData.properties.width;
+        const height = this.levelData.properties.height;
+        const tileSize = this.tileSize;
+        const collision = this.tileLayers.collision;
+        
+        const startX = Math.max(0, Math.floor(bounds.x / tileSize));
+        const endX = Math.min(width - 1, Math.floor((bounds.x + bounds.width - 1) / tileSize));
+        const startY = Math.max(0, Math.floor(bounds.y / tileSize));
+        const endY = Math.min(height - 1, Math.floor((bounds.y + bounds.height - 1) / tileSize));
+        
+        for (let y = startY; y <= endY; y++) {
+            for (let x = startX; x <= endX; x++) {
+                if (!this.tileDefinitions.isSolid(collision[y * width + x])) continue;
+                
+                const dx = bounds.x + bounds.width / 2 - (x + 0.5) * tileSize;
+                const dy = bounds.y + bounds.height / 2 - (y + 0.5) * tileSize;
+                const normal = Math.abs(dx) > Math.abs(dy) ?
+                    new Vector2(Math.sign(dx), 0) :
+                    new Vector2(0, Math.sign(dy));
+                
+                return { x: x, y: y, normal: normal };
+            }
+        }
+        
+        return null;
+    }
       // Level management
-    loadLevel(levelData) {
+    loadLevel(levelData, levelId = null) {
         console.log('Loading level:', levelData.metadata?.name || 'Unknown');
         
+        // Runtime tile changes (setCollisionTile) go to a copy of the collision layer, so the level
+        // loader's cached level still has its walls the next time the room is entered
+        levelData = Object.assign(Object.create(Object.getPrototypeOf(levelData)), levelData, {
+            layers: { ...levelData.layers, collision: [...(levelData.layers.collision || [])] }
+        });
+        
         this.levelData = levelData;
         this.currentLevel = levelData.metadata?.name || 'Unknown';
+        this.levelId = levelId || levelData.metadata?.id || this.currentLevel;
         
         // Clear existing objects (except persistent ones)
         this.clearLevel();
@@ -1485,10 +1683,19 @@ class World {
             this.backgroundColor = levelData.properties.backgroundColor;
         }
         
-        // Load tile layers
-        this.layers.set('background', levelData.layers.background || []);
-        this.layers.set('collision', levelData.layers.collision || []);
-        this.layers.set('foreground', levelData.layers.foreground || []);
+        // Load tile layers (kept apart from the object render layers)
+        this.tileLayers = {
+            background: levelData.layers.background || [],
+            collision: levelData.layers.collision || [],
+            foreground: levelData.layers.foreground || []
+        };
+        this.tileDefinitions = TileDefinitions.forLevel(levelData);
+        
+        // Enemy pathfinding graphs are built from the collision layer on first use
+        this.navigation = new NavigationGraph(levelData, { gravity: this.gravity.y });
+        
+        // Register the level's behavior trees before its enemies are built (replacing the last level's)
+        BehaviorTree.loadLevelDefinitions(levelData.behaviors);
         
         // Load entities
         this.loadLevelEntities(levelData.layers.entities || []);
@@ -1502,6 +1709,15 @@ class World {
         // Load triggers
         this.loadTriggers(levelData.triggers || []);
         
+        // Load the level's dialogue trees
+        this.dialogue.setLevel(levelData);
+        
+        // Load connections to other levels
+        this.loadConnections(levelData.connections || []);
+        
+        // Start (or carry over) the level's weather
+        this.applyLevelWeather(levelData);
+        
         // Set player spawn from entities
         const playerSpawn = levelData.layers.entities.find(e => e.type === 'player_spawn');
         if (playerSpawn) {
@@ -1515,6 +1731,13 @@ class World {
     }
     
     clearLevel() {
+        this.levelGeneration++;
+        
+        // Loading a room brings back anything in it that respawns on re-entry
+        if (this.levelId) {
+            this.respawnObjects('reentry', this.levelId);
+        }
+        
         // Remove all non-persistent objects
         this.gameObjects = this.gameObjects.filter(obj => obj.persistent);
         
@@ -1529,6 +1752,16 @@ class World {
         // Reset checkpoints
         this.checkpoints = [];
         this.currentCheckpoint = null;
+        
+        // Reset triggers
+        this.triggers = [];
+        this.triggerSystem.reset();
+        
+        // Reset areas
+        this.areas = [];
+        this.areaEffects.reset();
+        
+        this.activeBoss = null;
     }
     
     loadTilemap(tilemapData) {
@@ -1564,51 +1797,35 @@ class World {
     loadLevelObjects(objectsData) {
         for (const objData of objectsData) {
             const obj = this.createObjectFromData(objData);
-            if (obj) {
+            if (obj instanceof GameObject) {
                 this.addObject(obj);
+            } else {
+                this.spawnEntity(obj);
             }
         }
     }
     
     createObjectFromData(data) {
-        switch (data.type) {
-            case 'Player':
-                const player = new Player(data.x, data.y);
-                return player;
-                
-            case 'Enemy':
-                const enemy = new Enemy(data.x, data.y, data.enemyType);
-                return enemy;
-                
-            case 'PowerUp':
-                const powerUp = new PowerUp(data.x, data.y, data.powerType);
-                return powerUp;
-                
-            case 'Platform':
-                const platform = new Platform(data.x, data.y, data.width, data.height, data.platformType);
-                return platform;
-                
-            case 'Checkpoint':
-                const checkpoint = new Checkpoint(data.x, data.y);
-                return checkpoint;
-                
-            case 'Transition':
-                const transition = new LevelTransition(data.x, data.y, data.targetLevel, data.targetSpawn);
-                return transition;
-                
-            default:
-                // Generic object
-                const obj = GameObject.fromJSON(data);
-                return obj;
+        // Registered types keep their properties at the top level in object data
+        if (EntityRegistry.has(data.type)) {
+            const { type, id, x, y, ...properties } = data;
+            return { type, id, x, y, properties };
         }
+        
+        // Generic object
+        return GameObject.fromJSON(data);
     }
     
     loadCheckpoints(checkpointsData) {
         for (const checkpointData of checkpointsData) {
-            const checkpoint = new Checkpoint(checkpointData.x, checkpointData.y);
-            checkpoint.id = checkpointData.id;
-            this.checkpoints.push(checkpoint);
-            this.addObject(checkpoint);
+            const data = {
+                type: 'checkpoint',
+                id: checkpointData.id,
+                x: checkpointData.x,
+                y: checkpointData.y,
+                properties: checkpointData.properties || {}
+            };
+            this.spawnEntity(data, checkpoint => this.checkpoints.push(checkpoint));
         }
     }
     
@@ -1638,69 +1855,60 @@ class World {
     }
     
     loadLevelEntities(entitiesData) {
-        // Import entity classes
-        import('../entities/Player.js').then(({ Player }) => {
-            import('../entities/BasicEntities.js').then(({ PowerUp, Enemy, Platform }) => {
-                import('../entities/AdvancedEntities.js').then(({ Checkpoint, FlyingEnemy }) => {
-                    this.processEntities(entitiesData, { Player, PowerUp, Enemy, Platform, Checkpoint, FlyingEnemy });
-                });
-            });
-        });
+        for (const entityData of entitiesData) {
+            this.spawnEntity(entityData);
+        }
     }
     
-    processEntities(entitiesData, entityClasses) {
-        for (const entityData of entitiesData) {
-            const entity = this.createEntityFromData(entityData, entityClasses);
+    // Create an entity from level data and add it, loading its class first if needed
+    spawnEntity(data, onSpawned = null) {
+        if (!EntityRegistry.has(data.type)) {
+            console.warn(`Unknown entity type: ${data.type}`);
+            return null;
+        }
+        
+        // Entities defeated, collected or destroyed earlier stay gone until their respawn policy allows
+        const state = data.id !== undefined ? this.getObjectState(data.id) : null;
+        if (World.REMOVED_STATES.includes(state)) {
+            return null;
+        }
+        
+        const add = () => {
+            const entity = this.createEntityFromData(data);
             if (entity) {
+                if (data.id !== undefined) {
+                    entity.persistenceKey = this.getPersistenceKey(data.id);
+                    entity.respawnPolicy = this.getRespawnPolicy(data);
+                    
+                    // Other states (like a chest's 'opened') are handed back to the entity
+                    if (state && entity.restoreState) {
+                        entity.restoreState(state);
+                    }
+                }
+                
                 this.addObject(entity);
+                if (onSpawned) onSpawned(entity);
             }
+            return entity;
+        };
+        
+        if (EntityRegistry.isLoaded(data.type)) {
+            return add();
         }
+        
+        // The level may have changed by the time the class has loaded
+        const generation = this.levelGeneration;
+        EntityRegistry.loadClass(data.type).then(() => {
+            if (this.levelGeneration === generation) add();
+        }).catch(error => {
+            console.error(`Failed to load entity type '${data.type}':`, error);
+        });
+        
+        return null;
     }
     
-    createEntityFromData(data, entityClasses) {
-        const { Player, PowerUp, Enemy, Platform, Checkpoint, FlyingEnemy } = entityClasses;
-        
-        switch (data.type) {
-            case 'player_spawn':
-                // Player spawn point - just store position, don't create player object
-                this.playerSpawn = new Vector2(data.x, data.y);
-                return null;
-                
-            case 'powerup':
-                const powerType = data.properties?.powerType || 'double_jump';
-                const powerUp = new PowerUp(data.x, data.y, { powerType });
-                powerUp.id = data.id;
-                return powerUp;
-                
-            case 'basic_enemy':
-                const enemy = new Enemy(data.x, data.y, data.properties || {});
-                enemy.id = data.id;
-                return enemy;
-                
-            case 'flying_enemy':
-                const flyingEnemy = new FlyingEnemy(data.x, data.y, data.properties || {});
-                flyingEnemy.id = data.id;
-                return flyingEnemy;
-                
-            case 'checkpoint':
-                const checkpoint = new Checkpoint(data.x, data.y, data.properties || {});
-                checkpoint.id = data.id;
-                return checkpoint;
-                
-            case 'platform':
-                const platform = new Platform(data.x, data.y, data.properties || {});
-                platform.id = data.id;
-                return platform;
-                
-            case 'health':
-                const healthPickup = new PowerUp(data.x, data.y, { powerType: 'health' });
-                healthPickup.id = data.id;
-                return healthPickup;
-                
-            default:
-                console.warn(`Unknown entity type: ${data.type}`);
-                return null;
-        }
+    createEntityFromData(data) {
+        return EntityRegistry.create(data, this);
     }
     
     loadAreas(areasData) {
@@ -1720,7 +1928,6 @@ class World {
             };
             
             // Add to world areas collection
-            if (!this.areas) this.areas = [];
             this.areas.push(area);
         }
     }
@@ -1740,20 +1947,46 @@ class World {
                 action: triggerData.action,
                 conditions: triggerData.conditions || {},
                 properties: triggerData.properties || {},
-                triggered: false
+                triggered: false,
+                
+                // Runtime state used by the trigger system
+                inside: false,
+                fireCount: 0,
+                cooldownTimer: 0
             };
             
             // Add to world triggers collection
-            if (!this.triggers) this.triggers = [];
             this.triggers.push(trigger);
         }
     }
 
+    loadConnections(connectionsData) {
+        for (const connectionData of connectionsData) {
+            const transition = new LevelTransition(
+                connectionData.x,
+                connectionData.y,
+                connectionData.targetLevel,
+                connectionData.targetConnection,
+                connectionData.width,
+                connectionData.height
+            );
+            transition.name = connectionData.id;
+            transition.transitionType = connectionData.transitionType ||
+                (connectionData.type === 'edge' ? 'slide' : 'fade');
+            transition.direction = connectionData.direction || null;
+            
+            this.addObject(transition);
+        }
+    }
+    
     // Checkpoint system
     activateCheckpoint(checkpoint) {
         this.currentCheckpoint = checkpoint;
         checkpoint.activated = true;
         
+        // Resting at a checkpoint brings back anything that respawns on rest
+        this.respawnObjects('rest');
+        
         // Save game state
         this.saveGameState();
         
@@ -1772,6 +2005,7 @@ class World {
             player: this.getPlayer()?.toJSON(),
             worldFlags: Object.fromEntries(this.worldFlags),
             collectibles: Object.fromEntries(this.collectibles),
+            objectStates: this.serializeObjectStates(),
             worldTime: this.worldTime
         };
         
@@ -1779,6 +2013,9 @@ class World {
     }
     
     loadGameState(gameState) {
+        // Restore object states first so the level spawns without defeated enemies
+        this.loadObjectStates(gameState.objectStates);
+        
         // Load level
         if (gameState.level) {
             this.loadLevel(gameState.level);
@@ -1808,6 +2045,25 @@ class World {
         }
     }
     
+    // Change a collision tile at runtime (crumbling floors, opened walls) and keep pathfinding and shadows in step
+    setCollisionTile(tileX, tileY, tileId) {
+        if (!this.levelData) return;
+        
+        const width = this.levelData.properties.width;
+        if (tileX < 0 || tileY < 0 || tileX >= width || tileY >= this.levelData.properties.height) return;
+        
+        this.tileLayers.collision[tileY * width + tileX] = tileId;
+        
+        if (this.navigation) {
+            this.navigation.invalidate();
+        }
+        if (window.game) {
+            window.game.renderer.lighting.setLevel(this.levelData);
+        }
+        
+        this.triggerEvent('collisionChanged', { x: tileX, y: tileY, tileId: tileId });
+    }
+    
     // World flags (for progression tracking)
     setFlag(name, value) {
         this.worldFlags.set(name, value);
@@ -1838,36 +2094,159 @@ class World {
         return count;
     }
     
+    // Persistent object state (defeated enemies, collected items, opened chests, broken walls)
+    static REMOVED_STATES = ['dead', 'collected', 'destroyed'];
+    
+    getPersistenceKey(entityId, levelId = this.levelId) {
+        return `${levelId}:${entityId}`;
+    }
+    
+    // Respawn policy: 'never', 'rest' (at a checkpoint) or 'reentry' (when the room is loaded again)
+    getRespawnPolicy(data) {
+        const properties = data.properties || {};
+        if (properties.respawn) return properties.respawn;
+        
+        const entry = EntityRegistry.get(data.type);
+        return entry && entry.respawn ? entry.respawn : 'never';
+    }
+    
+    setObjectState(entity, state) {
+        if (!entity || !entity.persistenceKey) return;
+        
+        this.persistentObjects.set(entity.persistenceKey, {
+            state: state,
+            respawn: entity.respawnPolicy || 'never',
+            time: this.worldTime
+        });
+        this.persistentObjectsDirty = true;
+        
+        this.triggerEvent('objectStateChanged', { entity: entity, state: state });
+    }
+    
+    getObjectState(entityId, levelId = this.levelId) {
+        const record = this.persistentObjects.get(this.getPersistenceKey(entityId, levelId));
+        return record ? record.state : null;
+    }
+    
+    clearObjectState(entityId, levelId = this.levelId) {
+        if (this.persistentObjects.delete(this.getPersistenceKey(entityId, levelId))) {
+            this.persistentObjectsDirty = true;
+        }
+    }
+    
+    // Forget every state recorded with the given respawn policy (optionally only in one level)
+    respawnObjects(policy, levelId = null) {
+        for (const [key, record] of this.persistentObjects) {
+            if (record.respawn !== policy) continue;
+            if (levelId !== null && !key.startsWith(`${levelId}:`)) continue;
+            
+            this.persistentObjects.delete(key);
+            this.persistentObjectsDirty = true;
+        }
+    }
+    
+    serializeObjectStates() {
+        return Object.fromEntries(this.persistentObjects);
+    }
+    
+    loadObjectStates(data) {
+        this.persistentObjects = new Map(Object.entries(data || {}));
+        this.persistentObjectsDirty = false;
+    }
+    
     // Particle systems
     addParticleSystem(system) {
         this.particleSystems.push(system);
     }
     
+    // Spawn a named particle effect (see ParticleEffects.js) at a world position
+    createEffect(name, x, y, overrides = {}) {
+        const system = ParticleSystem.create(name, new Vector2(x, y), overrides);
+        if (system) {
+            this.addParticleSystem(system);
+        }
+        return system;
+    }
+    
     createExplosion(position, size = 'medium') {
-        const explosion = new ParticleSystem(position, {
-            type: 'explosion',
-            size: size,
-            duration: 2.0,
-            particleCount: size === 'small' ? 10 : size === 'large' ? 50 : 25
-        });
-        this.addParticleSystem(explosion);
+        return this.createEffect(`explosion_${size}`, position.x, position.y);
+    }
+    
+    // Projectiles (config as for Projectile, plus x/y) are reused from a pool once destroyed
+    createProjectile(config) {
+        if (!EntityRegistry.isLoaded('projectile')) {
+            EntityRegistry.loadClass('projectile').catch(error => console.error(error.message));
+            return null;
+        }
+        
+        const Projectile = EntityRegistry.get('projectile').loadedClass;
+        const projectile = this.projectilePool.length > 0 ?
+            this.projectilePool.pop().reset(config.x, config.y, config) :
+            new Projectile(config.x, config.y, config);
+        
+        this.addObject(projectile);
+        return projectile;
     }
     
-    // Weather system
-    setWeather(weatherType, intensity = 1.0) {
+    releaseProjectile(projectile) {
+        this.removeObjectFromLayer(projectile);
+        
+        if (this.projectilePool.length < this.maxPooledProjectiles) {
+            this.projectilePool.push(projectile);
+        }
+    }
+    
+    // Weather system ('rain', 'snow', 'wind', or 'clear'/null for none)
+    setWeather(weatherType, intensity = 1.0, options = {}) {
+        // Same weather only changes strength, so particles and audio carry on across rooms
+        if (this.weather && this.weather.type === weatherType) {
+            this.weather.setIntensity(intensity);
+            return this.weather;
+        }
+        
+        if (this.weather) {
+            this.weather.stop();
+        }
+        
         switch (weatherType) {
             case 'rain':
-                this.weather = new RainWeather(intensity);
+                this.weather = new RainWeather(this, intensity, options);
                 break;
             case 'snow':
-                this.weather = new SnowWeather(intensity);
+                this.weather = new SnowWeather(this, intensity, options);
                 break;
             case 'wind':
-                this.weather = new WindWeather(intensity);
+                this.weather = new WindWeather(this, intensity, options);
                 break;
             default:
                 this.weather = null;
         }
+        
+        if (this.weather) {
+            this.weather.start();
+        }
+        
+        this.triggerEvent('weatherChanged', { weather: weatherType || 'clear', intensity: intensity });
+        return this.weather;
+    }
+    
+    // Level weather property: "rain" or { type: "rain", intensity: 0.5, ...options }
+    applyLevelWeather(levelData) {
+        const weather = levelData.properties.weather;
+        
+        if (!weather) {
+            this.setWeather(null);
+        } else if (typeof weather === 'string') {
+            this.setWeather(weather);
+        } else {
+            const { type, intensity = 1.0, ...options } = weather;
+            this.setWeather(type, intensity, options);
+        }
+    }
+    
+    // How slippery the ground is from the current weather (0 = normal grip)
+    getSurfaceSlickness() {
+        return this.weather ? this.weather.getSlickness() : 0;
     }
     
     // Event system
@@ -1924,7 +2303,7 @@ class World {
         
         // Render weather
         if (this.weather) {
-            this.weather.render(renderer);
+            this.weather.render(renderer.context, renderer.camera, renderer.canvas.width, renderer.canvas.height);
         }
     }
     
@@ -1951,6 +2330,9 @@ class World {
         this.eventListeners.clear();
         this.audioZones = [];
         this.checkpoints = [];
+        if (this.weather) {
+            this.weather.stop();
+        }
         this.weather = null;
     }
 }
@@ -1963,6 +2345,11 @@ class Tilemap {
         this.tileSize = data.tileSize || 32;
         this.tiles = data.tiles || [];
         this.tileProperties = data.tileProperties || {};
+        
+        // A named tileset's definitions, or the tile properties stored with the map
+        this.definitions = data.tileset ?
+            TileDefinitions.fromTileset(data.tileset) :
+            new TileDefinitions(this.tileProperties);
     }
     
     getTile(x, y) {
@@ -1992,9 +2379,12 @@ class Tilemap {
         return solidTiles;
     }
     
+    getTileProperties(tileId) {
+        return this.definitions.get(tileId);
+    }
+    
     isTileSolid(tileId) {
-        const properties = this.tileProperties[tileId];
-        return properties && properties.solid;
+        return this.definitions.isSolid(tileId);
     }
     
     toJSON() {
@@ -5,6 +5,7 @@
 
 import { LevelData } from '../utils/LevelData.js';
 import { LevelLoader } from '../utils/LevelLoader.js';
+import { ReachabilityAnalyzer } from '../utils/ReachabilityAnalyzer.js';
 import { Vector2 } from '../utils/Vector2.js';
 
 export class LevelEditor {
@@ -18,6 +19,7 @@ export class LevelEditor {
         this.currentTool = 'brush';
         this.currentLayer = 'collision';
         this.selectedTile = 1;
+        this.tileDefinitions = null;
         this.selectedEntity = 'player_spawn';
         this.selectedEntities = [];
         this.clipboard = null;
@@ -29,6 +31,17 @@ export class LevelEditor {
         this.gridSize = 32;
         this.debugMode = true; // Debug mode on by default in editor
         
+        // Reachability overlay
+        this.reachability = null;
+        this.reachabilityTiles = null;
+        this.reachabilityModified = null;
+        this.showReachability = true;
+        
+        // Parallax background preview
+        this.parallax = new ParallaxBackground();
+        this.parallaxLevel = null; // level the parallax panel was last built for
+        this.showParallax = true;
+        
         // Mouse state
         this.mousePos = { x: 0, y: 0 };
         this.worldPos = { x: 0, y: 0 };
@@ -79,9 +92,13 @@ export class LevelEditor {
     }
 
     setupUI() {
-        // Initialize tile palette
+        // Initialize tileset choices and the tile palette
+        this.initializeTilesetSelect();
         this.initializeTilePalette();
         
+        // Initialize entity palette from the registered entity types
+        this.initializeEntityPalette();
+        
         // Initialize layer controls
         this.updateLayerVisibility();
         
@@ -121,14 +138,6 @@ export class LevelEditor {
             checkbox.addEventListener('change', () => this.updateLayerVisibility());
         });
         
-        // Entity buttons
-        document.querySelectorAll('.entity-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setSelectedEntity(e.currentTarget.dataset.entity);
-                this.setTool('entity');
-            });
-        });
-        
         // Header buttons
         document.getElementById('playTestBtn').addEventListener('click', () => this.playTest());
         document.getElementById('saveBtn').addEventListener('click', () => this.saveLevel());
@@ -152,6 +161,12 @@ export class LevelEditor {
             this.currentLevel.properties.backgroundColor = e.target.value;
             this.render();
         });
+        document.getElementById('ambientLight').addEventListener('change', (e) => {
+            this.currentLevel.properties.ambientLight = Math.max(0, Math.min(1, parseFloat(e.target.value)));
+            this.currentLevel.metadata.modified = new Date().toISOString();
+        });
+        document.getElementById('weatherType').addEventListener('change', () => this.updateWeatherProperty());
+        document.getElementById('weatherIntensity').addEventListener('change', () => this.updateWeatherProperty());
         
         // Grid controls
         document.getElementById('showGrid').addEventListener('change', (e) => {
@@ -166,6 +181,21 @@ export class LevelEditor {
             this.render();
         });
         
+        // Parallax controls
+        document.getElementById('addParallaxLayerBtn').addEventListener('click', () => this.addParallaxLayer());
+        document.getElementById('showParallax').addEventListener('change', (e) => {
+            this.showParallax = e.target.checked;
+            this.render();
+        });
+        
+        // Reachability controls
+        document.getElementById('analyzeReachabilityBtn').addEventListener('click', () => this.analyzeReachability());
+        document.getElementById('exportReachabilityBtn').addEventListener('click', () => this.exportReachability());
+        document.getElementById('showReachability').addEventListener('change', (e) => {
+            this.showReachability = e.target.checked;
+            this.render();
+        });
+        
         // Modal controls
         this.setupModalListeners();
     }
@@ -203,26 +233,107 @@ export class LevelEditor {
         this.render();
     }
 
+    initializeEntityPalette() {
+        const palette = document.getElementById('entityPalette');
+        palette.innerHTML = '';
+        
+        for (const [category, entries] of EntityRegistry.getCategories()) {
+            const visible = entries.filter(entry => !entry.editor.hidden);
+            if (visible.length === 0) continue;
+            
+            const group = document.createElement('div');
+            group.className = 'entity-category';
+            
+            const heading = document.createElement('h4');
+            heading.textContent = category;
+            group.appendChild(heading);
+            
+            for (const entry of visible) {
+                const btn = document.createElement('button');
+                btn.className = 'entity-btn';
+                btn.dataset.entity = entry.type;
+                
+                const icon = document.createElement('i');
+                icon.className = 'icon';
+                icon.textContent = entry.editor.icon || entry.editor.symbol;
+                btn.appendChild(icon);
+                btn.appendChild(document.createTextNode(` ${entry.editor.label}`));
+                
+                btn.addEventListener('click', (e) => {
+                    this.setSelectedEntity(e.currentTarget.dataset.entity);
+                    this.setTool('entity');
+                });
+                
+                group.appendChild(btn);
+            }
+            
+            palette.appendChild(group);
+        }
+    }
+
+    initializeTilesetSelect() {
+        const select = document.getElementById('tilesetSelect');
+        select.innerHTML = '';
+        
+        for (const [id, definition] of TileDefinitions.definitions) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = definition.name || id;
+            select.appendChild(option);
+        }
+        
+        select.addEventListener('change', (e) => this.setTileset(e.target.value));
+    }
+
+    // Switch the level's tileset, keeping any tiles the level overrides itself
+    setTileset(id) {
+        if (this.currentLevel) {
+            const tileset = this.currentLevel.tilesets[0] || {};
+            const definition = TileDefinitions.definitions.get(id) || {};
+            this.currentLevel.tilesets[0] = { ...tileset, id: id, name: definition.name || id };
+            this.currentLevel.metadata.modified = new Date().toISOString();
+        }
+        
+        this.initializeTilePalette();
+        this.render();
+    }
+
+    getTileDefinitions() {
+        if (this.currentLevel && this.currentLevel.tilesets.length > 0) {
+            return TileDefinitions.forLevel(this.currentLevel);
+        }
+        return TileDefinitions.fromTileset(document.getElementById('tilesetSelect').value || 'default');
+    }
+
     initializeTilePalette() {
         const palette = document.getElementById('tilePalette');
         palette.innerHTML = '';
         
-        // Create tile buttons (simplified - would normally load from tileset)
+        this.tileDefinitions = this.getTileDefinitions();
+        
         for (let i = 0; i < 64; i++) {
             const btn = document.createElement('div');
             btn.className = 'tile-btn';
             btn.dataset.tileId = i;
             
-            // Simple color coding for different tile types
+            const properties = this.tileDefinitions.get(i);
+            
+            // Tileset colors, or simple color coding for tiles the tileset doesn't define
             if (i === 0) {
                 btn.style.background = 'transparent';
                 btn.style.border = '1px dashed #666';
+            } else if (properties.color) {
+                btn.style.background = properties.color;
             } else if (i <= 10) {
                 btn.style.background = `hsl(${(i * 30) % 360}, 60%, 50%)`;
             } else {
                 btn.style.background = `hsl(${(i * 15) % 360}, 40%, 30%)`;
             }
             
+            // Mark special tiles and list their properties on hover
+            btn.textContent = this.getTileFlag(properties);
+            btn.title = this.describeTile(i, properties);
+            
             btn.addEventListener('click', () => {
                 this.selectedTile = i;
                 document.querySelectorAll('.tile-btn').forEach(b => b.classList.remove('selected'));
@@ -232,8 +343,35 @@ export class LevelEditor {
             palette.appendChild(btn);
         }
         
-        // Select first tile by default
-        palette.firstChild.classList.add('selected');
+        // Keep the current tile selected
+        const selected = palette.querySelector(`[data-tile-id="${this.selectedTile}"]`) || palette.firstChild;
+        selected.classList.add('selected');
+    }
+
+    getTileFlag(properties) {
+        if (!properties) return '';
+        if (properties.damage > 0) return '!';
+        if (properties.ladder) return 'H';
+        if (properties.water) return '~';
+        if (properties.slope) return properties.slope[1] > properties.slope[0] ? '/' : '\\';
+        if (properties.oneWay) return '\u2191';
+        if (properties.bounciness > 0) return '^';
+        if (properties.friction < 1) return '*';
+        if (!properties.solid) return '\u00b7';
+        return '';
+    }
+
+    describeTile(tileId, properties) {
+        if (!properties) return 'Empty';
+        
+        const details = [properties.slope ? 'Slope' : properties.solid ? 'Solid' : properties.oneWay ? 'One-way' : 'Passable'];
+        if (properties.damage > 0) details.push(`Damage ${properties.damage}`);
+        if (properties.friction !== 1) details.push(`Friction ${properties.friction}`);
+        if (properties.bounciness > 0) details.push(`Bounciness ${properties.bounciness}`);
+        if (properties.ladder) details.push('Ladder');
+        if (properties.water) details.push('Water');
+        
+        return `${tileId}: ${properties.name || 'Tile ' + tileId}\n${details.join(', ')}`;
     }
 
     setTool(tool) {
@@ -544,25 +682,114 @@ export class LevelEditor {
             Math.floor(this.worldPos.y / this.gridSize) * this.gridSize :
             this.worldPos.y;
         
-        // Check for existing player spawn
-        if (this.selectedEntity === 'player_spawn') {
-            const existingSpawns = this.currentLevel.getEntitiesByType('player_spawn');
-            if (existingSpawns.length > 0) {
-                // Remove existing spawn
-                this.currentLevel.removeEntity(existingSpawns[0].id);
+        // Unique entities (like the player spawn) replace the existing one
+        const editorInfo = EntityRegistry.getEditorInfo(this.selectedEntity);
+        if (editorInfo && editorInfo.unique) {
+            const existing = this.currentLevel.getEntitiesByType(this.selectedEntity);
+            if (existing.length > 0) {
+                this.currentLevel.removeEntity(existing[0].id);
             }
         }
         
         this.currentLevel.addEntity({
             type: this.selectedEntity,
             x: entityX,
-            y: entityY
+            y: entityY,
+            properties: EntityRegistry.getDefaults(this.selectedEntity)
         });
         
         this.updateUI();
         this.render();
     }
 
+    selectArea() {
+        // Pick the topmost entity under the cursor (entities are drawn as 16px squares on their position)
+        const entity = [...this.currentLevel.layers.entities].reverse().find(e =>
+            Math.abs(e.x - this.worldPos.x) <= 8 && Math.abs(e.y - this.worldPos.y) <= 8
+        );
+        
+        this.selectedEntities = entity ? [entity.id] : [];
+        this.updateSelectionProperties();
+        this.render();
+    }
+
+    // Property inspector for the selected entity, built from its registered schema
+    updateSelectionProperties() {
+        const panel = document.getElementById('selectionProperties');
+        const entity = this.selectedEntities.length > 0 ? this.currentLevel.getEntity(this.selectedEntities[0]) : null;
+        panel.innerHTML = '';
+        
+        if (!entity) {
+            panel.innerHTML = '<p class="no-selection">Nothing selected</p>';
+            return;
+        }
+        
+        const entry = EntityRegistry.get(entity.type);
+        const heading = document.createElement('p');
+        heading.textContent = `${entry ? entry.editor.label : entity.type} (${entity.id})`;
+        panel.appendChild(heading);
+        
+        if (!entry) return;
+        
+        for (const [name, field] of Object.entries(entry.schema)) {
+            const group = document.createElement('div');
+            group.className = 'property-group';
+            
+            const label = document.createElement('label');
+            label.textContent = field.label || name;
+            
+            const value = entity.properties[name] !== undefined ? entity.properties[name] : entry.defaults[name];
+            let input;
+            
+            if (field.options) {
+                input = document.createElement('select');
+                for (const option of ['', ...field.options]) {
+                    const element = document.createElement('option');
+                    element.value = option;
+                    element.textContent = option || '(none)';
+                    input.appendChild(element);
+                }
+                input.value = value === null || value === undefined ? '' : value;
+            } else {
+                input = document.createElement('input');
+                input.type = { number: 'number', boolean: 'checkbox', color: 'color' }[field.type] || 'text';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                if (field.step !== undefined) input.step = field.step;
+                
+                if (field.type === 'boolean') {
+                    input.checked = Boolean(value);
+                } else {
+                    input.value = value === null || value === undefined ? '' : value;
+                }
+            }
+            
+            input.addEventListener('change', () => {
+                let newValue;
+                if (field.type === 'boolean') {
+                    newValue = input.checked;
+                } else if (field.type === 'number') {
+                    newValue = parseFloat(input.value);
+                } else {
+                    newValue = input.value === '' ? null : input.value;
+                }
+                
+                entity.properties[name] = newValue;
+                this.currentLevel.metadata.modified = new Date().toISOString();
+                this.render();
+            });
+            
+            if (field.type === 'boolean') {
+                label.prepend(input);
+                group.appendChild(label);
+            } else {
+                group.appendChild(label);
+                group.appendChild(input);
+            }
+            panel.appendChild(group);
+        }
+    }
+
     screenToWorld(screenPos) {
         return {
             x: (screenPos.x / this.zoom) + this.camera.x,
@@ -603,6 +830,11 @@ export class LevelEditor {
         this.ctx.fillStyle = this.currentLevel.properties.backgroundColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // Parallax background preview
+        if (this.showParallax) {
+            this.parallax.render(this.ctx, this.camera.x, this.camera.y, this.canvas.width, this.canvas.height, this.zoom);
+        }
+        
         // Set up transform
         this.ctx.save();
         this.ctx.scale(this.zoom, this.zoom);
@@ -614,6 +846,11 @@ export class LevelEditor {
         this.renderTileLayer('foreground');
         this.renderEntities();
         
+        // Render reachability overlay
+        if (this.showReachability) {
+            this.renderReachability();
+        }
+        
         // Render grid
         if (this.showGrid) {
             this.renderGrid();
@@ -662,6 +899,12 @@ export class LevelEditor {
     }
 
     getTileColor(layerName, tileId) {
+        // Collision tiles use their tileset color when they have one
+        const properties = layerName === 'collision' && this.tileDefinitions ? this.tileDefinitions.get(tileId) : null;
+        if (properties && properties.color) {
+            return properties.color;
+        }
+        
         const colors = {
             background: `hsl(${(tileId * 30) % 360}, 50%, 40%)`,
             collision: `hsl(${(tileId * 30) % 360}, 60%, 50%)`,
@@ -674,6 +917,23 @@ export class LevelEditor {
         
         this.currentLevel.layers.entities.forEach(entity => {
             const screenPos = this.worldToScreen({ x: entity.x, y: entity.y });
+            
+            // Area of effect (e.g. light radius)
+            const editorInfo = EntityRegistry.getEditorInfo(entity.type);
+            if (editorInfo && editorInfo.radiusProperty) {
+                const radius = entity.properties[editorInfo.radiusProperty];
+                if (radius > 0) {
+                    this.ctx.strokeStyle = editorInfo.color;
+                    this.ctx.globalAlpha = 0.5;
+                    this.ctx.setLineDash([4, 4]);
+                    this.ctx.lineWidth = 1;
+                    this.ctx.beginPath();
+                    this.ctx.arc(entity.x, entity.y, radius, 0, Math.PI * 2);
+                    this.ctx.stroke();
+                    this.ctx.setLineDash([]);
+                    this.ctx.globalAlpha = 1;
+                }
+            }
               // Entity background
             this.ctx.fillStyle = this.getEntityColor(entity.type);
             this.ctx.fillRect(entity.x - 8, entity.y - 8, 16, 16);
@@ -691,6 +951,13 @@ export class LevelEditor {
             this.ctx.textAlign = 'center';
             this.ctx.fillText(this.getEntitySymbol(entity.type), entity.x, entity.y + 3);
             
+            // Selection highlight
+            if (this.selectedEntities.includes(entity.id)) {
+                this.ctx.strokeStyle = '#ffffff';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(entity.x - 10, entity.y - 10, 20, 20);
+            }
+            
             // Debug label above entity (only in debug mode)
             if (this.debugMode) {
                 this.renderEntityDebugLabel(entity);
@@ -724,62 +991,198 @@ export class LevelEditor {
     }
 
     getEntityDebugColor(entityType) {
-        const colors = {
-            'player_spawn': '#00ff00',
-            'powerup': '#ffff00', 
-            'health': '#ff0088',
-            'checkpoint': '#00ffff',
-            'basic_enemy': '#ff0000',
-            'flying_enemy': '#ff8800',
-            'enemy': '#ff0000',
-            'platform': '#888888'
-        };
-        return colors[entityType] || '#ffffff';
+        return EntityRegistry.getDebugColor(entityType);
     }
 
     getEntityDebugText(entityType, properties = {}) {
-        switch (entityType) {
-            case 'player_spawn':
-                return 'Player Spawn';
-            case 'powerup':
-                return properties.powerType ? `PowerUp (${properties.powerType})` : 'PowerUp';
-            case 'health':
-                return 'Health Pack';
-            case 'checkpoint':
-                return 'Checkpoint';
-            case 'basic_enemy':
-                return 'Basic Enemy';
-            case 'flying_enemy':
-                return 'Flying Enemy';
-            case 'enemy':
-                return properties.enemyType ? `Enemy (${properties.enemyType})` : 'Enemy';
-            default:
-                return entityType || 'Entity';
-        }
+        return EntityRegistry.getDebugText(entityType, properties);
     }
 
     getEntityColor(entityType) {
-        const colors = {
-            player_spawn: '#4fd1c7',
-            powerup: '#ffd700',
-            health: '#ff6b6b',
-            checkpoint: '#4ecdc4',
-            basic_enemy: '#e74c3c',
-            flying_enemy: '#9b59b6'
-        };
-        return colors[entityType] || '#999';
+        const editorInfo = EntityRegistry.getEditorInfo(entityType);
+        return editorInfo ? editorInfo.color : '#999';
     }
 
     getEntitySymbol(entityType) {
-        const symbols = {
-            player_spawn: '♦',
-            powerup: '⭐',
-            health: '❤',
-            checkpoint: '🏁',
-            basic_enemy: '👾',
-            flying_enemy: '🛸'
-        };
-        return symbols[entityType] || '?';
+        const editorInfo = EntityRegistry.getEditorInfo(entityType);
+        return editorInfo ? editorInfo.symbol : '?';
+    }
+
+    updateWeatherProperty() {
+        const type = document.getElementById('weatherType').value;
+        const intensity = parseFloat(document.getElementById('weatherIntensity').value);
+        
+        this.currentLevel.properties.weather = type ? { type: type, intensity: isNaN(intensity) ? 1 : intensity } : null;
+        this.currentLevel.metadata.modified = new Date().toISOString();
+    }
+
+    getParallaxLayers() {
+        if (!this.currentLevel.properties.parallaxLayers) {
+            this.currentLevel.properties.parallaxLayers = [];
+        }
+        return this.currentLevel.properties.parallaxLayers;
+    }
+
+    addParallaxLayer() {
+        const layers = this.getParallaxLayers();
+        layers.push(ParallaxBackground.createLayer({ name: `Layer ${layers.length + 1}` }));
+        this.onParallaxChanged(true);
+    }
+
+    moveParallaxLayer(index, direction) {
+        const layers = this.getParallaxLayers();
+        const target = index + direction;
+        if (target < 0 || target >= layers.length) return;
+        
+        [layers[index], layers[target]] = [layers[target], layers[index]];
+        this.onParallaxChanged(true);
+    }
+
+    removeParallaxLayer(index) {
+        this.getParallaxLayers().splice(index, 1);
+        this.onParallaxChanged(true);
+    }
+
+    onParallaxChanged(rebuildPanel = false) {
+        this.currentLevel.metadata.modified = new Date().toISOString();
+        this.parallax.setLayers(this.getParallaxLayers());
+        if (rebuildPanel) {
+            this.updateParallaxUI();
+        }
+        this.render();
+    }
+
+    // Layer list, back to front, with an inline form per layer
+    updateParallaxUI() {
+        const list = document.getElementById('parallaxLayerList');
+        const layers = this.getParallaxLayers();
+        this.parallax.setLayers(layers);
+        list.innerHTML = '';
+        
+        if (layers.length === 0) {
+            list.innerHTML = '<p class="text-muted">No layers</p>';
+            return;
+        }
+        
+        const fields = [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'image', label: 'Image URL', type: 'text' },
+            { name: 'color', label: 'Color (no image)', type: 'color' },
+            { name: 'height', label: 'Band Height (no image, 0 = fill)', type: 'number', step: 1 },
+            { name: 'scrollX', label: 'Scroll X', type: 'number', step: 0.05 },
+            { name: 'scrollY', label: 'Scroll Y', type: 'number', step: 0.05 },
+            { name: 'offsetY', label: 'Offset Y', type: 'number', step: 1 },
+            { name: 'velocityX', label: 'Auto-scroll X', type: 'number', step: 1 },
+            { name: 'velocityY', label: 'Auto-scroll Y', type: 'number', step: 1 },
+            { name: 'scale', label: 'Scale', type: 'number', step: 0.1 },
+            { name: 'opacity', label: 'Opacity', type: 'number', step: 0.05 },
+            { name: 'tint', label: 'Tint', type: 'color' },
+            { name: 'tintStrength', label: 'Tint Strength', type: 'number', step: 0.05 },
+            { name: 'repeatX', label: 'Repeat X', type: 'checkbox' },
+            { name: 'repeatY', label: 'Repeat Y', type: 'checkbox' },
+            { name: 'visible', label: 'Visible', type: 'checkbox' }
+        ];
+        
+        const defaults = ParallaxBackground.createLayer();
+        
+        layers.forEach((layer, index) => {
+            const item = document.createElement('div');
+            item.className = 'parallax-layer';
+            
+            const header = document.createElement('div');
+            header.className = 'parallax-layer-header';
+            const title = document.createElement('span');
+            title.textContent = layer.name || `Layer ${index + 1}`;
+            header.appendChild(title);
+            
+            for (const [text, tooltip, action] of [
+                ['▲', 'Move back', () => this.moveParallaxLayer(index, -1)],
+                ['▼', 'Move forward', () => this.moveParallaxLayer(index, 1)],
+                ['✕', 'Remove layer', () => this.removeParallaxLayer(index)]
+            ]) {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-small';
+                btn.textContent = text;
+                btn.title = tooltip;
+                btn.addEventListener('click', action);
+                header.appendChild(btn);
+            }
+            item.appendChild(header);
+            
+            for (const field of fields) {
+                const group = document.createElement('div');
+                group.className = 'property-group';
+                const label = document.createElement('label');
+                label.textContent = field.label;
+                
+                const input = document.createElement('input');
+                input.type = field.type;
+                if (field.step !== undefined) input.step = field.step;
+                
+                const value = layer[field.name] !== undefined ? layer[field.name] : defaults[field.name];
+                if (field.type === 'checkbox') {
+                    input.checked = Boolean(value);
+                    label.prepend(input);
+                    group.appendChild(label);
+                } else {
+                    input.value = value;
+                    group.appendChild(label);
+                    group.appendChild(input);
+                }
+                
+                input.addEventListener('change', () => {
+                    if (field.type === 'checkbox') {
+                        layer[field.name] = input.checked;
+                    } else if (field.type === 'number') {
+                        layer[field.name] = parseFloat(input.value) || 0;
+                    } else {
+                        layer[field.name] = input.value;
+                    }
+                    
+                    if (field.name === 'name') {
+                        title.textContent = input.value;
+                    }
+                    this.onParallaxChanged();
+                });
+                
+                item.appendChild(group);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+
+    renderReachability() {
+        if (!this.reachability || this.reachabilityModified !== this.currentLevel.metadata.modified) return;
+        
+        const tileSize = this.currentLevel.properties.tileSize;
+        const width = this.reachability.width;
+        
+        // Tiles the player's body can occupy
+        this.ctx.fillStyle = 'rgba(72, 187, 120, 0.25)';
+        for (const index of this.reachabilityTiles) {
+            this.ctx.fillRect((index % width) * tileSize, Math.floor(index / width) * tileSize, tileSize, tileSize);
+        }
+        
+        // Positions the player can get stuck in
+        this.ctx.fillStyle = 'rgba(237, 137, 54, 0.5)';
+        for (const softlock of this.reachability.softlocks) {
+            this.ctx.fillRect(softlock.x * tileSize, softlock.y * tileSize, tileSize, tileSize);
+        }
+        
+        // Unreachable entities and exits
+        this.ctx.strokeStyle = '#e53e3e';
+        this.ctx.lineWidth = 2;
+        for (const target of [...this.reachability.entities, ...this.reachability.exits]) {
+            if (target.reachable) continue;
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(target.x - 10, target.y - 10);
+            this.ctx.lineTo(target.x + 10, target.y + 10);
+            this.ctx.moveTo(target.x + 10, target.y - 10);
+            this.ctx.lineTo(target.x - 10, target.y + 10);
+            this.ctx.stroke();
+        }
     }
 
     renderGrid() {
@@ -828,6 +1231,22 @@ export class LevelEditor {
     updateUI() {
         if (!this.currentLevel) return;
         
+        // Rebuild the parallax panel when a different level (or history state) becomes current
+        if (this.parallaxLevel !== this.currentLevel) {
+            this.parallaxLevel = this.currentLevel;
+            this.updateParallaxUI();
+        }
+        
+        // Likewise the tile palette, for the level's tileset
+        if (this.tilesetLevel !== this.currentLevel) {
+            this.tilesetLevel = this.currentLevel;
+            const tileset = this.currentLevel.tilesets[0];
+            if (tileset && TileDefinitions.has(tileset.id)) {
+                document.getElementById('tilesetSelect').value = tileset.id;
+            }
+            this.initializeTilePalette();
+        }
+        
         // Update level name
         this.elements.levelName.textContent = this.currentLevel.metadata.name;
         
@@ -851,6 +1270,12 @@ export class LevelEditor {
         document.getElementById('levelWidth').value = this.currentLevel.properties.width;
         document.getElementById('levelHeight').value = this.currentLevel.properties.height;
         document.getElementById('backgroundColor').value = this.currentLevel.properties.backgroundColor;
+        document.getElementById('ambientLight').value = this.currentLevel.properties.ambientLight ?? 1;
+        
+        const weather = this.currentLevel.properties.weather;
+        const weatherType = typeof weather === 'string' ? weather : (weather ? weather.type : '');
+        document.getElementById('weatherType').value = weatherType || '';
+        document.getElementById('weatherIntensity').value = weather && weather.intensity !== undefined ? weather.intensity : 1;
         
         // Update debug UI
         this.updateDebugUI();
@@ -928,6 +1353,75 @@ export class LevelEditor {
         }
     }
 
+    getSelectedAbilities() {
+        return Array.from(document.querySelectorAll('#reachabilityAbilities input:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    analyzeReachability() {
+        const abilities = this.getSelectedAbilities();
+        
+        this.reachability = this.currentLevel.analyzeReachability(abilities);
+        this.reachabilityTiles = new Set(this.reachability.reachableTiles);
+        this.reachabilityModified = this.currentLevel.metadata.modified;
+        
+        const warnings = ReachabilityAnalyzer.getWarnings(this.reachability);
+        this.updateReachabilityUI(warnings);
+        this.render();
+        
+        if (warnings.length > 0) {
+            warnings.forEach(warning => console.warn(warning));
+            this.showNotification(`Reachability: ${warnings.length} issue(s) found`, 'error');
+        } else {
+            this.showNotification('Everything is reachable!', 'success');
+        }
+    }
+
+    updateReachabilityUI(warnings) {
+        const summary = document.getElementById('reachabilitySummary');
+        const report = this.reachability;
+        const reachableEntities = report.entities.filter(e => e.reachable).length;
+        const reachableExits = report.exits.filter(e => e.reachable).length;
+        
+        summary.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">Entities:</span>
+                <span class="stat-value">${reachableEntities} / ${report.entities.length}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Exits:</span>
+                <span class="stat-value">${reachableExits} / ${report.exits.length}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Softlocks:</span>
+                <span class="stat-value">${report.softlocks.length}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Sequence Breaks:</span>
+                <span class="stat-value">${report.sequenceBreaks.length}</span>
+            </div>
+        `;
+        summary.title = warnings.join('\n');
+    }
+
+    exportReachability() {
+        if (!this.reachability || this.reachabilityModified !== this.currentLevel.metadata.modified) {
+            this.analyzeReachability();
+        }
+        
+        const json = ReachabilityAnalyzer.exportReport(this.reachability);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.currentLevel.metadata.name.replace(/[^a-z0-9]/gi, '_')}_reachability.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     showLoadModal() {
         const modal = document.getElementById('loadLevelModal');
         this.populateSavedLevels();
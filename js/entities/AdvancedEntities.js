@@ -14,6 +14,26 @@ export class Projectile extends GameObject {
         super(x, y, config.width || 8, config.height || 8);
         
         this.type = 'projectile';
+        this.addTag('projectile');
+        
+        // Moves and collides by itself (see checkCollisions), so physics leaves it alone
+        this.gravityScale = 0;
+        this.collisionLayers = [];
+        this.collisionMask = [];
+        this.manualMovement = true;
+        
+        this.reset(x, y, config);
+    }
+
+    // Set up a fresh shot; projectiles are pooled, so this runs again every time one is reused
+    reset(x, y, config = {}) {
+        this.position.set(x, y);
+        this.size.set(config.width || 8, config.height || 8);
+        this.destroyed = false;
+        this.active = true;
+        this.visible = true;
+        this.opacity = 1;
+        
         this.projectileType = config.projectileType || 'bullet';
         this.velocity = new Vector2(config.velocityX || 0, config.velocityY || 0);
         this.damage = config.damage || 1;
@@ -23,6 +43,7 @@ export class Projectile extends GameObject {
         this.explosionRadius = config.explosionRadius || 50;
         this.owner = config.owner || null;
         this.team = config.team || 'neutral';
+        this.hitEntities = new Set();
         
         // Visual properties
         this.color = config.color || '#ffff00';
@@ -47,6 +68,8 @@ export class Projectile extends GameObject {
         this.homingStrength = config.homingStrength || 0;
         this.spinSpeed = config.spinSpeed || 0;
         this.rotation = 0;
+        
+        return this;
     }
 
     update(deltaTime, world) {
@@ -61,7 +84,7 @@ export class Projectile extends GameObject {
         }
         
         // Check range
-        const distanceTraveled = Vector2.distance(this.position, this.startPosition);
+        const distanceTraveled = this.position.distance(this.startPosition);
         if (distanceTraveled >= this.range) {
             if (this.explosive) {
                 this.explode(world);
@@ -72,8 +95,9 @@ export class Projectile extends GameObject {
         
         // Apply homing behavior
         if (this.homingTarget && this.homingStrength > 0) {
-            const targetDirection = Vector2.subtract(this.homingTarget.position, this.position).normalize();
-            this.velocity = Vector2.lerp(this.velocity.normalize(), targetDirection, this.homingStrength * deltaTime).multiply(this.velocity.magnitude());
+            const speed = this.velocity.magnitude();
+            const targetDirection = this.homingTarget.getCenter().subtract(this.getCenter()).normalized();
+            this.velocity = this.velocity.normalized().lerp(targetDirection, this.homingStrength * deltaTime).normalized().multiply(speed);
         }
         
         // Apply gravity
@@ -98,32 +122,33 @@ export class Projectile extends GameObject {
         }
         
         // Move
-        const newPosition = Vector2.add(this.position, Vector2.multiply(this.velocity, deltaTime));
+        const newPosition = this.position.add(this.velocity.multiply(deltaTime));
         
         // Check collisions
         this.checkCollisions(newPosition, world);
     }
 
+    // Movement happens in checkCollisions, after the path is known to be clear
+    updatePhysics(deltaTime) {
+    }
+
     checkCollisions(newPosition, world) {
+        const bounds = { x: newPosition.x, y: newPosition.y, width: this.size.x, height: this.size.y };
+        
         // Check world bounds
-        if (newPosition.x < 0 || newPosition.x > world.width * world.tileSize ||
-            newPosition.y < 0 || newPosition.y > world.height * world.tileSize) {
+        if (!world.boundsOverlap(bounds, world.bounds)) {
             this.destroy();
             return;
         }
         
-        // Check tile collisions
-        const tileCollision = world.checkTileCollision({
-            x: newPosition.x - this.width / 2,
-            y: newPosition.y - this.height / 2,
-            width: this.width,
-            height: this.height
-        });
+        // Check tile collisions; fast shots sweep their path so they can't skip over thin walls
+        const tileCollision = this.sweepTiles(newPosition, world) || world.checkTileCollision(bounds);
         
         if (tileCollision) {
             if (this.bounce && this.bounceCount < this.maxBounces) {
                 this.handleBounce(tileCollision);
                 this.bounceCount++;
+                return;
             } else {
                 if (this.explosive) {
                     this.explode(world);
@@ -134,24 +159,31 @@ export class Projectile extends GameObject {
         }
         
         // Check entity collisions
-        const entities = world.getEntitiesInArea(
-            newPosition.x - this.width,
-            newPosition.y - this.height,
-            this.width * 2,
-            this.height * 2
-        );
+        const entities = world.getEntitiesInArea(bounds.x, bounds.y, bounds.width, bounds.height);
         
         for (const entity of entities) {
-            if (entity === this || entity === this.owner) continue;
+            if (entity === this || entity === this.owner || entity.destroyed) continue;
             if (this.team !== 'neutral' && entity.team === this.team) continue;
+            if (this.hitEntities.has(entity)) continue;
             
-            if (this.checkCollision(entity, newPosition)) {
-                this.hitEntity(entity, world);
-                
-                if (!this.piercing) {
+            if (!entity.takeDamage) {
+                // Solid scenery stops the shot like a wall
+                if (entity.solid && !entity.isTrigger && !entity.hasTag('tile')) {
+                    if (this.explosive) {
+                        this.explode(world);
+                    }
                     this.destroy();
                     return;
                 }
+                continue;
+            }
+            
+            this.hitEntities.add(entity);
+            this.hitEntity(entity, world);
+            
+            if (!this.piercing) {
+                this.destroy();
+                return;
             }
         }
         
@@ -159,6 +191,19 @@ export class Projectile extends GameObject {
         this.position = newPosition;
     }
 
+    // Stops a fast shot at the first tile on its path this frame, as a tile collision
+    sweepTiles(newPosition, world) {
+        const physics = window.game && window.game.physics;
+        if (!physics || !world.levelData || !physics.isFastMover(this)) return null;
+        
+        const displacement = newPosition.subtract(this.position);
+        const hit = physics.sweepTiles(world, this.getBounds(), displacement);
+        if (!hit) return null;
+        
+        this.position.addInPlace(displacement.multiply(hit.time));
+        return { x: hit.tileX, y: hit.tileY, normal: hit.normal };
+    }
+
     handleBounce(collision) {
         if (collision.normal.x !== 0) {
             this.velocity.x *= -this.bounceDecay;
@@ -175,8 +220,8 @@ export class Projectile extends GameObject {
         
         // Apply knockback
         if (entity.velocity && this.velocity.magnitude() > 0) {
-            const knockback = this.velocity.normalize().multiply(this.damage * 50);
-            entity.velocity = Vector2.add(entity.velocity, knockback);
+            const knockback = this.velocity.normalized().multiply(this.damage * 50);
+            entity.velocity.addInPlace(knockback);
         }
         
         if (this.explosive) {
@@ -186,34 +231,33 @@ export class Projectile extends GameObject {
 
     explode(world) {
         // Find entities in explosion radius
+        const center = this.getCenter();
         const entitiesInRange = world.getEntitiesInArea(
-            this.position.x - this.explosionRadius,
-            this.position.y - this.explosionRadius,
+            center.x - this.explosionRadius,
+            center.y - this.explosionRadius,
             this.explosionRadius * 2,
             this.explosionRadius * 2
         );
         
         for (const entity of entitiesInRange) {
-            if (entity === this || entity === this.owner) continue;
+            if (entity === this || entity === this.owner || !entity.takeDamage) continue;
             if (this.team !== 'neutral' && entity.team === this.team) continue;
             
-            const distance = Vector2.distance(this.position, entity.position);
+            const distance = center.distance(entity.getCenter());
             if (distance <= this.explosionRadius) {
                 const damage = this.damage * (1 - distance / this.explosionRadius);
-                const knockback = Vector2.subtract(entity.position, this.position).normalize().multiply(damage * 100);
+                const knockback = entity.getCenter().subtract(center).normalized().multiply(damage * 100);
                 
-                if (entity.takeDamage) {
-                    entity.takeDamage(Math.ceil(damage), this);
-                }
+                entity.takeDamage(Math.ceil(damage), this);
                 
                 if (entity.velocity) {
-                    entity.velocity = Vector2.add(entity.velocity, knockback);
+                    entity.velocity.addInPlace(knockback);
                 }
             }
         }
         
         // Create explosion effect
-        world.createExplosion(this.position.x, this.position.y, this.explosionRadius);
+        world.createExplosion(this.getCenter(), this.explosionRadius > 80 ? 'large' : 'medium');
     }
 
     render(renderer) {
@@ -298,7 +342,7 @@ export class Checkpoint extends GameObject {
         this.activeColor = '#48bb78';
         this.glowRadius = 0;
         this.glowSpeed = 2;
-        this.particles = [];
+        this.glowEmitter = null;
         
         // Audio
         this.activationSound = config.activationSound || null;
@@ -322,26 +366,8 @@ export class Checkpoint extends GameObject {
         // Update glow effect
         if (this.activated) {
             this.glowRadius = Math.sin(world.time * this.glowSpeed) * 5 + 10;
-            
-            // Spawn particles
-            if (Math.random() < 0.3) {
-                this.particles.push({
-                    x: this.position.x + (Math.random() - 0.5) * this.width,
-                    y: this.position.y + this.height,
-                    vy: -50 - Math.random() * 30,
-                    life: 1,
-                    maxLife: 1
-                });
-            }
         }
         
-        // Update particles
-        this.particles = this.particles.filter(particle => {
-            particle.y += particle.vy * deltaTime;
-            particle.life -= deltaTime;
-            return particle.life > 0;
-        });
-        
         // Check for player activation
         if (!this.activated) {
             const player = world.getPlayer();
@@ -356,6 +382,11 @@ export class Checkpoint extends GameObject {
         
         this.activated = true;
         
+        // Resting here respawns enemies and notifies listeners
+        if (world.activateCheckpoint) {
+            world.activateCheckpoint(this);
+        }
+        
         // Save checkpoint
         if (world.saveSystem) {
             world.saveSystem.setCheckpoint(world.currentLevel, {
@@ -370,8 +401,14 @@ export class Checkpoint extends GameObject {
             world.audioManager.playSound(this.activationSound);
         }
         
-        // Create activation effect
+        // Create activation effect and rising glow particles
         world.createEffect('checkpoint_activation', this.position.x, this.position.y);
+        this.glowEmitter = world.createEffect('checkpoint_glow', this.position.x, this.position.y, {
+            shape: { type: 'rect', width: this.size.x, height: 0 }
+        });
+        if (this.glowEmitter) {
+            this.glowEmitter.attachTo(this, 0, this.size.y / 2);
+        }
         
         // Deactivate other checkpoints
         const otherCheckpoints = world.getEntitiesByType('checkpoint');
@@ -387,7 +424,11 @@ export class Checkpoint extends GameObject {
     deactivate() {
         this.activated = false;
         this.glowRadius = 0;
-        this.particles = [];
+        
+        if (this.glowEmitter) {
+            this.glowEmitter.stop();
+            this.glowEmitter = null;
+        }
     }
 
     render(renderer) {
@@ -434,14 +475,6 @@ export class Checkpoint extends GameObject {
         } else {
             renderer.fillCircle(this.position.x, renderY - this.height + 4, 6, '#718096');
         }
-        
-        // Render particles
-        this.particles.forEach(particle => {
-            const alpha = particle.life / particle.maxLife;
-            renderer.setAlpha(alpha);
-            renderer.fillCircle(particle.x, particle.y, 2, this.activeColor);
-        });
-        renderer.setAlpha(1);
     }
 }
 
@@ -466,9 +499,14 @@ export class FlyingEnemy extends GameObject {
         this.patrolPath = config.patrolPath || [];
         this.currentPathIndex = 0;
         this.patrolSpeed = config.patrolSpeed || 40;
-        
-        // States
-        this.state = 'patrol'; // patrol, chase, attack, stunned
+        this.navAgent = new NavigationAgent(this);
+        
+        // States: 'active' or 'stunned'; the behavior tree sets aiState (patrol, chase, attack)
+        this.state = 'active';
+        this.stunTimer = 0;
+        this.aiState = 'patrol';
+        this.behavior = BehaviorTree.create(config.behaviorTree || config.behavior || 'air_patrol') ||
+            BehaviorTree.create('air_patrol');
         this.target = null;
         this.lastAttackTime = 0;
         this.attackCooldown = config.attackCooldown || 2;
@@ -477,7 +515,7 @@ export class FlyingEnemy extends GameObject {
         this.hoverHeight = config.hoverHeight || 0;
         this.hoverSpeed = config.hoverSpeed || 2;
         this.hoverAmount = config.hoverAmount || 5;
-        this.hoverOffset = Math.random() * Math.PI * 2;
+        this.hoverOffset = Random.value() * Math.PI * 2;
         
         // Visual
         this.color = config.color || '#e53e3e';
@@ -489,42 +527,20 @@ export class FlyingEnemy extends GameObject {
     update(deltaTime, world) {
         super.update(deltaTime, world);
         
+        if (this.stunTimer > 0) {
+            this.stunTimer -= deltaTime;
+            if (this.stunTimer <= 0 && this.state === 'stunned') {
+                this.state = 'active';
+            }
+        }
+        
         // Update hover animation
         this.hoverOffset += this.hoverSpeed * deltaTime;
         const targetY = this.position.y + Math.sin(this.hoverOffset) * this.hoverAmount;
         
-        // Find player
-        const player = world.getPlayer();
-        const distanceToPlayer = player ? Vector2.distance(this.position, player.position) : Infinity;
-        
-        // State machine
-        switch (this.state) {
-            case 'patrol':
-                this.updatePatrol(deltaTime);
-                if (player && distanceToPlayer <= this.detectionRange) {
-                    this.state = 'chase';
-                    this.target = player;
-                }
-                break;
-                
-            case 'chase':
-                if (!player || distanceToPlayer > this.detectionRange * 1.5) {
-                    this.state = 'patrol';
-                    this.target = null;
-                } else if (distanceToPlayer <= this.attackRange) {
-                    this.state = 'attack';
-                } else {
-                    this.chaseTarget(player, deltaTime);
-                }
-                break;
-                
-            case 'attack':
-                if (!player || distanceToPlayer > this.attackRange * 1.2) {
-                    this.state = 'chase';
-                } else {
-                    this.attackTarget(player, deltaTime, world);
-                }
-                break;
+        // Stunned enemies just drift
+        if (this.state !== 'stunned' && this.behavior) {
+            this.behavior.tick(this, deltaTime);
         }
         
         // Apply hover effect to Y position
@@ -550,12 +566,30 @@ export class FlyingEnemy extends GameObject {
     }
 
     chaseTarget(target, deltaTime) {
-        const direction = Vector2.subtract(target.position, this.position);
-        const moveVector = direction.normalize().multiply(this.speed * deltaTime);
-        this.position = Vector2.add(this.position, moveVector);
+        // Fly around walls along the navigation grid
+        const waypoint = this.navAgent.update(target.getCenter(), deltaTime);
+        if (!waypoint) return;
+
+        const center = this.getCenter();
+        const direction = new Vector2(waypoint.x - center.x, waypoint.y - center.y);
+        const moveVector = direction.normalized().multiply(this.speed * deltaTime);
+        this.position = this.position.add(moveVector);
         this.facingDirection = moveVector.x > 0 ? 1 : -1;
     }
 
+    getNavigationProfile(navigation) {
+        return navigation.profileFor(this.size.x, this.size.y, { flying: true });
+    }
+
+    // Behavior tree hooks
+    updateChase(deltaTime) {
+        this.chaseTarget(this.target, deltaTime);
+    }
+
+    updateAttack(deltaTime) {
+        this.attackTarget(this.target, deltaTime, window.game.world);
+    }
+
     attackTarget(target, deltaTime, world) {
         const currentTime = world.time;
         if (currentTime - this.lastAttackTime >= this.attackCooldown) {
@@ -613,21 +647,21 @@ export class FlyingEnemy extends GameObject {
         } else {
             // Become stunned briefly
             this.state = 'stunned';
-            setTimeout(() => {
-                if (this.state === 'stunned') {
-                    this.state = 'patrol';
-                }
-            }, 500);
+            this.stunTimer = 0.5;
         }
     }
 
     die(source) {
         // Drop items or give rewards
-        if (Math.random() < 0.3) {
+        if (Random.value() < 0.3) {
             // Drop health pickup
             // world.createPickup('health', this.position.x, this.position.y);
         }
         
+        if (window.game && window.game.world) {
+            window.game.world.setObjectState(this, 'dead');
+        }
+        
         this.destroy();
     }
 
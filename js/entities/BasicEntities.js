@@ -61,8 +61,13 @@ class PowerUp extends GameObject {
                 this.color = '#44aaff';
                 this.abilityName = 'shield';
                 break;
+            case 'score':
+                this.color = '#ffffff';
+                break;
             default:
+                // Any other Player ability by name
                 this.color = '#ffffff';
+                this.abilityName = this.powerType;
         }
     }
     
@@ -100,6 +105,12 @@ class PowerUp extends GameObject {
     collect(player) {
         this.collected = true;
         
+        // Remember the pickup so the map can mark it as collected and it stays gone
+        if (window.game && window.game.world) {
+            window.game.world.collectItem(this.id, this.powerType);
+            window.game.world.setObjectState(this, 'collected');
+        }
+        
         switch (this.powerType) {
             case 'health':
                 player.heal(this.value);
@@ -125,9 +136,10 @@ class PowerUp extends GameObject {
     }
     
     createCollectionEffect() {
-        // Create particles or visual effect
         if (window.game && window.game.world) {
-            window.game.world.createExplosion(this.getCenter(), 'small');
+            const center = this.getCenter();
+            const effect = this.powerType === 'health' ? 'health_pickup' : 'powerup_pickup';
+            window.game.world.createEffect(effect, center.x, center.y);
         }
     }
 }
@@ -147,17 +159,23 @@ class Enemy extends GameObject {
         this.attackRange = 40;
         this.sightRange = 200;
         
-        // AI state
+        // AI state (aiState is set by the behavior tree's actions)
         this.aiState = 'patrol';
         this.target = null;
         this.lastSeenTarget = null;
         this.stateTimer = 0;
+        this.behavior = BehaviorTree.create(Enemy.DEFAULT_BEHAVIOR);
         
         // Movement
         this.direction = 1;
         this.patrolDistance = 100;
         this.startPosition = new Vector2(x, y);
         
+        // Pathfinding (jumpForce 0 = can't jump; maxDrop in tiles)
+        this.jumpForce = 400;
+        this.maxDrop = 6;
+        this.navAgent = new NavigationAgent(this);
+        
         // Combat
         this.attackCooldown = 0;
         this.maxAttackCooldown = 1.0;
@@ -177,6 +195,17 @@ class Enemy extends GameObject {
         this.setupEnemyType();
     }
     
+    static DEFAULT_BEHAVIOR = 'ground_patrol';
+    
+    // Swap the AI for a named tree or an inline tree definition; keeps the current one if it's invalid
+    setBehavior(definition) {
+        const behavior = BehaviorTree.create(definition);
+        if (behavior) {
+            this.behavior = behavior;
+        }
+        return !!behavior;
+    }
+    
     setupEnemyType() {
         switch (this.enemyType) {
             case 'basic':
@@ -185,6 +214,7 @@ class Enemy extends GameObject {
             case 'fast':
                 this.speed = 150;
                 this.health = 30;
+                this.jumpForce = 450;
                 this.color = '#ffff66';
                 break;
             case 'heavy':
@@ -192,6 +222,8 @@ class Enemy extends GameObject {
                 this.health = 100;
                 this.damage = 20;
                 this.mass = 4;
+                this.jumpForce = 0;
+                this.maxDrop = 3;
                 this.color = '#666666';
                 break;
             case 'flying':
@@ -213,51 +245,15 @@ class Enemy extends GameObject {
     updateAI(deltaTime) {
         this.stateTimer += deltaTime;
         
-        // Find player
-        if (window.game && window.game.world) {
-            const player = window.game.world.getPlayer();
-            if (player) {
-                const distance = this.distanceTo(player);
-                
-                if (distance <= this.sightRange && this.canSeeTarget(player)) {
-                    this.target = player;
-                    this.lastSeenTarget = player.getCenter().copy();
-                    
-                    if (distance <= this.attackRange) {
-                        this.aiState = 'attack';
-                    } else {
-                        this.aiState = 'chase';
-                    }
-                } else if (this.aiState === 'chase' && this.lastSeenTarget) {
-                    this.aiState = 'investigate';
-                } else if (this.aiState !== 'patrol') {
-                    this.aiState = 'patrol';
-                    this.stateTimer = 0;
-                }
-            }
-        }
-        
-        // State-specific behavior
-        switch (this.aiState) {
-            case 'patrol':
-                this.updatePatrol(deltaTime);
-                break;
-            case 'chase':
-                this.updateChase(deltaTime);
-                break;
-            case 'attack':
-                this.updateAttack(deltaTime);
-                break;
-            case 'investigate':
-                this.updateInvestigate(deltaTime);
-                break;
+        if (this.behavior) {
+            this.behavior.tick(this, deltaTime);
         }
     }
     
     updatePatrol(deltaTime) {
         const distanceFromStart = Math.abs(this.position.x - this.startPosition.x);
         
-        if (distanceFromStart >= this.patrolDistance || this.stateTimer > 3) {
+        if (distanceFromStart >= this.patrolDistance || this.stateTimer > 3 || this.isPathBlocked(this.direction)) {
             this.direction *= -1;
             this.stateTimer = 0;
         }
@@ -267,12 +263,7 @@ class Enemy extends GameObject {
     
     updateChase(deltaTime) {
         if (this.target) {
-            const targetDirection = this.directionTo(this.target);
-            this.velocity.x = targetDirection.x * this.speed;
-            
-            if (this.enemyType === 'flying') {
-                this.velocity.y = targetDirection.y * this.speed;
-            }
+            this.moveTowards(this.target.getCenter(), deltaTime);
         }
     }
     
@@ -287,16 +278,62 @@ class Enemy extends GameObject {
     
     updateInvestigate(deltaTime) {
         if (this.lastSeenTarget) {
-            const direction = this.lastSeenTarget.subtract(this.getCenter()).normalized();
-            this.velocity.x = direction.x * this.speed * 0.7;
+            const moving = this.moveTowards(this.lastSeenTarget, deltaTime, 0.7);
             
-            if (this.getCenter().distance(this.lastSeenTarget) < 20) {
+            // Give up when there's no way there or the path ends short of it (e.g. the player was mid-jump)
+            if (!moving || this.navAgent.isFinished() || this.getCenter().distance(this.lastSeenTarget) < 20) {
                 this.aiState = 'patrol';
                 this.lastSeenTarget = null;
             }
         }
     }
     
+    // Follow the navigation graph toward a world point; stands still when there's no route
+    moveTowards(point, deltaTime, speedScale = 1) {
+        const waypoint = this.navAgent.update(point, deltaTime);
+        if (!waypoint) {
+            this.velocity.x *= 0.5;
+            return false;
+        }
+        
+        const center = this.getCenter();
+        const speed = this.speed * speedScale;
+        
+        if (this.gravityScale === 0) {
+            const direction = new Vector2(waypoint.x - center.x, waypoint.y - center.y).normalized();
+            this.velocity.x = direction.x * speed;
+            this.velocity.y = direction.y * speed;
+            return true;
+        }
+        
+        const dx = waypoint.x - center.x;
+        this.velocity.x = Math.abs(dx) > 4 ? Math.sign(dx) * speed : 0;
+        
+        // The current waypoint is the landing spot, so take off as soon as it comes up
+        if (waypoint.link === 'jump' && this.jumpForce > 0 && window.game.physics.isGrounded(this)) {
+            this.velocity.y = -this.jumpForce;
+        }
+        
+        return true;
+    }
+    
+    getNavigationProfile(navigation) {
+        return navigation.profileFor(this.size.x, this.size.y, {
+            flying: this.gravityScale === 0,
+            jumpForce: this.jumpForce,
+            speed: this.speed,
+            maxDrop: this.maxDrop
+        });
+    }
+    
+    // Wall or ledge ahead (only checked on the ground; flyers don't care)
+    isPathBlocked(direction) {
+        const navigation = window.game && window.game.world ? window.game.world.navigation : null;
+        if (!navigation || this.gravityScale === 0 || !window.game.physics.isGrounded(this)) return false;
+        
+        return !navigation.canWalk(this.getBounds(), direction, this.getNavigationProfile(navigation).height);
+    }
+    
     updateCombat(deltaTime) {
         if (this.attackCooldown > 0) {
             this.attackCooldown -= deltaTime;
@@ -365,7 +402,7 @@ class Enemy extends GameObject {
             const effectPos = this.target ? 
                 this.getCenter().lerp(this.target.getCenter(), 0.5) : 
                 this.getCenter();
-            window.game.world.createExplosion(effectPos, 'small');
+            window.game.world.createEffect('sparks', effectPos.x, effectPos.y);
         }
     }
     
@@ -395,13 +432,14 @@ class Enemy extends GameObject {
     
     die() {
         // Drop items occasionally
-        if (Math.random() < 0.3) {
+        if (Random.value() < 0.3) {
             this.dropItem();
         }
         
         // Death effect
         if (window.game && window.game.world) {
             window.game.world.createExplosion(this.getCenter(), 'medium');
+            window.game.world.setObjectState(this, 'dead');
         }
         
         // Award score to player
@@ -419,7 +457,7 @@ class Enemy extends GameObject {
         if (!window.game || !window.game.world) return;
         
         const items = ['health', 'score'];
-        const randomItem = items[Math.floor(Math.random() * items.length)];
+        const randomItem = items[Math.floor(Random.value() * items.length)];
         
         const powerUp = new PowerUp(this.position.x, this.position.y, randomItem);
         if (randomItem === 'score') {
@@ -450,6 +488,7 @@ class Platform extends GameObject {
         // Platform properties
         this.solid = platformType === 'solid';
         this.gravityScale = 0;
+        this.carriesRiders = true;
         
         // Movement (for moving platforms)
         this.movementType = 'none';
@@ -458,6 +497,7 @@ class Platform extends GameObject {
         this.movementDirection = new Vector2(1, 0);
         this.startPosition = new Vector2(x, y);
         this.movementTimer = 0;
+        this.crumbleTimer = 0;
         
         // Tags
         this.addTag('platform');
@@ -499,6 +539,13 @@ class Platform extends GameObject {
         if (this.movementType !== 'none') {
             this.updateMovement(deltaTime);
         }
+        
+        if (this.crumbleTimer > 0) {
+            this.crumbleTimer -= deltaTime;
+            if (this.crumbleTimer <= 0) {
+                this.destroy();
+            }
+        }
     }
     
     updateMovement(deltaTime) {
@@ -559,17 +606,271 @@ class Platform extends GameObject {
     }
     
     crumble() {
+        if (this.crumbleTimer > 0) return;
+        
         // Create crumble effect
         if (window.game && window.game.world) {
             window.game.world.createExplosion(this.getCenter(), 'medium');
+            window.game.world.setObjectState(this, 'destroyed');
         }
         
         // Remove after delay
-        setTimeout(() => this.destroy(), 500);
+        this.crumbleTimer = 0.5;
+    }
+}
+
+/**
+ * LevelTransition - Door or room edge that sends the player to another level
+ */
+class LevelTransition extends GameObject {
+    constructor(x, y, targetLevel, targetSpawn = null, width = 32, height = 64) {
+        super(x, y, width, height);
+        
+        this.targetLevel = targetLevel;
+        this.targetSpawn = targetSpawn;
+        
+        // Transition presentation
+        this.transitionType = 'fade'; // 'fade' or 'slide'
+        this.direction = null; // side of the room this exit leads out of: 'left', 'right', 'up', 'down'
+        
+        // Disarmed until the player is clear of it, so arriving through a door doesn't bounce straight back
+        this.armed = false;
+        
+        // Visual properties
+        this.color = 'rgba(120, 200, 255, 0.25)';
+        
+        // Physics
+        this.solid = false;
+        this.isTrigger = true;
+        this.gravityScale = 0;
+        
+        // Tags
+        this.addTag('transition');
+        
+        // Collision
+        this.collisionLayers = ['trigger'];
+        this.collisionMask = [];
+    }
+    
+    onUpdate(deltaTime) {
+        if (this.armed) return;
+        
+        const player = window.game && window.game.world ? window.game.world.getPlayer() : null;
+        if (!player || !player.overlaps(this)) {
+            this.armed = true;
+        }
+    }
+}
+
+/**
+ * PointLight - Invisible light placed in a level (torches, lamps, glowing crystals)
+ */
+class PointLight extends GameObject {
+    constructor(x, y, options = {}) {
+        super(x, y, 16, 16);
+        
+        // options: radius, color, intensity, flicker, castShadows
+        this.setLight(options);
+        
+        // Not drawn and not physical
+        this.visible = false;
+        this.solid = false;
+        this.gravityScale = 0;
+        
+        // Tags
+        this.addTag('light');
+        
+        // Collision
+        this.collisionLayers = [];
+        this.collisionMask = [];
+    }
+}
+
+/**
+ * NPC - Non-player character the player can talk to with the interact key
+ */
+class NPC extends GameObject {
+    constructor(x, y, options = {}) {
+        super(x, y, 24, 32);
+        
+        // options: name, dialogue (dialogue tree id), interactRange, color
+        this.name = options.name || 'Stranger';
+        this.dialogue = options.dialogue || null;
+        this.interactRange = options.interactRange !== undefined ? options.interactRange : 48;
+        
+        // Visual properties
+        this.color = options.color || '#b794f4';
+        this.promptVisible = false;
+        this.promptTimer = 0;
+        
+        // Physics
+        this.solid = false;
+        this.gravityScale = 1;
+        
+        // Tags
+        this.addTag('npc');
+        this.addTag('interactable');
+        
+        // Collision
+        this.collisionLayers = ['npc'];
+        this.collisionMask = ['solid', 'platform'];
+    }
+    
+    onUpdate(deltaTime) {
+        const world = window.game && window.game.world;
+        const player = world ? world.getPlayer() : null;
+        
+        // Show the prompt and turn towards the player when they're close
+        this.promptVisible = Boolean(player) && this.canInteract(player) && !world.dialogue.active;
+        this.promptTimer += deltaTime;
+        
+        if (player && this.canInteract(player)) {
+            this.scale.x = player.getCenter().x < this.getCenter().x ? -1 : 1;
+        }
+    }
+    
+    canInteract(player) {
+        if (!this.dialogue || !this.active) return false;
+        return this.getCenter().distance(player.getCenter()) <= this.interactRange;
+    }
+    
+    interact(player) {
+        if (!window.game || !window.game.world) return false;
+        return window.game.world.dialogue.start(this.dialogue, this);
+    }
+    
+    onRender(ctx) {
+        // Eyes, so the NPC has a facing direction
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(2, -this.size.y / 2 + 8, 4, 4);
+        ctx.fillRect(8, -this.size.y / 2 + 8, 4, 4);
+        
+        // Interact prompt above the head
+        if (this.promptVisible) {
+            const bob = Math.sin(this.promptTimer * 4) * 2;
+            ctx.scale(this.scale.x, 1);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(-10, -this.size.y / 2 - 28 + bob, 20, 18);
+            ctx.fillStyle = '#ffd700';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('E', 0, -this.size.y / 2 - 15 + bob);
+        }
+    }
+}
+
+/**
+ * Chest - Opened with the interact key for its contents; stays open (see World.setObjectState)
+ */
+class Chest extends GameObject {
+    constructor(x, y, options = {}) {
+        super(x, y, 32, 24);
+        
+        // options: contents ('health', 'score' or an ability name), amount, interactRange, color
+        this.contents = options.contents || 'score';
+        this.amount = options.amount !== undefined ? options.amount : 100;
+        this.interactRange = options.interactRange !== undefined ? options.interactRange : 40;
+        this.opened = false;
+        
+        // Visual properties
+        this.color = options.color || '#b7791f';
+        this.promptVisible = false;
+        this.promptTimer = 0;
+        
+        // Physics
+        this.solid = false;
+        this.gravityScale = 1;
+        
+        // Tags
+        this.addTag('chest');
+        this.addTag('interactable');
+        
+        // Collision
+        this.collisionLayers = ['pickup'];
+        this.collisionMask = ['solid', 'platform'];
+    }
+    
+    onUpdate(deltaTime) {
+        const world = window.game && window.game.world;
+        const player = world ? world.getPlayer() : null;
+        
+        this.promptVisible = Boolean(player) && this.canInteract(player) && !world.dialogue.active;
+        this.promptTimer += deltaTime;
+    }
+    
+    canInteract(player) {
+        if (this.opened || !this.active) return false;
+        return this.getCenter().distance(player.getCenter()) <= this.interactRange;
+    }
+    
+    interact(player) {
+        this.open(player);
+        return true;
+    }
+    
+    open(player) {
+        this.opened = true;
+        
+        if (window.game && window.game.world) {
+            window.game.world.setObjectState(this, 'opened');
+            
+            const center = this.getCenter();
+            window.game.world.createEffect('powerup_pickup', center.x, center.y);
+        }
+        
+        switch (this.contents) {
+            case 'health':
+                player.heal(this.amount);
+                break;
+            case 'score':
+                player.score += this.amount;
+                break;
+            default:
+                player.unlockAbility(this.contents);
+        }
+        
+        if (window.game && window.game.audioManager) {
+            window.game.audioManager.playSound('powerUp');
+        }
+    }
+    
+    // Chests opened on an earlier visit come back open and empty
+    restoreState(state) {
+        if (state === 'opened') {
+            this.opened = true;
+        }
+    }
+    
+    onRender(ctx) {
+        const w = this.size.x;
+        const h = this.size.y;
+        
+        // Lid: shut, or tipped back once opened
+        ctx.fillStyle = '#744210';
+        if (this.opened) {
+            ctx.fillRect(-w / 2, -h / 2 - 10, w, 6);
+            ctx.fillStyle = '#1a202c';
+            ctx.fillRect(-w / 2 + 3, -h / 2, w - 6, 5);
+        } else {
+            ctx.fillRect(-w / 2, -h / 2, w, 8);
+            ctx.fillStyle = '#ffd700';
+            ctx.fillRect(-3, -h / 2 + 5, 6, 7);
+        }
+        
+        // Interact prompt above the lid
+        if (this.promptVisible) {
+            const bob = Math.sin(this.promptTimer * 4) * 2;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(-10, -h / 2 - 30 + bob, 20, 18);
+            ctx.fillStyle = '#ffd700';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('E', 0, -h / 2 - 17 + bob);
+        }
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PowerUp, Enemy, Platform };
+    module.exports = { PowerUp, Enemy, Platform, LevelTransition, PointLight, NPC, Chest };
 }
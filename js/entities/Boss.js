@@ -0,0 +1,411 @@
+/**
+ * Boss - Multi-phase boss enemy for Echo Genesis
+ * Phases change with health, each running its own attack pattern; the arena locks while the fight is on
+ */
+class Boss extends Enemy {
+    constructor(x, y, options = {}) {
+        super(x, y, 'boss');
+        
+        this.size.set(options.width || 64, options.height || 64);
+        this.name = options.name || 'Guardian';
+        
+        // Stats
+        this.maxHealth = options.health || 500;
+        this.health = this.maxHealth;
+        this.damage = options.damage || 20;
+        this.speed = options.speed || 120;
+        this.mass = 8;
+        this.color = options.color || '#c53030';
+        this.baseColor = this.color;
+        
+        // Ability granted to the player on defeat
+        this.rewardAbility = options.rewardAbility || null;
+        
+        // Arena in world pixels; the fight starts when the player steps inside (no arena: when the boss sees them)
+        this.arena = options.arenaWidth > 0 && options.arenaHeight > 0 ? {
+            x: options.arenaX,
+            y: options.arenaY,
+            width: options.arenaWidth,
+            height: options.arenaHeight
+        } : null;
+        this.doorThickness = 32;
+        this.doors = [];
+        this.savedCameraBounds = null;
+        this.homePosition = new Vector2(x, y); // where it waits again if the player dies mid-fight
+        
+        // Phases: entered when health drops to `threshold` (fraction of max health)
+        //   { threshold, attacks: ['charge', { type: 'leap', height: 700 }, ...], speedMultiplier, color }
+        this.phases = (options.phases || Boss.DEFAULT_PHASES)
+            .map(phase => ({ speedMultiplier: 1, ...phase }))
+            .sort((a, b) => b.threshold - a.threshold);
+        this.phaseIndex = -1;
+        
+        // Fight state: 'dormant', 'transition', 'fighting' or 'defeated'
+        this.bossState = 'dormant';
+        this.stateTimer = 0;
+        this.transitionDuration = options.transitionDuration !== undefined ? options.transitionDuration : 1.5;
+        this.defeatDuration = 2.0;
+        
+        // Attack pattern playback
+        this.patternIndex = 0;
+        this.attack = null;
+        this.attackTimer = 0;
+        
+        // Damage flash
+        this.flashTimer = 0;
+        
+        // Phases drive the boss instead of a behavior tree
+        this.behavior = null;
+        
+        // Leaving the room mid-fight must not leave the arena locked
+        this.onDestroy = () => this.releaseArena();
+        
+        this.addTag('boss');
+    }
+    
+    static DEFAULT_PHASES = [
+        { threshold: 1.0, attacks: ['charge', 'rest'] },
+        { threshold: 0.6, attacks: ['charge', 'leap', 'rest'], speedMultiplier: 1.25 },
+        { threshold: 0.3, attacks: ['leap', 'summon', 'charge', 'leap'], speedMultiplier: 1.5, color: '#ff2e63' }
+    ];
+    
+    get phase() {
+        return this.phases[this.phaseIndex] || null;
+    }
+    
+    isInvulnerable() {
+        return this.bossState !== 'fighting';
+    }
+    
+    onUpdate(deltaTime) {
+        this.stateTimer += deltaTime;
+        this.updateCombat(deltaTime);
+        
+        if (this.flashTimer > 0) {
+            this.flashTimer -= deltaTime;
+        }
+        
+        switch (this.bossState) {
+            case 'dormant':
+                this.updateDormant();
+                break;
+            case 'transition':
+                this.velocity.x = 0;
+                if (this.stateTimer >= this.transitionDuration) {
+                    this.setBossState('fighting');
+                    this.nextAttack();
+                }
+                break;
+            case 'fighting':
+                this.updateAttack(deltaTime);
+                break;
+            case 'defeated':
+                this.updateDefeated(deltaTime);
+                break;
+        }
+        
+        this.updateMovement(deltaTime);
+    }
+    
+    setBossState(state) {
+        this.bossState = state;
+        this.stateTimer = 0;
+    }
+    
+    updateDormant() {
+        const player = window.game && window.game.world ? window.game.world.getPlayer() : null;
+        if (!player) return;
+        
+        const engaged = this.arena ?
+            window.game.world.boundsOverlap(this.arena, player.getBounds()) :
+            this.distanceTo(player) <= this.sightRange && this.canSeeTarget(player);
+        
+        if (engaged) {
+            this.startFight(player);
+        }
+    }
+    
+    startFight(player) {
+        const world = window.game.world;
+        
+        this.target = player;
+        world.activeBoss = this;
+        this.lockArena();
+        this.enterPhase(0);
+        
+        world.triggerEvent('bossStarted', { boss: this });
+    }
+    
+    // The player died mid-fight: open the arena and wait, at full health, for them to come back
+    resetFight() {
+        this.releaseArena();
+        
+        this.setBossState('dormant');
+        this.health = this.maxHealth;
+        this.phaseIndex = -1;
+        this.patternIndex = 0;
+        this.attack = null;
+        this.target = null;
+        this.color = this.baseColor;
+        this.position.setFromVector(this.homePosition);
+        this.velocity.set(0, 0);
+    }
+    
+    // Phases
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.patternIndex = 0;
+        this.attack = null;
+        this.color = this.phase.color || this.baseColor;
+        
+        // Invulnerable while the phase change plays out
+        this.setBossState('transition');
+        
+        if (window.game) {
+            window.game.camera.addShake(8, 0.4);
+            window.game.world.triggerEvent('bossPhaseChanged', { boss: this, phase: index });
+        }
+    }
+    
+    checkPhaseChange() {
+        const next = this.phases[this.phaseIndex + 1];
+        if (next && this.health / this.maxHealth <= next.threshold) {
+            this.enterPhase(this.phaseIndex + 1);
+        }
+    }
+    
+    // Attack patterns
+    nextAttack() {
+        const attacks = this.phase.attacks;
+        const entry = attacks[this.patternIndex % attacks.length];
+        this.patternIndex++;
+        
+        this.attack = typeof entry === 'string' ? { type: entry } : { ...entry };
+        this.attackTimer = 0;
+        this.startAttack(this.attack);
+    }
+    
+    startAttack(attack) {
+        const target = this.target;
+        const direction = target ? Math.sign(target.getCenter().x - this.getCenter().x) || 1 : this.direction;
+        const speed = this.speed * this.phase.speedMultiplier;
+        
+        switch (attack.type) {
+            case 'charge':
+                attack.duration = attack.duration || 1.2;
+                attack.windup = attack.windup !== undefined ? attack.windup : 0.4;
+                attack.direction = direction;
+                attack.speed = (attack.speed || 3) * speed;
+                break;
+            case 'leap':
+                this.velocity.x = direction * speed * 1.5;
+                this.velocity.y = -(attack.height || 600);
+                attack.airborne = false;
+                attack.duration = attack.duration || 3;
+                break;
+            case 'summon':
+                this.summonMinions(attack.count || 2, attack.enemyType || 'basic');
+                attack.duration = attack.duration || 0.8;
+                break;
+            case 'rest':
+            default:
+                // Standing still leaves the boss open to hits
+                attack.duration = attack.duration || 1.5;
+                break;
+        }
+    }
+    
+    updateAttack(deltaTime) {
+        const attack = this.attack;
+        if (!attack) return;
+        
+        this.attackTimer += deltaTime;
+        
+        switch (attack.type) {
+            case 'charge':
+                this.velocity.x = this.attackTimer < attack.windup ? 0 : attack.direction * attack.speed;
+                break;
+            case 'leap':
+                if (!window.game.physics.isGrounded(this)) {
+                    attack.airborne = true;
+                } else if (attack.airborne) {
+                    this.slam();
+                    attack.duration = 0;
+                }
+                break;
+            default:
+                this.velocity.x *= 0.8;
+                break;
+        }
+        
+        if (this.attackTimer >= attack.duration) {
+            this.velocity.x = 0;
+            this.nextAttack();
+        }
+    }
+    
+    // Landing shockwave: hurts the player if they're on the ground nearby
+    slam() {
+        const world = window.game.world;
+        const player = world.getPlayer();
+        
+        window.game.camera.addShake(12, 0.3);
+        const center = this.getCenter();
+        world.createEffect('dust', center.x, this.position.y + this.size.y, { burst: 30 });
+        
+        if (player && player.isGrounded && Math.abs(player.getCenter().x - center.x) < this.size.x * 2.5) {
+            player.takeDamage(this.damage, this);
+        }
+    }
+    
+    summonMinions(count, enemyType) {
+        const world = window.game.world;
+        
+        for (let i = 0; i < count; i++) {
+            const offset = (i - (count - 1) / 2) * 48;
+            world.spawnEntity({
+                type: 'basic_enemy',
+                x: this.getCenter().x + offset,
+                y: this.position.y,
+                properties: { enemyType: enemyType }
+            });
+        }
+        
+        world.createEffect('sparks', this.getCenter().x, this.position.y);
+    }
+    
+    // Damage and defeat
+    takeDamage(amount, source) {
+        if (this.isInvulnerable()) return false;
+        
+        this.health = Math.max(0, this.health - amount);
+        this.flashTimer = 0.1;
+        
+        if (this.health <= 0) {
+            this.defeat();
+        } else {
+            this.checkPhaseChange();
+        }
+        
+        return true;
+    }
+    
+    defeat() {
+        const world = window.game.world;
+        
+        this.setBossState('defeated');
+        this.velocity.set(0, 0);
+        this.removeTag('enemy');
+        
+        this.unlockArena();
+        world.activeBoss = null;
+        
+        // Grant the reward
+        const player = world.getPlayer();
+        if (player && this.rewardAbility) {
+            player.unlockAbility(this.rewardAbility);
+        }
+        
+        world.setObjectState(this, 'dead');
+        world.setFlag(`boss_${this.id}_defeated`, true);
+        world.triggerEvent('bossDefeated', {
+            boss: this,
+            key: this.persistenceKey || String(this.id),
+            rewardAbility: this.rewardAbility
+        });
+    }
+    
+    updateDefeated(deltaTime) {
+        // A few explosions before the boss disappears
+        if (Random.value() < deltaTime * 6) {
+            const x = this.position.x + Random.value() * this.size.x;
+            const y = this.position.y + Random.value() * this.size.y;
+            window.game.world.createExplosion(new Vector2(x, y), 'small');
+        }
+        
+        this.opacity = Math.max(0, 1 - this.stateTimer / this.defeatDuration);
+        
+        if (this.stateTimer >= this.defeatDuration) {
+            window.game.world.createExplosion(this.getCenter(), 'large');
+            this.destroy();
+        }
+    }
+    
+    onCollision(other, collision) {
+        if (this.bossState !== 'defeated') {
+            super.onCollision(other, collision);
+        }
+    }
+    
+    // Arena
+    lockArena() {
+        if (!this.arena) return;
+        
+        const world = window.game.world;
+        const camera = window.game.camera;
+        const arena = this.arena;
+        
+        // Close the arena's sides with solid doors
+        for (const x of [arena.x, arena.x + arena.width - this.doorThickness]) {
+            const door = new GameObject(x, arena.y, this.doorThickness, arena.height);
+            door.solid = true;
+            door.gravityScale = 0;
+            door.color = '#4a5568';
+            door.addTag('solid');
+            door.addTag('arenaDoor');
+            door.collisionLayers = ['solid'];
+            door.collisionMask = [];
+            
+            world.addObject(door);
+            this.doors.push(door);
+        }
+        
+        // Keep the camera inside the arena
+        this.savedCameraBounds = camera.bounds ? { ...camera.bounds } : null;
+        camera.setBounds(arena.x, arena.y, Math.max(arena.width, camera.width), Math.max(arena.height, camera.height));
+    }
+    
+    unlockArena() {
+        for (const door of this.doors) {
+            door.destroy();
+        }
+        this.doors = [];
+        
+        if (this.arena) {
+            const camera = window.game.camera;
+            if (this.savedCameraBounds) {
+                const bounds = this.savedCameraBounds;
+                camera.setBounds(bounds.x, bounds.y, bounds.width, bounds.height);
+            } else {
+                camera.removeBounds();
+            }
+        }
+    }
+    
+    releaseArena() {
+        if (this.doors.length > 0) {
+            this.unlockArena();
+        }
+        if (window.game && window.game.world.activeBoss === this) {
+            window.game.world.activeBoss = null;
+        }
+    }
+    
+    onRender(ctx) {
+        // Flash white when hit, blink while changing phase
+        if (this.flashTimer > 0 || (this.bossState === 'transition' && Math.floor(this.stateTimer * 10) % 2 === 0)) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillRect(-this.size.x / 2, -this.size.y / 2, this.size.x, this.size.y);
+        }
+        
+        // Eyes
+        ctx.fillStyle = this.bossState === 'dormant' ? '#444444' : '#ffe066';
+        ctx.fillRect(this.size.x / 2 - 22, -this.size.y / 2 + 14, 8, 8);
+        ctx.fillRect(this.size.x / 2 - 10, -this.size.y / 2 + 14, 8, 8);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Boss;
+}
@@ -0,0 +1,252 @@
+/**
+ * EnemyBehaviors - Built-in behavior tree conditions, actions and trees for Echo Genesis enemies
+ * Levels can add their own trees as JSON (LevelData.behaviors) and pick one per enemy with the `behavior` property
+ */
+
+// Conditions: (entity, params, tree) => boolean
+BehaviorTree.registerCondition('hasTarget', (entity) => !!entity.target && !entity.target.destroyed);
+
+// { range } or { rangeProperty } (an entity field, 'attackRange' by default)
+BehaviorTree.registerCondition('targetInRange', (entity, params) => {
+    if (!entity.target || entity.target.destroyed) return false;
+    const range = params.range !== undefined ? params.range : entity[params.rangeProperty || 'attackRange'];
+    return entity.distanceTo(entity.target) <= range;
+});
+
+BehaviorTree.registerCondition('canSeeTarget', (entity) => {
+    if (!entity.target) return false;
+    return entity.canSeeTarget ? entity.canSeeTarget(entity.target) : true;
+});
+
+BehaviorTree.registerCondition('hasLastSeen', (entity) => !!entity.lastSeenTarget);
+
+// { fraction } of max health
+BehaviorTree.registerCondition('healthBelow', (entity, params) => {
+    return entity.health / entity.maxHealth < (params.fraction !== undefined ? params.fraction : 0.3);
+});
+
+BehaviorTree.registerCondition('grounded', (entity) => {
+    return !!(window.game && window.game.physics.isGrounded(entity));
+});
+
+// { flag, value }
+BehaviorTree.registerCondition('flag', (entity, params) => {
+    const world = window.game && window.game.world;
+    return !!world && world.getFlag(params.flag) === (params.value !== undefined ? params.value : true);
+});
+
+// { chance } per tick
+BehaviorTree.registerCondition('random', (entity, params) => Random.value() < (params.chance || 0.5));
+
+// Actions: (entity, params, tree, deltaTime, state) => 'success' | 'failure' | 'running'
+const setAIState = (entity, aiState) => {
+    if (entity.aiState !== aiState) {
+        entity.aiState = aiState;
+        entity.stateTimer = 0;
+    }
+};
+
+// Look for the player: { range } or { rangeProperty } ('sightRange' by default),
+// { keepMultiplier } stretches the range once a target is held, { lineOfSight } requires a clear view
+BehaviorTree.registerAction('findTarget', (entity, params) => {
+    const player = window.game && window.game.world ? window.game.world.getPlayer() : null;
+    let range = params.range !== undefined ? params.range : entity[params.rangeProperty || 'sightRange'];
+    if (entity.target === player) {
+        range *= params.keepMultiplier || 1;
+    }
+    
+    if (player && entity.distanceTo(player) <= range &&
+        (params.lineOfSight === false || !entity.canSeeTarget || entity.canSeeTarget(player))) {
+        entity.target = player;
+        entity.lastSeenTarget = player.getCenter().copy();
+        return BehaviorTree.SUCCESS;
+    }
+    
+    entity.target = null;
+    return BehaviorTree.FAILURE;
+});
+
+BehaviorTree.registerAction('patrol', (entity, params, tree, deltaTime) => {
+    setAIState(entity, 'patrol');
+    entity.updatePatrol(deltaTime);
+    return BehaviorTree.RUNNING;
+});
+
+BehaviorTree.registerAction('chase', (entity, params, tree, deltaTime) => {
+    if (!entity.target) return BehaviorTree.FAILURE;
+    setAIState(entity, 'chase');
+    entity.updateChase(deltaTime);
+    return BehaviorTree.RUNNING;
+});
+
+BehaviorTree.registerAction('attack', (entity, params, tree, deltaTime) => {
+    if (!entity.target) return BehaviorTree.FAILURE;
+    setAIState(entity, 'attack');
+    entity.updateAttack(deltaTime);
+    return BehaviorTree.RUNNING;
+});
+
+// Walk to where the target was last seen; succeeds on arrival
+BehaviorTree.registerAction('investigate', (entity, params, tree, deltaTime) => {
+    if (!entity.lastSeenTarget || !entity.updateInvestigate) return BehaviorTree.FAILURE;
+    setAIState(entity, 'investigate');
+    entity.updateInvestigate(deltaTime);
+    return entity.lastSeenTarget ? BehaviorTree.RUNNING : BehaviorTree.SUCCESS;
+});
+
+// Run away from the target: { speed } multiplier of the entity's speed
+BehaviorTree.registerAction('flee', (entity, params) => {
+    if (!entity.target) return BehaviorTree.FAILURE;
+    setAIState(entity, 'flee');
+    const direction = Math.sign(entity.getCenter().x - entity.target.getCenter().x) || 1;
+    entity.velocity.x = direction * entity.speed * (params.speed || 1);
+    return BehaviorTree.RUNNING;
+});
+
+// Stand still: { duration } in seconds
+BehaviorTree.registerAction('wait', (entity, params, tree, deltaTime, state) => {
+    setAIState(entity, 'idle');
+    entity.velocity.x *= 0.5;
+    state.elapsed = (state.elapsed || 0) + deltaTime;
+    return state.elapsed >= (params.duration !== undefined ? params.duration : 1) ? BehaviorTree.SUCCESS : BehaviorTree.RUNNING;
+});
+
+BehaviorTree.registerAction('stop', (entity) => {
+    entity.velocity.x = 0;
+    return BehaviorTree.SUCCESS;
+});
+
+// { force } upward velocity; fails in the air
+BehaviorTree.registerAction('jump', (entity, params) => {
+    if (!window.game || !window.game.physics.isGrounded(entity)) return BehaviorTree.FAILURE;
+    entity.velocity.y = -(params.force || 400);
+    return BehaviorTree.SUCCESS;
+});
+
+BehaviorTree.registerAction('faceTarget', (entity) => {
+    if (!entity.target) return BehaviorTree.FAILURE;
+    entity.facingDirection = Math.sign(entity.target.getCenter().x - entity.getCenter().x) || entity.facingDirection;
+    entity.scale.x = entity.facingDirection;
+    return BehaviorTree.SUCCESS;
+});
+
+// { flag, value }
+BehaviorTree.registerAction('setFlag', (entity, params) => {
+    if (!window.game) return BehaviorTree.FAILURE;
+    window.game.world.setFlag(params.flag, params.value !== undefined ? params.value : true);
+    return BehaviorTree.SUCCESS;
+});
+
+// { sound }
+BehaviorTree.registerAction('playSound', (entity, params) => {
+    if (window.game && window.game.audioManager) {
+        window.game.audioManager.playSound(params.sound);
+    }
+    return BehaviorTree.SUCCESS;
+});
+
+// Call a method on the entity: { method, args }; fails if the method returns false
+BehaviorTree.registerAction('call', (entity, params) => {
+    if (typeof entity[params.method] !== 'function') {
+        console.warn(`Behavior action 'call': entity has no method '${params.method}'`);
+        return BehaviorTree.FAILURE;
+    }
+    return entity[params.method](...(params.args || [])) === false ? BehaviorTree.FAILURE : BehaviorTree.SUCCESS;
+});
+
+// Built-in trees
+BehaviorTree.loadDefinitions({
+    // Enemy: attack in range, chase what it sees, check where the player was last seen, otherwise patrol
+    "ground_patrol": {
+        "type": "selector",
+        "children": [
+            {
+                "type": "sequence",
+                "children": [
+                    { "type": "action", "name": "findTarget" },
+                    {
+                        "type": "selector",
+                        "children": [
+                            {
+                                "type": "sequence",
+                                "children": [
+                                    { "type": "condition", "name": "targetInRange" },
+                                    { "type": "action", "name": "attack" }
+                                ]
+                            },
+                            { "type": "action", "name": "chase" }
+                        ]
+                    }
+                ]
+            },
+            { "type": "action", "name": "investigate" },
+            { "type": "action", "name": "patrol" }
+        ]
+    },
+    
+    // FlyingEnemy: no line of sight needed, keeps chasing a little past its detection range
+    "air_patrol": {
+        "type": "selector",
+        "children": [
+            {
+                "type": "sequence",
+                "children": [
+                    { "type": "action", "name": "findTarget", "rangeProperty": "detectionRange", "keepMultiplier": 1.5, "lineOfSight": false },
+                    {
+                        "type": "selector",
+                        "children": [
+                            {
+                                "type": "sequence",
+                                "children": [
+                                    { "type": "condition", "name": "targetInRange" },
+                                    { "type": "action", "name": "attack" }
+                                ]
+                            },
+                            { "type": "action", "name": "chase" }
+                        ]
+                    }
+                ]
+            },
+            { "type": "action", "name": "patrol" }
+        ]
+    },
+    
+    // Holds its ground and only fights what comes into reach
+    "guard": {
+        "type": "selector",
+        "children": [
+            {
+                "type": "sequence",
+                "children": [
+                    { "type": "action", "name": "findTarget", "rangeProperty": "attackRange" },
+                    { "type": "action", "name": "attack" }
+                ]
+            },
+            {
+                "type": "sequence",
+                "children": [
+                    { "type": "action", "name": "findTarget" },
+                    { "type": "action", "name": "faceTarget" },
+                    { "type": "action", "name": "wait", "duration": 0 }
+                ]
+            },
+            { "type": "action", "name": "wait", "duration": 0 }
+        ]
+    },
+    
+    // Fights normally but runs once badly hurt
+    "skittish": {
+        "type": "selector",
+        "children": [
+            {
+                "type": "sequence",
+                "children": [
+                    { "type": "condition", "name": "healthBelow", "fraction": 0.5 },
+                    { "type": "action", "name": "findTarget" },
+                    { "type": "action", "name": "flee", "speed": 1.2 }
+                ]
+            },
+            { "type": "tree", "name": "ground_patrol" }
+        ]
+    }
+});
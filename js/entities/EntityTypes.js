@@ -0,0 +1,352 @@
+/**
+ * EntityTypes - Built-in entity type registrations for Echo Genesis
+ * Shared by the game loader and the level editor; custom types register the same way
+ */
+
+EntityRegistry.register('player_spawn', {
+    // Marker only: remembers where the player starts
+    create: (EntityClass, data, properties, world) => {
+        if (world) {
+            world.playerSpawn = new Vector2(data.x, data.y);
+        }
+        return null;
+    },
+    editor: {
+        label: 'Player Spawn',
+        category: 'Player',
+        color: '#4fd1c7',
+        debugColor: '#00ff00',
+        symbol: '♦',
+        icon: '👤',
+        unique: true
+    }
+});
+
+EntityRegistry.register('powerup', {
+    entityClass: () => PowerUp,
+    create: (PowerUp, data, properties) => {
+        const powerUp = new PowerUp(data.x, data.y, properties.powerType);
+        powerUp.level = properties.level;
+        return powerUp;
+    },
+    defaults: { powerType: 'doubleJump', level: 1 },
+    schema: {
+        // Free text: any of the Player's abilities (see Player.setupDefaultAbilities), 'health' or 'score'
+        powerType: { type: 'string', label: 'Power Type' },
+        level: { type: 'number', label: 'Level', min: 1 }
+    },
+    aliases: ['PowerUp'],
+    editor: {
+        label: 'Power-up',
+        category: 'Items',
+        color: '#ffd700',
+        debugColor: '#ffff00',
+        symbol: '⭐',
+        icon: '⭐',
+        debugText: (properties) => properties.powerType ? `PowerUp (${properties.powerType})` : 'PowerUp'
+    }
+});
+
+EntityRegistry.register('health', {
+    entityClass: () => PowerUp,
+    create: (PowerUp, data, properties) => {
+        const healthPickup = new PowerUp(data.x, data.y, 'health');
+        healthPickup.value = properties.amount;
+        return healthPickup;
+    },
+    defaults: { amount: 25 },
+    schema: {
+        amount: { type: 'number', label: 'Heal Amount', min: 1 }
+    },
+    editor: {
+        label: 'Health Pack',
+        category: 'Items',
+        color: '#ff6b6b',
+        debugColor: '#ff0088',
+        symbol: '❤',
+        icon: '❤️'
+    }
+});
+
+EntityRegistry.register('checkpoint', {
+    entityClass: () => import('./AdvancedEntities.js').then(module => module.Checkpoint),
+    aliases: ['Checkpoint'],
+    editor: {
+        label: 'Checkpoint',
+        category: 'Items',
+        color: '#4ecdc4',
+        debugColor: '#00ffff',
+        symbol: '🏁',
+        icon: '🏁'
+    }
+});
+
+EntityRegistry.register('basic_enemy', {
+    entityClass: () => Enemy,
+    create: (Enemy, data, properties) => {
+        const enemy = new Enemy(data.x, data.y, properties.enemyType);
+        // `behaviorTree` holds an inline tree, `behavior` names one (see EnemyBehaviors.js)
+        const behavior = properties.behaviorTree || properties.behavior;
+        if (behavior) {
+            enemy.setBehavior(behavior);
+        }
+        return enemy;
+    },
+    defaults: { enemyType: 'basic', behavior: '' },
+    schema: {
+        enemyType: { type: 'string', label: 'Enemy Type' },
+        behavior: { type: 'string', label: 'Behavior Tree' }
+    },
+    aliases: ['Enemy'],
+    respawn: 'rest',
+    editor: {
+        label: 'Basic Enemy',
+        category: 'Enemies',
+        color: '#e74c3c',
+        debugColor: '#ff0000',
+        symbol: '👾',
+        icon: '👾'
+    }
+});
+
+EntityRegistry.register('flying_enemy', {
+    entityClass: () => import('./AdvancedEntities.js').then(module => module.FlyingEnemy),
+    defaults: { enemyType: 'drone', behavior: '' },
+    schema: {
+        enemyType: { type: 'string', label: 'Enemy Type' },
+        health: { type: 'number', label: 'Health', min: 1 },
+        speed: { type: 'number', label: 'Speed', min: 0 },
+        behavior: { type: 'string', label: 'Behavior Tree' }
+    },
+    respawn: 'rest',
+    editor: {
+        label: 'Flying Enemy',
+        category: 'Enemies',
+        color: '#9b59b6',
+        debugColor: '#ff8800',
+        symbol: '🛸',
+        icon: '🛸'
+    }
+});
+
+EntityRegistry.register('boss', {
+    entityClass: () => Boss,
+    defaults: {
+        name: 'Guardian',
+        health: 500,
+        damage: 20,
+        speed: 120,
+        rewardAbility: '',
+        arenaX: 0,
+        arenaY: 0,
+        arenaWidth: 0,
+        arenaHeight: 0
+    },
+    schema: {
+        name: { type: 'string', label: 'Name' },
+        health: { type: 'number', label: 'Health', min: 1 },
+        damage: { type: 'number', label: 'Damage', min: 0 },
+        speed: { type: 'number', label: 'Speed', min: 0 },
+        rewardAbility: { type: 'string', label: 'Reward Ability' },
+        arenaX: { type: 'number', label: 'Arena X' },
+        arenaY: { type: 'number', label: 'Arena Y' },
+        arenaWidth: { type: 'number', label: 'Arena Width', min: 0 },
+        arenaHeight: { type: 'number', label: 'Arena Height', min: 0 }
+    },
+    aliases: ['Boss'],
+    editor: {
+        label: 'Boss',
+        category: 'Enemies',
+        color: '#c53030',
+        debugColor: '#ff0044',
+        symbol: '☠',
+        icon: '👹',
+        unique: true,
+        debugText: (properties) => `Boss (${properties.name})`
+    }
+});
+
+EntityRegistry.register('platform', {
+    entityClass: () => Platform,
+    create: (Platform, data, properties) => {
+        const platform = new Platform(data.x, data.y, properties.width, properties.height, properties.platformType);
+        if (properties.movementType !== 'none') {
+            platform.setMovement(properties.movementType, properties.movementSpeed, properties.movementDistance);
+        }
+        return platform;
+    },
+    defaults: {
+        width: 96,
+        height: 16,
+        platformType: 'solid',
+        movementType: 'none',
+        movementSpeed: 50,
+        movementDistance: 100
+    },
+    schema: {
+        width: { type: 'number', label: 'Width', min: 1 },
+        height: { type: 'number', label: 'Height', min: 1 },
+        platformType: { type: 'string', label: 'Platform Type', options: ['solid', 'jumpthrough', 'ice', 'bouncy', 'fragile'] },
+        movementType: { type: 'string', label: 'Movement', options: ['none', 'horizontal', 'vertical', 'circular', 'pendulum'] },
+        movementSpeed: { type: 'number', label: 'Speed', min: 0 },
+        movementDistance: { type: 'number', label: 'Distance', min: 0 }
+    },
+    aliases: ['Platform'],
+    respawn: 'reentry',
+    editor: {
+        label: 'Platform',
+        category: 'World',
+        color: '#8B4513',
+        debugColor: '#888888',
+        symbol: '▬',
+        icon: '▬'
+    }
+});
+
+EntityRegistry.register('level_transition', {
+    entityClass: () => LevelTransition,
+    create: (LevelTransition, data, properties) => {
+        const transition = new LevelTransition(
+            data.x, data.y, properties.targetLevel, properties.targetSpawn, properties.width, properties.height
+        );
+        transition.transitionType = properties.transitionType;
+        transition.direction = properties.direction;
+        return transition;
+    },
+    defaults: {
+        targetLevel: null,
+        targetSpawn: null,
+        width: 32,
+        height: 64,
+        transitionType: 'fade',
+        direction: null
+    },
+    schema: {
+        targetLevel: { type: 'string', label: 'Target Level' },
+        targetSpawn: { type: 'string', label: 'Target Spawn' },
+        width: { type: 'number', label: 'Width', min: 1 },
+        height: { type: 'number', label: 'Height', min: 1 },
+        transitionType: { type: 'string', label: 'Transition', options: ['fade', 'slide'] },
+        direction: { type: 'string', label: 'Direction', options: ['left', 'right', 'up', 'down'] }
+    },
+    aliases: ['Transition'],
+    editor: {
+        label: 'Level Exit',
+        category: 'World',
+        color: '#78c8ff',
+        debugColor: '#78c8ff',
+        symbol: '⇨',
+        icon: '🚪',
+        debugText: (properties) => properties.targetLevel ? `Exit → ${properties.targetLevel}` : 'Exit'
+    }
+});
+
+EntityRegistry.register('light', {
+    entityClass: () => PointLight,
+    defaults: {
+        radius: 150,
+        color: '#ffd89b',
+        intensity: 1,
+        flicker: 0,
+        castShadows: true
+    },
+    schema: {
+        radius: { type: 'number', label: 'Radius', min: 1 },
+        color: { type: 'color', label: 'Color' },
+        intensity: { type: 'number', label: 'Intensity', min: 0, max: 1, step: 0.05 },
+        flicker: { type: 'number', label: 'Flicker', min: 0, max: 1, step: 0.05 },
+        castShadows: { type: 'boolean', label: 'Cast Shadows' }
+    },
+    aliases: ['PointLight'],
+    editor: {
+        label: 'Light',
+        category: 'World',
+        color: '#ffe066',
+        debugColor: '#ffe066',
+        symbol: '☀',
+        icon: '💡',
+        radiusProperty: 'radius',
+        debugText: (properties) => `Light (${properties.radius})`
+    }
+});
+
+EntityRegistry.register('npc', {
+    entityClass: () => NPC,
+    defaults: {
+        name: 'Stranger',
+        dialogue: '',
+        interactRange: 48,
+        color: '#b794f4'
+    },
+    schema: {
+        name: { type: 'string', label: 'Name' },
+        dialogue: { type: 'string', label: 'Dialogue Id' },
+        interactRange: { type: 'number', label: 'Interact Range', min: 1 },
+        color: { type: 'color', label: 'Color' }
+    },
+    aliases: ['NPC'],
+    editor: {
+        label: 'NPC',
+        category: 'Characters',
+        color: '#b794f4',
+        debugColor: '#b794f4',
+        symbol: '☺',
+        icon: '🧙',
+        radiusProperty: 'interactRange',
+        debugText: (properties) => properties.dialogue ? `NPC (${properties.dialogue})` : 'NPC'
+    }
+});
+
+EntityRegistry.register('chest', {
+    entityClass: () => Chest,
+    defaults: {
+        contents: 'score',
+        amount: 100,
+        interactRange: 40
+    },
+    schema: {
+        contents: { type: 'string', label: 'Contents' },
+        amount: { type: 'number', label: 'Amount', min: 0 },
+        interactRange: { type: 'number', label: 'Interact Range', min: 1 }
+    },
+    aliases: ['Chest'],
+    editor: {
+        label: 'Chest',
+        category: 'Items',
+        color: '#b7791f',
+        debugColor: '#ffaa00',
+        symbol: '▣',
+        icon: '🧰',
+        radiusProperty: 'interactRange',
+        debugText: (properties) => `Chest (${properties.contents})`
+    }
+});
+
+EntityRegistry.register('player', {
+    entityClass: () => Player,
+    create: (Player, data) => new Player(data.x, data.y),
+    aliases: ['Player'],
+    editor: {
+        label: 'Player',
+        category: 'Player',
+        color: '#4a90e2',
+        debugColor: '#00ff00',
+        symbol: 'P',
+        icon: '🧍',
+        hidden: true // spawned by the game, not placed in the editor
+    }
+});
+
+EntityRegistry.register('projectile', {
+    entityClass: () => import('./AdvancedEntities.js').then(module => module.Projectile),
+    create: (Projectile, data, properties) => new Projectile(data.x, data.y, properties),
+    editor: {
+        label: 'Projectile',
+        category: 'Other',
+        color: '#ffff00',
+        debugColor: '#ffff00',
+        symbol: '•',
+        icon: '•',
+        hidden: true // fired by weapons (World.createProjectile), not placed in the editor
+    }
+});
@@ -18,6 +18,13 @@ class Player extends GameObject {
         this.jumpForce = 400;
         this.coyoteTime = 0.1; // seconds
         this.jumpBufferTime = 0.1; // seconds
+        this.windExposure = 0.5; // horizontal speed (px/s) added for each unit of wind force
+        this.handlesWind = true; // wind zones and weather leave the push to handleInput instead of adding a force
+        this.handlesMomentum = true; // a carrier's horizontal momentum goes to airMomentum instead of velocity
+        this.airMomentum = 0; // horizontal speed kept after stepping or jumping off a moving platform
+        this.airMomentumDecay = 1.5; // per second
+        this.pushVelocity = 0; // horizontal offset added on top of the player's own movement last step
+        this.pushedVelocityX = 0;
         
         // State tracking
         this.isGrounded = false;
@@ -26,11 +33,22 @@ class Player extends GameObject {
         this.facingDirection = 1; // 1 = right, -1 = left
         this.lastGroundedTime = 0;
         this.jumpBufferTimer = 0;
+        this.dashTimer = 0;
+        
+        // Tile interaction: ladders and dropping through one-way platforms
+        this.climbing = false;
+        this.climbSpeed = 120;
+        this.dropThroughTimer = 0;
+        this.ignoreOneWay = false;
         
         // Power-up system
         this.abilities = new Map();
         this.setupDefaultAbilities();
         
+        // Ranged weapons (fired once rangedAttack is unlocked)
+        this.weapons = new WeaponSystem(this);
+        this.weapons.addWeapon('blaster');
+        
         // Input handling
         this.inputBuffer = [];
         this.inputBufferSize = 10;
@@ -214,10 +232,32 @@ class Player extends GameObject {
         // Update visual effects
         this.updateVisualEffects(deltaTime);
         
+        // Light radius follows the lightSource ability
+        this.updateLight();
+        
         // Check for hazards and damage
         this.checkHazards();
     }
     
+    getSurfaceSlickness() {
+        if (!this.isGrounded || !window.game || !window.game.world) return 0;
+        
+        // Slippery tiles and wet weather; whichever is worse
+        const tileSlickness = this.groundTile ? 1 - Math.min(1, this.groundTile.friction) : 0;
+        return Math.max(tileSlickness, window.game.world.getSurfaceSlickness());
+    }
+    
+    updateLight() {
+        if (this.hasAbility('lightSource')) {
+            if (!this.light) {
+                this.setLight({ color: '#fff2d0', intensity: 0.9 });
+            }
+            this.light.radius = this.abilities.get('lightSource').radius;
+        } else if (this.light) {
+            this.removeLight();
+        }
+    }
+    
     updateAbilityCooldowns(deltaTime) {
         for (const ability of this.abilities.values()) {
             if (ability.cooldown > 0) {
@@ -246,6 +286,20 @@ class Player extends GameObject {
             this.jumpBufferTimer -= deltaTime;
         }
         
+        // Dash
+        if (this.dashTimer > 0) {
+            this.dashTimer -= deltaTime;
+            if (this.dashTimer <= 0) {
+                this.gravityScale = 1; // Restore gravity
+            }
+        }
+        
+        // Drop-through
+        if (this.dropThroughTimer > 0) {
+            this.dropThroughTimer -= deltaTime;
+        }
+        this.ignoreOneWay = this.climbing || this.dropThroughTimer > 0;
+        
         // State time
         this.stateTime += deltaTime;
     }
@@ -255,6 +309,15 @@ class Player extends GameObject {
         
         const input = window.game.inputManager;
         
+        // Cutscenes move the player themselves
+        if (window.game.cutscenes && window.game.cutscenes.playing) return;
+        
+        // Conversations take over the controls; just let the player come to a stop
+        if (window.game.world && window.game.world.dialogue.isBlockingInput()) {
+            this.velocity.x *= this.friction;
+            return;
+        }
+        
         // Movement
         this.handleMovementInput(input, deltaTime);
         
@@ -265,7 +328,47 @@ class Player extends GameObject {
         this.handleAbilityInput(input, deltaTime);
     }
     
+    // Wind (zones and airborne weather) and momentum kept from a moving platform offset the player's own
+    // horizontal speed (which input sets outright) rather than being part of it, so they push the same at
+    // any step rate; platform momentum fades in the air and stops on landing
+    applyPushVelocity(deltaTime) {
+        if (this.groundTile || this.groundObject) {
+            this.airMomentum = 0;
+        } else {
+            this.airMomentum *= Math.exp(-this.airMomentumDecay * deltaTime);
+        }
+        
+        this.pushVelocity = this.airMomentum;
+        for (const force of [this.windForce, this.weatherForce]) {
+            if (force) this.pushVelocity += force.x * this.windExposure;
+        }
+        this.velocity.x += this.pushVelocity;
+        this.pushedVelocityX = this.velocity.x;
+    }
+    
+    // Take last step's offset back out before input, as damped since (friction, a wall stopping the player);
+    // a speed set since (a dash or wall jump) is left alone
+    removePushVelocity() {
+        const damping = this.pushedVelocityX !== 0 ? this.velocity.x / this.pushedVelocityX : 0;
+        if (damping >= 0 && damping <= 1) {
+            this.velocity.x -= this.pushVelocity * damping;
+        }
+        this.pushVelocity = 0;
+    }
+    
     handleMovementInput(input, deltaTime) {
+        // Swimming takes over movement while submerged
+        if (this.inWater) {
+            this.stopClimbing();
+            this.handleSwimInput(input, deltaTime);
+            return;
+        }
+        
+        // So does climbing a ladder
+        if (this.handleLadderInput(input)) {
+            return;
+        }
+        
         const moveInput = input.getMovementAxis('horizontal');
         
         // Handle crouching
@@ -277,6 +380,8 @@ class Player extends GameObject {
             this.size.y = 32; // Normal height
         }
         
+        this.removePushVelocity();
+        
         // Handle horizontal movement
         if (Math.abs(moveInput) > 0.1) {
             this.facingDirection = Math.sign(moveInput);
@@ -290,18 +395,24 @@ class Player extends GameObject {
             }
             
             // Apply movement
-            if (!this.isCrouching) {
-                this.velocity.x = moveInput * speed;
+            const targetSpeed = this.isCrouching ? moveInput * speed * 0.5 : moveInput * speed; // Slower when crouching
+            const slickness = this.getSurfaceSlickness();
+            if (slickness > 0) {
+                // Slick ground: speed builds up and turns around gradually
+                this.velocity.x += (targetSpeed - this.velocity.x) * (1 - slickness);
             } else {
-                this.velocity.x = moveInput * speed * 0.5; // Slower when crouching
+                this.velocity.x = targetSpeed;
             }
             
             this.scale.x = this.facingDirection; // Flip sprite
         } else {
-            // Apply friction when not moving
-            this.velocity.x *= this.friction;
+            // Apply friction when not moving (less grip on slick ground)
+            const slickness = this.getSurfaceSlickness();
+            this.velocity.x *= this.friction + (1 - this.friction) * slickness;
         }
         
+        this.applyPushVelocity(deltaTime);
+        
         // Wall slide
         if (this.hasAbility('wallSlide') && this.isOnWall && !this.isGrounded && this.velocity.y > 0) {
             const slideSpeed = this.abilities.get('wallSlide').slideSpeed;
@@ -326,10 +437,94 @@ class Player extends GameObject {
         }
     }
     
+    // Up or down on a ladder tile grabs it; jumping or leaving the ladder lets go
+    handleLadderInput(input) {
+        const bounds = this.getBounds();
+        bounds.height += 1; // also finds a ladder just below the feet, to climb down from its top
+        const ladder = window.game.world.findTile(bounds, 'ladder');
+        const moveY = input.getMovementAxis('vertical');
+        
+        // Climbing down onto solid ground steps off the ladder
+        if (!ladder || (moveY > 0 && this.groundTile && this.groundTile.solid)) {
+            this.stopClimbing();
+            return false;
+        }
+        
+        if (!this.climbing && Math.abs(moveY) > 0.1) {
+            this.climbing = true;
+            this.ignoreOneWay = true;
+            this.velocity.set(0, 0);
+        }
+        if (!this.climbing) return false;
+        
+        this.isCrouching = false;
+        this.size.y = 32;
+        this.gravityScale = 0;
+        this.velocity.y = moveY * this.climbSpeed;
+        this.velocity.x = input.getMovementAxis('horizontal') * this.baseSpeed * 0.5;
+        return true;
+    }
+    
+    stopClimbing() {
+        if (!this.climbing) return;
+        
+        this.climbing = false;
+        this.gravityScale = 1;
+    }
+    
+    handleSwimInput(input, deltaTime) {
+        const moveX = input.getMovementAxis('horizontal');
+        const moveY = input.getMovementAxis('vertical');
+        
+        this.isCrouching = false;
+        this.size.y = 32;
+        
+        if (Math.abs(moveX) > 0.1) {
+            this.facingDirection = Math.sign(moveX);
+            this.scale.x = this.facingDirection;
+        }
+        
+        if (this.hasAbility('swim')) {
+            // Free movement in all directions
+            const swimSpeed = this.abilities.get('swim').speed;
+            if (Math.abs(moveX) > 0.1) this.velocity.x = moveX * swimSpeed;
+            if (Math.abs(moveY) > 0.1) this.velocity.y = moveY * swimSpeed;
+        } else if (Math.abs(moveX) > 0.1) {
+            // Without the swim ability the player can only wade
+            this.velocity.x = moveX * this.baseSpeed * 0.5;
+        }
+    }
+    
     handleJumpInput(input, deltaTime) {
         const jumpPressed = input.isActionDown('jump');
         const jumpHeld = input.isActionPressed('jump');
         
+        // Swim stroke
+        if (this.inWater && this.hasAbility('swim')) {
+            if (jumpPressed) {
+                this.velocity.y = -this.jumpForce * 0.6;
+                this.playSound('swim');
+            }
+            return;
+        }
+        
+        // Jump off a ladder
+        if (this.climbing) {
+            if (jumpPressed) {
+                this.stopClimbing();
+                this.performJump();
+            }
+            return;
+        }
+        
+        // Down + jump drops through a one-way platform
+        if (jumpPressed && input.isActionPressed('moveDown') && this.groundTile && this.groundTile.oneWay) {
+            this.dropThroughTimer = 0.25;
+            this.ignoreOneWay = true;
+            this.jumpBufferTimer = 0;
+            return;
+        }
+        
         // Jump buffer
         if (jumpPressed) {
             this.jumpBufferTimer = this.jumpBufferTime;
@@ -367,8 +562,13 @@ class Player extends GameObject {
             this.performAttack();
         }
         
+        // Ranged weapons
+        if (this.hasAbility('rangedAttack')) {
+            this.weapons.update(deltaTime, input);
+        }
+        
         // Special action (context-sensitive)
-        if (input.isActionDown('special')) {
+        if (input.isActionDown('special') || input.isActionDown('interact')) {
             this.performSpecialAction();
         }
     }
@@ -384,6 +584,12 @@ class Player extends GameObject {
         this.velocity.y = -jumpForce;
         this.isGrounded = false;
         
+        // Kick up dust at the player's feet
+        if (window.game && window.game.world) {
+            const bounds = this.getBounds();
+            window.game.world.createEffect('dust', bounds.x + bounds.width / 2, bounds.y + bounds.height);
+        }
+        
         // Reset multi-jump counter
         if (this.hasAbility('doubleJump')) {
             this.abilities.get('doubleJump').currentJumps = 1;
@@ -446,10 +652,8 @@ class Player extends GameObject {
         this.velocity.setFromVector(dashVelocity);
         this.gravityScale = 0; // Ignore gravity during dash
         
-        // Set dash timer
-        setTimeout(() => {
-            this.gravityScale = 1; // Restore gravity
-        }, dashAbility.duration * 1000);
+        // Set dash timer (counted in game time, so replays end the dash on the same tick)
+        this.dashTimer = dashAbility.duration;
         
         this.startAbilityCooldown('dash');
         this.playSound('dash');
@@ -482,14 +686,37 @@ class Player extends GameObject {
     }
     
     performSpecialAction() {
-        // Context-sensitive actions
-        // This could be interacting with objects, using power-ups, etc.
+        // Context-sensitive actions: talk to the closest NPC (or other interactable) in range
+        const target = this.getInteractionTarget();
+        if (target) {
+            target.interact(this);
+        }
+    }
+    
+    getInteractionTarget() {
+        if (!window.game || !window.game.world) return null;
+        
+        const center = this.getCenter();
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        for (const obj of window.game.world.getObjectsWithTag('interactable')) {
+            if (obj.destroyed || !obj.canInteract(this)) continue;
+            
+            const distance = center.distance(obj.getCenter());
+            if (distance < closestDistance) {
+                closest = obj;
+                closestDistance = distance;
+            }
+        }
+        
+        return closest;
     }
     
     updatePhysicsState() {
         // Check if grounded (would be set by physics system)
         // This is a simplified check
-        this.isGrounded = Math.abs(this.velocity.y) < 1;
+        this.isGrounded = !!this.groundTile || !!this.groundObject || (!this.climbing && Math.abs(this.velocity.y) < 1);
         
         if (this.isGrounded) {
             this.lastGroundedTime = 0;
@@ -555,8 +782,22 @@ class Player extends GameObject {
     }
     
     checkHazards() {
-        // Check for hazards (spikes, lava, etc.)
-        // This would be handled by collision system
+        if (!window.game || !window.game.world) return;
+        
+        // Damaging tiles hurt on contact; a pixel of margin catches solid ones like spikes being stood on
+        const bounds = this.getBounds();
+        const hazard = window.game.world.findTile({
+            x: bounds.x - 1,
+            y: bounds.y - 1,
+            width: bounds.width + 2,
+            height: bounds.height + 2
+        }, 'damage');
+        
+        if (hazard && this.takeDamage(hazard.damage, null)) {
+            // Pop up off the hazard
+            this.stopClimbing();
+            this.velocity.y = -this.jumpForce * 0.5;
+        }
     }
     
     // Damage and health system
@@ -603,6 +844,11 @@ class Player extends GameObject {
     die() {
         this.lives--;
         
+        // A boss fight in progress starts over, so the arena doesn't stay locked away from the checkpoint
+        if (window.game && window.game.world && window.game.world.activeBoss) {
+            window.game.world.activeBoss.resetFight();
+        }
+        
         if (this.lives > 0) {
             this.respawn();
         } else {
@@ -703,6 +949,8 @@ class Player extends GameObject {
             };
         }
         
+        data.weapons = this.weapons.toJSON();
+        
         return data;
     }
     
@@ -722,6 +970,10 @@ class Player extends GameObject {
             }
         }
         
+        if (data.weapons) {
+            player.weapons.loadJSON(data.weapons);
+        }
+        
         return player;
     }
 }
@@ -0,0 +1,51 @@
+/**
+ * Weapons - Built-in weapon definitions for Echo Genesis
+ * Levels and pickups refer to these by name; more can be added with WeaponSystem.loadDefinitions
+ */
+WeaponSystem.loadDefinitions({
+    // Starting weapon: cheap energy shots, hold to charge a bigger one
+    "blaster": {
+        "name": "Blaster",
+        "fireRate": 5,
+        "speed": 500,
+        "cost": { "energy": 5 },
+        "charge": { "time": 1.0, "minCharge": 0.3, "damageMultiplier": 3, "speedMultiplier": 1.3, "sizeMultiplier": 2 },
+        "projectile": { "projectileType": "bullet", "width": 8, "height": 4, "color": "#4FC3F7", "range": 450, "trail": true, "trailLength": 6 },
+        "sound": "shoot"
+    },
+    
+    "spread": {
+        "name": "Spread Shot",
+        "fireRate": 2.5,
+        "projectiles": 5,
+        "spread": 40,
+        "speed": 420,
+        "damage": 6,
+        "cost": { "energy": 15 },
+        "projectile": { "projectileType": "bullet", "width": 6, "height": 6, "color": "#FFB74D", "range": 260 },
+        "sound": "shoot"
+    },
+    
+    // Arrows drop over distance and pierce through enemies
+    "bow": {
+        "name": "Bow",
+        "fireRate": 1.5,
+        "speed": 650,
+        "damage": 25,
+        "cost": { "ammo": 1 },
+        "maxAmmo": 20,
+        "charge": { "time": 0.8, "minCharge": 0, "damageMultiplier": 2, "speedMultiplier": 1.5 },
+        "projectile": { "projectileType": "arrow", "width": 16, "height": 4, "color": "#D7CCC8", "gravity": 400, "piercing": true, "range": 900 },
+        "sound": "bow"
+    },
+    
+    "fireball": {
+        "name": "Fireball",
+        "fireRate": 1,
+        "speed": 300,
+        "damage": 30,
+        "cost": { "energy": 35 },
+        "projectile": { "projectileType": "fireball", "width": 14, "height": 14, "color": "#FF5722", "explosive": true, "explosionRadius": 64, "range": 600 },
+        "sound": "fireball"
+    }
+});
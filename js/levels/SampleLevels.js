@@ -82,6 +82,17 @@ export const SampleLevels = {
                         "speed": 30
                     },
                     "created": "2024-12-20T00:00:00.000Z"
+                },
+                {
+                    "id": "npc_guide",
+                    "type": "npc",
+                    "x": 240,
+                    "y": 700,
+                    "properties": {
+                        "name": "Old Echo",
+                        "dialogue": "tutorial_guide"
+                    },
+                    "created": "2024-12-20T00:00:00.000Z"
                 }
             ]
         },
@@ -101,8 +112,77 @@ export const SampleLevels = {
         ],
         "checkpoints": [],
         "areas": [],
-        "triggers": [],
-        "connections": []
+        "triggers": [
+            {
+                "id": "trigger_meet_guide",
+                "type": "enter",
+                "x": 160,
+                "y": 600,
+                "width": 32,
+                "height": 160,
+                "action": "playCutscene",
+                "conditions": {},
+                "properties": { "cutscene": "tutorial_meet_guide" }
+            }
+        ],
+        "connections": [],
+        "cutscenes": {
+            "tutorial_meet_guide": {
+                "steps": [
+                    { "type": "cameraPan", "x": 260, "y": 700, "duration": 1.0 },
+                    { "type": "cameraZoom", "zoom": 1.5, "duration": 0.6 },
+                    { "type": "walkTo", "entity": "npc_guide", "x": 220, "speed": 60 },
+                    { "type": "dialogue", "dialogue": "tutorial_guide", "speaker": "npc_guide" },
+                    { "type": "setFlag", "flag": "tutorial_intro_seen" }
+                ]
+            }
+        },
+        "dialogues": {
+            "tutorial_guide": {
+                "start": "greeting",
+                "nodes": {
+                    "greeting": {
+                        "text": "Ah, a new echo stirs. Few wake up in these caves anymore.",
+                        "next": "intro",
+                        "conditions": { "notFlags": ["met_guide"] },
+                        "else": "again"
+                    },
+                    "intro": {
+                        "text": "Move with the arrow keys and jump with Space. What would you like to know?",
+                        "setFlags": { "met_guide": true },
+                        "next": "questions"
+                    },
+                    "again": {
+                        "text": "Back again? Ask away.",
+                        "next": "questions"
+                    },
+                    "questions": {
+                        "text": "Well?",
+                        "choices": [
+                            { "text": "How do I get stronger?", "next": "powerups" },
+                            {
+                                "text": "I found the double jump!",
+                                "next": "double_jump",
+                                "conditions": { "abilities": ["doubleJump"] }
+                            },
+                            { "text": "Goodbye.", "next": "goodbye" }
+                        ]
+                    },
+                    "powerups": {
+                        "text": "Glowing orbs hold old abilities. There is one just ahead - collect it and the high ledges open up.",
+                        "next": "questions"
+                    },
+                    "double_jump": {
+                        "text": "Then the path east is yours. Press Space again in mid-air to leap higher.",
+                        "setFlags": { "guide_approved": true },
+                        "next": "goodbye"
+                    },
+                    "goodbye": {
+                        "text": "Safe travels, little echo."
+                    }
+                }
+            }
+        }
     },
 
     /**
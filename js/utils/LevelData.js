@@ -3,6 +3,8 @@
  * Handles level structure, serialization, and validation
  */
 
+import { ReachabilityAnalyzer } from './ReachabilityAnalyzer.js';
+
 export class LevelData {
     constructor() {
         this.metadata = {
@@ -23,6 +25,8 @@ export class LevelData {
             backgroundColor: "#1a1a2e",
             ambientLight: 0.3,
             music: null,
+            weather: null,   // "rain", "snow", "wind" or { type, intensity, ... }
+            dialogueFiles: [], // URLs of shared dialogue files ({ id: tree })
             parallaxLayers: []
         };
 
@@ -38,6 +42,9 @@ export class LevelData {
         this.areas = [];     // Special areas (water, wind, etc.)
         this.triggers = [];  // Event triggers
         this.connections = []; // Level connections/transitions
+        this.dialogues = {};   // NPC dialogue trees by id
+        this.cutscenes = {};   // Scripted cutscene timelines by id
+        this.behaviors = {};   // Enemy behavior trees by name
     }
 
     /**
@@ -211,6 +218,34 @@ export class LevelData {
         return triggerData.id;
     }
 
+    /**
+     * Add a connection (door or room edge) leading to another level
+     * @param {Object} connection - Connection definition
+     * @param {string} connection.targetLevel - ID of the level this connection leads to
+     * @param {string} connection.targetConnection - ID of the matching connection in the target level
+     * @param {string} connection.direction - Side the connection exits through: 'left', 'right', 'up' or 'down'
+     * @returns {string} Connection ID
+     */
+    addConnection(connection) {
+        const connectionData = {
+            id: connection.id || this.generateId(),
+            type: connection.type || 'door',
+            x: connection.x || 0,
+            y: connection.y || 0,
+            width: connection.width || 32,
+            height: connection.height || 64,
+            targetLevel: connection.targetLevel || null,
+            targetConnection: connection.targetConnection || null,
+            direction: connection.direction || null,
+            transitionType: connection.transitionType, // World picks one from the type when unset (edges slide, the rest fade)
+            created: new Date().toISOString()
+        };
+        
+        this.connections.push(connectionData);
+        this.metadata.modified = new Date().toISOString();
+        return connectionData.id;
+    }
+
     /**
      * Resize the level
      * @param {number} newWidth - New width in tiles
@@ -260,9 +295,11 @@ export class LevelData {
 
     /**
      * Validate level data integrity
+     * @param {Object} options - Validation options
+     * @param {Array<string>} options.abilities - Also check reachability with these player abilities
      * @returns {Object} Validation result with errors and warnings
      */
-    validate() {
+    validate(options = {}) {
         const result = {
             valid: true,
             errors: [],
@@ -316,9 +353,25 @@ export class LevelData {
             }
         });
 
+        // Check what the player can actually reach
+        if (options.abilities && result.valid) {
+            result.reachability = this.analyzeReachability(options.abilities);
+            result.warnings.push(...ReachabilityAnalyzer.getWarnings(result.reachability));
+        }
+
         return result;
     }
 
+    /**
+     * Find which entities and exits the player can reach with a set of abilities
+     * @param {Array<string>} abilities - Unlocked player abilities
+     * @param {Object} options - Extra ReachabilityAnalyzer options
+     * @returns {Object} Reachability report
+     */
+    analyzeReachability(abilities = [], options = {}) {
+        return new ReachabilityAnalyzer(this, { ...options, abilities }).analyze();
+    }
+
     /**
      * Convert level to JSON string
      * @param {boolean} minify - Whether to minify the JSON
@@ -333,7 +386,10 @@ export class LevelData {
             checkpoints: this.checkpoints,
             areas: this.areas,
             triggers: this.triggers,
-            connections: this.connections
+            connections: this.connections,
+            dialogues: this.dialogues,
+            cutscenes: this.cutscenes,
+            behaviors: this.behaviors
         };
         
         return JSON.stringify(data, null, minify ? 0 : 2);
@@ -358,6 +414,9 @@ export class LevelData {
             if (data.areas) level.areas = data.areas;
             if (data.triggers) level.triggers = data.triggers;
             if (data.connections) level.connections = data.connections;
+            if (data.dialogues) level.dialogues = data.dialogues;
+            if (data.cutscenes) level.cutscenes = data.cutscenes;
+            if (data.behaviors) level.behaviors = data.behaviors;
             
             return level;
         } catch (error) {
@@ -420,7 +479,10 @@ export class LevelData {
             checkpoints: this.checkpoints.length,
             areas: this.areas.length,
             triggers: this.triggers.length,
-            connections: this.connections.length
+            connections: this.connections.length,
+            dialogues: Object.keys(this.dialogues).length,
+            cutscenes: Object.keys(this.cutscenes).length,
+            behaviors: Object.keys(this.behaviors).length
         };
     }
 }
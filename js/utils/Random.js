@@ -0,0 +1,51 @@
+/**
+ * Random - Seedable random numbers for Echo Genesis
+ * Gameplay code draws from Random.value() instead of Math.random() so replays can reproduce a run exactly
+ */
+class Random {
+    constructor(seed = Random.createSeed()) {
+        this.setSeed(seed);
+    }
+    
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Mulberry32: 0 (inclusive) to 1 (exclusive)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    // The gameplay generator; visual-only randomness (particles, weather, camera shake) stays on Math.random
+    static shared = new Random();
+    
+    static value() {
+        return Random.shared.next();
+    }
+    
+    static setSeed(seed) {
+        Random.shared.setSeed(seed);
+    }
+    
+    static getSeed() {
+        return Random.shared.seed;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Random;
+}
@@ -0,0 +1,776 @@
+/**
+ * Reachability Analyzer
+ * Simulates the player's movement envelope over a level's collision layer to find
+ * which entities, powerups and exits can be reached with a given set of abilities
+ */
+
+/**
+ * Player movement constants (mirrors the defaults in Player.js)
+ */
+export const PLAYER_MOVEMENT = {
+    width: 24,
+    height: 32,
+    speed: 200,
+    friction: 0.15,
+    jumpForce: 400,
+    jumpCutScale: 0.6,
+    multiJumpScale: 0.8,
+    swimJumpScale: 0.6,
+    highJumpMultiplier: 1.5,
+    dashDistance: 150,
+    dashDuration: 0.2,
+    wallJumpForce: 350,
+    wallJumpAngle: Math.PI / 4,
+    wallSlideSpeed: 100,
+    glideFallSpeed: 50,
+    terminalVelocity: 1000
+};
+
+// World and Physics gravity for levels that don't set their own
+const DEFAULT_GRAVITY = 980;
+
+const STEP = 1 / 60;
+const MAX_AIR_TIME = 3;
+
+// Sampled inputs: when horizontal input is released and how long jump is held
+const RELEASE_TIMES = [Infinity, 0.05, 0.15, 0.3, 0.5, 0.8];
+const JUMP_HOLD_TIMES = [Infinity, 0.1];
+
+// Entity types that designers expect the player to be able to reach
+const PROGRESSION_TYPES = ['powerup', 'health', 'checkpoint', 'level_transition'];
+
+export class ReachabilityAnalyzer {
+    /**
+     * @param {LevelData} level - Level to analyze
+     * @param {Object} options - Analyzer options
+     * @param {Array<string>} options.abilities - Unlocked abilities (e.g. 'doubleJump', 'dash', 'wallJump')
+     * @param {Object} options.movement - Overrides for PLAYER_MOVEMENT
+     * @param {Object} options.start - Start position in pixels (defaults to the player spawn)
+     * @param {number} options.gravity - Gravity in pixels per second squared (defaults to the level's)
+     */
+    constructor(level, options = {}) {
+        this.level = level;
+        this.abilities = new Set(options.abilities || []);
+        this.movement = { ...PLAYER_MOVEMENT, ...(options.movement || {}) };
+        this.start = options.start || null;
+
+        this.width = level.properties.width;
+        this.height = level.properties.height;
+        this.tileSize = level.properties.tileSize;
+        this.gravity = options.gravity || level.properties.gravity || DEFAULT_GRAVITY;
+        this.collision = level.layers.collision || [];
+        this.tiles = TileDefinitions.forLevel(level);
+
+        this.waterAreas = (level.areas || []).filter(area => area.type === 'water');
+    }
+
+    /**
+     * Run the analysis
+     * @returns {Object} Reachability report (plain data, safe to export as JSON)
+     */
+    analyze() {
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.reachableTiles = new Set();
+        this.exitTiles = this.collectExitTiles();
+        this.escapeNodes = new Set();
+
+        const startNode = this.findStartNode();
+
+        if (startNode) {
+            this.explore(startNode);
+        }
+
+        return this.buildReport(startNode);
+    }
+
+    // Graph search
+
+    explore(startNode) {
+        const queue = [startNode];
+        this.nodes.set(startNode.key, startNode);
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+            const targets = new Set();
+
+            this.markBody(this.getNodePosition(node), node);
+
+            for (const next of this.expand(node)) {
+                targets.add(next.key);
+
+                if (!this.nodes.has(next.key)) {
+                    this.nodes.set(next.key, next);
+                    queue.push(next);
+                }
+            }
+
+            this.edges.set(node.key, targets);
+        }
+    }
+
+    expand(node) {
+        switch (node.kind) {
+            case 'ground':
+                return this.expandGround(node);
+            case 'wall':
+                return this.expandWall(node);
+            case 'swim':
+                return this.expandSwim(node);
+            default:
+                return [];
+        }
+    }
+
+    expandGround(node) {
+        const results = [];
+        const position = this.getNodePosition(node);
+        const jumpForce = this.getJumpForce();
+
+        // Walk to neighbouring floor tiles
+        for (const dir of [-1, 1]) {
+            const neighbor = this.createNode('ground', node.x + dir, node.y);
+            if (neighbor) results.push(neighbor);
+        }
+
+        // Walk off ledges and jump in every sampled way
+        for (const plan of this.getPlans([-1, 0, 1])) {
+            const jumping = plan.hold !== null;
+            if (!jumping && plan.dir === 0) continue;
+
+            const result = this.simulate(node, {
+                x: position.x,
+                y: position.y,
+                vx: 0,
+                vy: jumping ? -jumpForce : 0,
+                grounded: !jumping
+            }, plan);
+
+            if (result) results.push(result);
+        }
+
+        return results;
+    }
+
+    expandWall(node) {
+        const results = [];
+        const position = this.getNodePosition(node);
+        const m = this.movement;
+
+        // Let go of the wall or slide down it
+        for (const dir of [-1, 0, 1]) {
+            const result = this.simulate(node, { x: position.x, y: position.y, vx: 0, vy: 0 },
+                { dir, release: Infinity, hold: null, apex: [] });
+            if (result) results.push(result);
+        }
+
+        if (this.abilities.has('wallJump')) {
+            for (const plan of this.getPlans([-1, 0, 1])) {
+                if (plan.hold === null) continue;
+
+                const result = this.simulate(node, {
+                    x: position.x,
+                    y: position.y,
+                    vx: -node.side * m.wallJumpForce * Math.cos(m.wallJumpAngle),
+                    vy: -m.wallJumpForce * Math.sin(m.wallJumpAngle)
+                }, plan);
+
+                if (result) results.push(result);
+            }
+        }
+
+        if (this.abilities.has('wallClimb')) {
+            for (const dy of [-1, 1]) {
+                const neighbor = this.createNode('wall', node.x, node.y + dy, node.side);
+                if (neighbor) results.push(neighbor);
+            }
+
+            // Climb over the top of the wall onto the ledge
+            const ledge = this.createNode('ground', node.x + node.side, node.y - 1);
+            if (ledge) results.push(ledge);
+        }
+
+        return results;
+    }
+
+    expandSwim(node) {
+        const results = [];
+        const position = this.getNodePosition(node);
+
+        // Swimmers move freely while submerged
+        for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            const neighbor = this.createNode('swim', node.x + dx, node.y + dy);
+            if (neighbor) results.push(neighbor);
+        }
+
+        // Stroke out of the water at the surface
+        for (const plan of this.getPlans([-1, 0, 1])) {
+            if (plan.hold === null) continue;
+
+            const result = this.simulate(node, {
+                x: position.x,
+                y: position.y,
+                vx: 0,
+                vy: -this.movement.jumpForce * this.movement.swimJumpScale
+            }, plan, { leaveWater: true });
+
+            if (result) results.push(result);
+        }
+
+        return results;
+    }
+
+    /**
+     * Build every input plan to sample for the current ability set
+     * @private
+     */
+    getPlans(dirs) {
+        const apexPlans = [[]];
+        const extraJumps = this.abilities.has('tripleJump') ? 2 : this.abilities.has('doubleJump') ? 1 : 0;
+
+        for (let i = 1; i <= extraJumps; i++) {
+            apexPlans.push(new Array(i).fill('jump'));
+        }
+
+        if (this.abilities.has('dash')) {
+            apexPlans.push(['dash']);
+            if (extraJumps > 0) apexPlans.push(['jump', 'dash']);
+        }
+
+        if (this.abilities.has('glide')) {
+            apexPlans.push(['glide']);
+            if (extraJumps > 0) apexPlans.push(['jump', 'glide']);
+        }
+
+        const plans = [];
+        for (const dir of dirs) {
+            const releases = dir === 0 ? [Infinity] : RELEASE_TIMES;
+
+            for (const release of releases) {
+                for (const hold of [null, ...JUMP_HOLD_TIMES]) {
+                    for (const apex of apexPlans) {
+                        plans.push({ dir, release, hold, apex });
+                    }
+                }
+            }
+        }
+
+        return plans;
+    }
+
+    // Movement simulation
+
+    /**
+     * Simulate one trajectory until the player lands, catches a wall or enters water
+     * @private
+     * @returns {Object|null} Node the trajectory ends at, or null if it ends nowhere useful
+     */
+    simulate(source, state, plan, flags = {}) {
+        const m = this.movement;
+        const canWall = this.abilities.has('wallJump') || this.abilities.has('wallClimb');
+        const canSwim = this.abilities.has('swim');
+        const dashSpeed = m.dashDistance / m.dashDuration;
+
+        let { x, y, vx, vy } = state;
+        let grounded = !!state.grounded;
+        let facing = plan.dir || source.side || 1;
+        let apexIndex = 0;
+        let dashTime = 0;
+        let gliding = false;
+        let leftWater = !flags.leaveWater;
+
+        for (let t = 0; t < MAX_AIR_TIME; t += STEP) {
+            const holding = plan.dir !== 0 && t < plan.release;
+
+            // Airborne actions fire at the top of each arc
+            if (!grounded && vy >= 0 && dashTime <= 0 && apexIndex < plan.apex.length) {
+                const action = plan.apex[apexIndex++];
+
+                if (action === 'jump') {
+                    vy = -this.getJumpForce() * m.multiJumpScale;
+                } else if (action === 'dash') {
+                    dashTime = m.dashDuration;
+                } else if (action === 'glide') {
+                    gliding = true;
+                }
+            }
+
+            if (dashTime > 0) {
+                vx = facing * dashSpeed;
+                vy = 0;
+                dashTime -= STEP;
+            } else {
+                if (holding) {
+                    vx = plan.dir * m.speed;
+                    facing = plan.dir;
+                } else {
+                    vx *= m.friction;
+                }
+
+                vy = Math.min(vy + this.gravity * STEP, m.terminalVelocity);
+
+                // Variable jump height
+                if (plan.hold !== null && t >= plan.hold && vy < 0) {
+                    vy *= m.jumpCutScale;
+                }
+
+                if (gliding && vy > m.glideFallSpeed) {
+                    vy = m.glideFallSpeed;
+                }
+            }
+
+            // Horizontal movement
+            const nextX = x + vx * STEP;
+            if (this.collides(nextX, y)) {
+                const side = Math.sign(vx);
+                x = side > 0 ? Math.floor((nextX + m.width) / this.tileSize) * this.tileSize - m.width : Math.ceil(nextX / this.tileSize) * this.tileSize;
+                if (this.collides(x, y)) x = state.x;
+                vx = 0;
+
+                if (grounded) return null;
+
+                // Catch the wall when pushing into it (ignoring the wall we started on)
+                if (canWall && side !== 0 && holding && plan.dir === side) {
+                    const wall = this.createNodeAt('wall', x, y, side);
+                    if (wall && wall.key !== source.key) return wall;
+                }
+            } else {
+                x = nextX;
+            }
+
+            // Vertical movement
+            const nextY = y + vy * STEP;
+            const support = vy > 0 ? this.findSupport(x, y + m.height, nextY + m.height) : null;
+            if (support !== null && !this.collides(x, support - m.height)) {
+                // Landed on a one-way platform or slope
+                y = support - m.height;
+                vy = 0;
+
+                if (!grounded) {
+                    return this.createNodeAt('ground', x, y);
+                }
+            } else if (this.collides(x, nextY)) {
+                if (vy > 0) {
+                    y = Math.floor((nextY + m.height) / this.tileSize) * this.tileSize - m.height;
+
+                    if (!grounded) {
+                        return this.createNodeAt('ground', x, y);
+                    }
+                } else {
+                    y = Math.ceil(nextY / this.tileSize) * this.tileSize;
+                }
+                vy = 0;
+            } else {
+                y = nextY;
+                grounded = false;
+            }
+
+            // Walking along the floor is handled by walk edges
+            if (grounded && !holding) return null;
+
+            // Fell out of the level
+            if (y > this.height * this.tileSize) return null;
+
+            this.markBody({ x, y }, source);
+
+            if (canSwim) {
+                const inWater = this.inWater(x, y);
+                if (!inWater) leftWater = true;
+                if (inWater && leftWater) {
+                    return this.createNodeAt('swim', x, y);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    getJumpForce() {
+        const m = this.movement;
+        return this.abilities.has('highJump') ? m.jumpForce * m.highJumpMultiplier : m.jumpForce;
+    }
+
+    // Nodes
+
+    /**
+     * Create a node at a tile, or null if the player can't be there
+     * @private
+     */
+    createNode(kind, tileX, tileY, side = 0) {
+        if (tileX < 0 || tileX >= this.width || tileY < 0 || tileY >= this.height) return null;
+
+        const node = { kind, x: tileX, y: tileY, side, key: `${kind}:${tileX},${tileY},${side}` };
+        if (this.nodes.has(node.key)) return this.nodes.get(node.key);
+
+        const position = this.getNodePosition(node);
+        if (this.collides(position.x, position.y)) return null;
+
+        switch (kind) {
+            case 'ground':
+                if (!this.isGrounded(position.x, position.y)) return null;
+                break;
+            case 'wall':
+                if (!this.collides(position.x + side, position.y)) return null;
+                break;
+            case 'swim':
+                if (!this.abilities.has('swim') || !this.inWater(position.x, position.y)) return null;
+                break;
+        }
+
+        return node;
+    }
+
+    /**
+     * Create a node from a pixel position reached during simulation
+     * @private
+     */
+    createNodeAt(kind, x, y, side = 0) {
+        const tileX = Math.floor((x + this.movement.width / 2) / this.tileSize);
+        const tileY = Math.floor((y + this.movement.height - 1) / this.tileSize);
+        return this.createNode(kind, tileX, tileY, side);
+    }
+
+    /**
+     * Get the player's top-left position for a node
+     * @private
+     */
+    getNodePosition(node) {
+        const m = this.movement;
+        const ts = this.tileSize;
+        const y = (node.y + 1) * ts - m.height;
+
+        if (node.kind === 'wall') {
+            return { x: node.side > 0 ? (node.x + 1) * ts - m.width : node.x * ts, y };
+        }
+
+        return { x: node.x * ts + (ts - m.width) / 2, y };
+    }
+
+    findStartNode() {
+        let start = this.start;
+
+        if (!start) {
+            const spawn = this.level.layers.entities.find(e => e.type === 'player_spawn');
+            if (!spawn) return null;
+            start = { x: spawn.x, y: spawn.y };
+        }
+
+        // Drop from the spawn point to whatever is below it
+        let x = start.x;
+        let y = start.y;
+        if (this.collides(x, y)) return null;
+
+        while (!this.isGrounded(x, y)) {
+            y += 1;
+            if (y > this.height * this.tileSize) return null;
+            if (this.abilities.has('swim') && this.inWater(x, y)) {
+                return this.createNodeAt('swim', x, y);
+            }
+        }
+
+        this.markBody({ x, y: start.y }, null);
+        return this.createNodeAt('ground', x, y);
+    }
+
+    // Level queries
+
+    collides(x, y) {
+        const ts = this.tileSize;
+        const left = Math.floor(x / ts);
+        const right = Math.floor((x + this.movement.width - 0.001) / ts);
+        const top = Math.floor(y / ts);
+        const bottom = Math.floor((y + this.movement.height - 0.001) / ts);
+
+        for (let ty = top; ty <= bottom; ty++) {
+            for (let tx = left; tx <= right; tx++) {
+                // The level edges and ceiling are solid, the bottom is a pit
+                if (tx < 0 || tx >= this.width || ty < 0) return true;
+                if (ty >= this.height) continue;
+                if (this.tiles.isSolid(this.collision[ty * this.width + tx])) return true;
+            }
+        }
+
+        return false;
+    }
+
+    isGrounded(x, y) {
+        const bottom = y + this.movement.height;
+        return this.collides(x, y + 1) || this.findSupport(x, bottom, bottom + 1) !== null;
+    }
+
+    /**
+     * Find the highest one-way or slope surface the player's feet cross moving from one height to another
+     * @private
+     * @returns {number|null} Surface height in pixels
+     */
+    findSupport(x, fromBottom, toBottom) {
+        const ts = this.tileSize;
+        const centerX = x + this.movement.width / 2;
+        const left = Math.max(0, Math.floor(x / ts));
+        const right = Math.min(this.width - 1, Math.floor((x + this.movement.width - 0.001) / ts));
+        // Slopes are stood on from anywhere in their tile, so look a tile above the feet too
+        const top = Math.max(0, Math.floor((fromBottom - ts) / ts));
+        const bottom = Math.min(this.height - 1, Math.floor(toBottom / ts));
+        let surface = null;
+
+        for (let ty = top; ty <= bottom; ty++) {
+            for (let tx = left; tx <= right; tx++) {
+                const tile = this.tiles.get(this.collision[ty * this.width + tx]);
+                if (!tile || tile.solid) continue;
+
+                let y;
+                let reach = fromBottom;
+                if (tile.slope) {
+                    // Like Physics, bodies stand on the slope surface under their center
+                    if (Math.floor(centerX / ts) !== tx) continue;
+                    y = TileDefinitions.slopeSurfaceY({ x: tx * ts, y: ty * ts, width: ts, height: ts }, tile.slope, centerX);
+                    reach -= ts;
+                } else if (tile.oneWay) {
+                    y = ty * ts;
+                } else {
+                    continue;
+                }
+
+                if (y >= reach && y <= toBottom && (surface === null || y < surface)) {
+                    surface = y;
+                }
+            }
+        }
+
+        return surface;
+    }
+
+    inWater(x, y) {
+        const m = this.movement;
+        return this.waterAreas.some(area =>
+            x < area.x + area.width && x + m.width > area.x &&
+            y < area.y + area.height && y + m.height > area.y
+        );
+    }
+
+    /**
+     * Record the tiles the player's body covers
+     * @private
+     */
+    markBody(position, source) {
+        const ts = this.tileSize;
+        const left = Math.max(0, Math.floor(position.x / ts));
+        const right = Math.min(this.width - 1, Math.floor((position.x + this.movement.width - 0.001) / ts));
+        const top = Math.max(0, Math.floor(position.y / ts));
+        const bottom = Math.min(this.height - 1, Math.floor((position.y + this.movement.height - 0.001) / ts));
+
+        for (let ty = top; ty <= bottom; ty++) {
+            for (let tx = left; tx <= right; tx++) {
+                const index = ty * this.width + tx;
+                this.reachableTiles.add(index);
+
+                if (source && this.exitTiles.has(index)) {
+                    this.escapeNodes.add(source.key);
+                }
+            }
+        }
+    }
+
+    getExits() {
+        const exits = (this.level.connections || []).map(connection => ({
+            id: connection.id,
+            source: 'connection',
+            targetLevel: connection.targetLevel,
+            x: connection.x,
+            y: connection.y,
+            width: connection.width || 32,
+            height: connection.height || 64
+        }));
+
+        for (const entity of this.level.layers.entities) {
+            if (entity.type !== 'level_transition') continue;
+
+            const props = entity.properties || {};
+            exits.push({
+                id: entity.id,
+                source: 'entity',
+                targetLevel: props.targetLevel || null,
+                x: entity.x,
+                y: entity.y,
+                width: props.width || 32,
+                height: props.height || 64
+            });
+        }
+
+        return exits;
+    }
+
+    collectExitTiles() {
+        const tiles = new Set();
+        for (const exit of this.getExits()) {
+            for (const index of this.getTilesInRect(exit)) {
+                tiles.add(index);
+            }
+        }
+        return tiles;
+    }
+
+    getTilesInRect(rect) {
+        const ts = this.tileSize;
+        const tiles = [];
+        const left = Math.max(0, Math.floor(rect.x / ts));
+        const right = Math.min(this.width - 1, Math.floor((rect.x + rect.width - 0.001) / ts));
+        const top = Math.max(0, Math.floor(rect.y / ts));
+        const bottom = Math.min(this.height - 1, Math.floor((rect.y + rect.height - 0.001) / ts));
+
+        for (let ty = top; ty <= bottom; ty++) {
+            for (let tx = left; tx <= right; tx++) {
+                tiles.push(ty * this.width + tx);
+            }
+        }
+
+        return tiles;
+    }
+
+    isRectReachable(rect) {
+        return this.getTilesInRect(rect).some(index => this.reachableTiles.has(index));
+    }
+
+    // Report
+
+    /**
+     * Find reachable nodes that can never get back to an exit (or the start, if there are none)
+     * @private
+     */
+    findSoftlocks(startNode) {
+        const goals = new Set(this.escapeNodes);
+        if (goals.size === 0 && startNode) {
+            goals.add(startNode.key);
+        }
+
+        // Walk the graph backwards from the goals
+        const reverse = new Map();
+        for (const [from, targets] of this.edges) {
+            for (const to of targets) {
+                if (!reverse.has(to)) reverse.set(to, []);
+                reverse.get(to).push(from);
+            }
+        }
+
+        const canEscape = new Set(goals);
+        const queue = [...goals];
+        while (queue.length > 0) {
+            const key = queue.shift();
+            for (const from of reverse.get(key) || []) {
+                if (!canEscape.has(from)) {
+                    canEscape.add(from);
+                    queue.push(from);
+                }
+            }
+        }
+
+        const softlocks = [];
+        for (const node of this.nodes.values()) {
+            if (!canEscape.has(node.key)) {
+                softlocks.push({ x: node.x, y: node.y, kind: node.kind });
+            }
+        }
+        return softlocks;
+    }
+
+    buildReport(startNode) {
+        const entities = this.level.layers.entities
+            .filter(entity => entity.type !== 'player_spawn')
+            .map(entity => {
+                const props = entity.properties || {};
+                const reachable = this.isRectReachable({
+                    x: entity.x,
+                    y: entity.y,
+                    width: props.width || 32,
+                    height: props.height || 32
+                });
+
+                return { id: entity.id, type: entity.type, x: entity.x, y: entity.y, reachable };
+            });
+
+        const exits = this.getExits().map(exit => ({
+            id: exit.id,
+            source: exit.source,
+            targetLevel: exit.targetLevel,
+            x: exit.x,
+            y: exit.y,
+            reachable: this.isRectReachable(exit)
+        }));
+
+        // Anything reachable without the abilities it's gated behind is a sequence break
+        const sequenceBreaks = [];
+        for (const entity of this.level.layers.entities) {
+            const required = entity.properties?.requiredAbilities || [];
+            const missing = required.filter(ability => !this.abilities.has(ability));
+            const report = entities.find(e => e.id === entity.id);
+
+            if (missing.length > 0 && report && report.reachable) {
+                sequenceBreaks.push({ id: entity.id, type: entity.type, missing });
+            }
+        }
+
+        return {
+            level: this.level.metadata?.name || null,
+            abilities: [...this.abilities],
+            start: startNode ? { x: startNode.x, y: startNode.y } : null,
+            width: this.width,
+            height: this.height,
+            entities,
+            exits,
+            reachableTiles: [...this.reachableTiles].sort((a, b) => a - b),
+            softlocks: startNode ? this.findSoftlocks(startNode) : [],
+            sequenceBreaks,
+            nodeCount: this.nodes.size
+        };
+    }
+
+    /**
+     * Turn a report into validation warnings
+     * @param {Object} report - Report from analyze()
+     * @returns {Array<string>} Warning messages
+     */
+    static getWarnings(report) {
+        const warnings = [];
+        const abilities = report.abilities.length > 0 ? report.abilities.join(', ') : 'no abilities';
+
+        if (!report.start) {
+            warnings.push('Reachability: no valid start position to analyze from');
+            return warnings;
+        }
+
+        for (const entity of report.entities) {
+            if (!entity.reachable && PROGRESSION_TYPES.includes(entity.type)) {
+                warnings.push(`Reachability: ${entity.type} ${entity.id} is unreachable with ${abilities}`);
+            }
+        }
+
+        for (const exit of report.exits) {
+            if (!exit.reachable) {
+                warnings.push(`Reachability: exit ${exit.id} to '${exit.targetLevel}' is unreachable with ${abilities}`);
+            }
+        }
+
+        if (report.softlocks.length > 0) {
+            warnings.push(`Reachability: ${report.softlocks.length} reachable positions cannot get back to an exit (possible softlock)`);
+        }
+
+        for (const sequenceBreak of report.sequenceBreaks) {
+            warnings.push(`Reachability: ${sequenceBreak.type} ${sequenceBreak.id} is reachable without ${sequenceBreak.missing.join(', ')} (sequence break)`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Serialize a report for export
+     * @param {Object} report - Report from analyze()
+     * @param {boolean} minify - Whether to minify the JSON
+     * @returns {string} JSON representation
+     */
+    static exportReport(report, minify = false) {
+        return JSON.stringify({
+            ...report,
+            generated: new Date().toISOString()
+        }, null, minify ? 0 : 2);
+    }
+}
@@ -9,6 +9,9 @@ export class SaveSystem {
         this.settingsKey = 'echo_genesis_settings';
         this.version = '1.0';
         
+        // Save data kept in memory instead of localStorage while set (replay playback)
+        this.sandbox = null;
+        
         this.defaultSaveData = {
             version: this.version,
             created: null,
@@ -21,6 +24,21 @@ export class SaveSystem {
             completedLevels: [],
             unlockedLevels: [],
             
+            // Explored map tiles per level (packed by AutoMap)
+            exploredMaps: {},
+            
+            // Per-room object states (defeated enemies, collected items, broken walls)
+            objectStates: {},
+            
+            // Ids of cutscenes that have already played
+            seenCutscenes: [],
+            
+            // Bosses beaten, as "levelId:entityId"
+            defeatedBosses: [],
+            
+            // Speedrun personal bests, best segments and best-run ghosts per route
+            speedruns: {},
+            
             // Player abilities
             abilities: {
                 doubleJump: false,
@@ -81,6 +99,12 @@ export class SaveSystem {
     save(gameData = {}) {
         try {
             const existingSave = this.load();
+            
+            if (this.sandbox) {
+                this.sandbox = { ...existingSave, ...gameData };
+                return true;
+            }
+
             const saveData = {
                 ...existingSave,
                 ...gameData,
@@ -113,6 +137,10 @@ export class SaveSystem {
      * @returns {Object} Loaded save data
      */
     load() {
+        if (this.sandbox) {
+            return JSON.parse(JSON.stringify(this.sandbox));
+        }
+        
         try {
             const savedData = localStorage.getItem(this.saveKey);
             if (!savedData) {
@@ -139,8 +167,9 @@ export class SaveSystem {
      * @returns {Object} New save data
      */
     createNewSave() {
+        // Deep copy so saves never share the default arrays and objects
         const newSave = {
-            ...this.defaultSaveData,
+            ...JSON.parse(JSON.stringify(this.defaultSaveData)),
             created: new Date().toISOString(),
             lastPlayed: new Date().toISOString()
         };
@@ -191,6 +220,14 @@ export class SaveSystem {
         return merged;
     }
 
+    /**
+     * Redirect saves to memory, so a replay can play without touching the player's save
+     * @param {Object|null} saveData - Save data to start from, or null to use localStorage again
+     */
+    setSandbox(saveData) {
+        this.sandbox = saveData ? this.mergeSaveData(saveData) : null;
+    }
+
     /**
      * Save settings only
      * @param {Object} settings - Settings to save
@@ -312,6 +349,106 @@ export class SaveSystem {
         return saveData.checkpoints[levelId] || null;
     }
 
+    /**
+     * Save explored map data
+     * @param {Object} exploredMaps - Serialized AutoMap data
+     */
+    setExploredMaps(exploredMaps) {
+        const saveData = this.load();
+        saveData.exploredMaps = exploredMaps;
+        this.save(saveData);
+    }
+
+    /**
+     * Get explored map data
+     * @returns {Object} Serialized AutoMap data
+     */
+    getExploredMaps() {
+        const saveData = this.load();
+        return saveData.exploredMaps || {};
+    }
+
+    /**
+     * Save persistent object states
+     * @param {Object} objectStates - Object states keyed by "levelId:entityId"
+     */
+    setObjectStates(objectStates) {
+        const saveData = this.load();
+        saveData.objectStates = objectStates;
+        this.save(saveData);
+    }
+
+    /**
+     * Get persistent object states
+     * @returns {Object} Object states keyed by "levelId:entityId"
+     */
+    getObjectStates() {
+        const saveData = this.load();
+        return saveData.objectStates || {};
+    }
+
+    /**
+     * Remember that a cutscene has played so it isn't shown again
+     * @param {string} cutsceneId - Cutscene ID
+     */
+    markCutsceneSeen(cutsceneId) {
+        const saveData = this.load();
+        
+        if (!saveData.seenCutscenes.includes(cutsceneId)) {
+            saveData.seenCutscenes.push(cutsceneId);
+            this.save(saveData);
+        }
+    }
+
+    /**
+     * Check whether a cutscene has already played
+     * @param {string} cutsceneId - Cutscene ID
+     * @returns {boolean} True if the cutscene has been seen
+     */
+    hasSeenCutscene(cutsceneId) {
+        const saveData = this.load();
+        return (saveData.seenCutscenes || []).includes(cutsceneId);
+    }
+
+    /**
+     * Record a boss defeat and the ability it granted
+     * @param {string} bossKey - Boss key ("levelId:entityId")
+     * @param {string|null} rewardAbility - Ability granted by the boss
+     */
+    defeatBoss(bossKey, rewardAbility = null) {
+        const saveData = this.load();
+        
+        if (!saveData.defeatedBosses.includes(bossKey)) {
+            saveData.defeatedBosses.push(bossKey);
+        }
+        if (rewardAbility) {
+            saveData.abilities[rewardAbility] = true;
+        }
+        
+        this.save(saveData);
+    }
+
+    /**
+     * Save a speedrun route's record
+     * @param {string} routeId - Route ID
+     * @param {Object} record - Personal best ({ time, splits, ghost, date }) and best segment times
+     */
+    setSpeedrun(routeId, record) {
+        const saveData = this.load();
+        saveData.speedruns[routeId] = record;
+        this.save(saveData);
+    }
+
+    /**
+     * Get a speedrun route's record
+     * @param {string} routeId - Route ID
+     * @returns {Object|null} Record ({ personalBest, bestSegments }) or null if the route was never run
+     */
+    getSpeedrun(routeId) {
+        const saveData = this.load();
+        return (saveData.speedruns || {})[routeId] || null;
+    }
+
     /**
      * Update statistics
      * @param {Object} stats - Stats to update
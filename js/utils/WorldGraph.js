@@ -0,0 +1,368 @@
+/**
+ * World Graph
+ * Links levels into one connected world through their door and edge connections
+ */
+
+const OPPOSITE_DIRECTIONS = {
+    left: 'right',
+    right: 'left',
+    up: 'down',
+    down: 'up'
+};
+
+const DIRECTION_VECTORS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 }
+};
+
+export class WorldGraph {
+    constructor() {
+        this.rooms = new Map();
+        this.layout = null;
+    }
+
+    /**
+     * Add a level to the world as a room
+     * @param {string} id - Room (level) ID
+     * @param {LevelData|Object} level - Level data
+     */
+    addRoom(id, level) {
+        this.rooms.set(id, {
+            id,
+            level,
+            connections: level.connections || []
+        });
+        this.layout = null;
+    }
+
+    /**
+     * Remove a room from the world
+     * @param {string} id - Room ID
+     * @returns {boolean} True if the room existed
+     */
+    removeRoom(id) {
+        this.layout = null;
+        return this.rooms.delete(id);
+    }
+
+    /**
+     * Load a set of levels through a level loader and add them as rooms
+     * @param {LevelLoader} loader - Level loader to load with
+     * @param {Object} sources - Map of room ID to level source
+     * @returns {Promise<WorldGraph>} This graph
+     */
+    async loadRooms(loader, sources) {
+        const entries = Object.entries(sources);
+
+        try {
+            const levels = await Promise.all(entries.map(([, source]) => loader.loadLevel(source)));
+            entries.forEach(([id], index) => this.addRoom(id, levels[index]));
+        } catch (error) {
+            throw new Error(`Failed to load world rooms: ${error.message}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Get a room by ID
+     * @param {string} id - Room ID
+     * @returns {Object|null} Room or null
+     */
+    getRoom(id) {
+        return this.rooms.get(id) || null;
+    }
+
+    /**
+     * Get a connection within a room
+     * @param {string} roomId - Room ID
+     * @param {string} connectionId - Connection ID
+     * @returns {Object|null} Connection or null
+     */
+    getConnection(roomId, connectionId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        return room.connections.find(c => c.id === connectionId) || null;
+    }
+
+    /**
+     * Get the rooms directly reachable from a room
+     * @param {string} roomId - Room ID
+     * @returns {Array} Array of { roomId, connection, targetConnection }
+     */
+    getNeighbors(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return [];
+
+        return room.connections
+            .filter(connection => this.rooms.has(connection.targetLevel))
+            .map(connection => ({
+                roomId: connection.targetLevel,
+                connection,
+                targetConnection: this.getConnection(connection.targetLevel, connection.targetConnection)
+            }));
+    }
+
+    /**
+     * Validate that every connection leads somewhere and has a matching counterpart
+     * @returns {Object} Validation result with errors and warnings
+     */
+    validate() {
+        const result = {
+            valid: true,
+            errors: [],
+            warnings: []
+        };
+
+        const error = (message) => {
+            result.errors.push(message);
+            result.valid = false;
+        };
+
+        for (const room of this.rooms.values()) {
+            const seenIds = new Set();
+
+            if (room.connections.length === 0) {
+                result.warnings.push(`Room '${room.id}' has no connections`);
+            }
+
+            for (const connection of room.connections) {
+                const label = `${room.id}/${connection.id}`;
+
+                if (seenIds.has(connection.id)) {
+                    error(`Duplicate connection ID ${label}`);
+                }
+                seenIds.add(connection.id);
+
+                if (!connection.targetLevel) {
+                    error(`Connection ${label} has no target level`);
+                    continue;
+                }
+
+                if (!this.rooms.has(connection.targetLevel)) {
+                    error(`Connection ${label} targets unknown room '${connection.targetLevel}'`);
+                    continue;
+                }
+
+                const counterpart = this.getConnection(connection.targetLevel, connection.targetConnection);
+                if (!counterpart) {
+                    error(`Connection ${label} targets missing connection '${connection.targetLevel}/${connection.targetConnection}'`);
+                    continue;
+                }
+
+                if (counterpart.targetLevel !== room.id || counterpart.targetConnection !== connection.id) {
+                    error(`Connection ${label} has no matching counterpart (${connection.targetLevel}/${counterpart.id} leads elsewhere)`);
+                    continue;
+                }
+
+                if (connection.direction && counterpart.direction &&
+                    OPPOSITE_DIRECTIONS[connection.direction] !== counterpart.direction) {
+                    result.warnings.push(`Connection ${label} exits ${connection.direction} but arrives through ${counterpart.direction}`);
+                }
+            }
+        }
+
+        // Every room should be reachable from the first one
+        const first = this.rooms.keys().next().value;
+        if (first !== undefined) {
+            const reachable = this.getReachableRooms(first);
+            for (const id of this.rooms.keys()) {
+                if (!reachable.has(id)) {
+                    result.warnings.push(`Room '${id}' is not reachable from '${first}'`);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get every room reachable from a starting room
+     * @param {string} startId - Starting room ID
+     * @returns {Set<string>} Reachable room IDs (including the start)
+     */
+    getReachableRooms(startId) {
+        const visited = new Set([startId]);
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of this.getNeighbors(current)) {
+                if (!visited.has(neighbor.roomId)) {
+                    visited.add(neighbor.roomId);
+                    queue.push(neighbor.roomId);
+                }
+            }
+        }
+
+        return visited;
+    }
+
+    /**
+     * Find the shortest room-to-room path (fewest doors)
+     * @param {string} fromId - Starting room ID
+     * @param {string} toId - Destination room ID
+     * @returns {Object|null} { rooms, connections } or null if unreachable
+     */
+    findPath(fromId, toId) {
+        if (!this.rooms.has(fromId) || !this.rooms.has(toId)) return null;
+
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === toId) break;
+
+            for (const neighbor of this.getNeighbors(current)) {
+                if (!previous.has(neighbor.roomId)) {
+                    previous.set(neighbor.roomId, { roomId: current, connection: neighbor.connection });
+                    queue.push(neighbor.roomId);
+                }
+            }
+        }
+
+        if (!previous.has(toId)) return null;
+
+        const rooms = [toId];
+        const connections = [];
+        let step = previous.get(toId);
+
+        while (step) {
+            rooms.unshift(step.roomId);
+            connections.unshift(step.connection);
+            step = previous.get(step.roomId);
+        }
+
+        return { rooms, connections };
+    }
+
+    /**
+     * Get a room's size in pixels
+     * @param {Object} room - Room
+     * @returns {Object} { width, height }
+     */
+    getRoomSize(room) {
+        const props = room.level.properties;
+        return {
+            width: props.width * props.tileSize,
+            height: props.height * props.tileSize
+        };
+    }
+
+    /**
+     * Lay rooms out in world space by lining up connected doors.
+     * Rooms with metadata.mapPosition keep that position.
+     * @returns {Map<string, Object>} Room ID to { x, y, width, height }
+     */
+    computeLayout() {
+        const layout = new Map();
+        let nextFreeX = 0;
+
+        // Anchored rooms first, then everything else in insertion order
+        const roots = [...this.rooms.values()].sort((a, b) =>
+            (b.level.metadata?.mapPosition ? 1 : 0) - (a.level.metadata?.mapPosition ? 1 : 0)
+        );
+
+        for (const root of roots) {
+            if (layout.has(root.id)) continue;
+
+            const size = this.getRoomSize(root);
+            const anchor = root.level.metadata?.mapPosition;
+            layout.set(root.id, {
+                x: anchor ? anchor.x : nextFreeX,
+                y: anchor ? anchor.y : 0,
+                ...size
+            });
+
+            // Place the rest of this component relative to its neighbours
+            const queue = [root.id];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                const rect = layout.get(current);
+
+                for (const neighbor of this.getNeighbors(current)) {
+                    if (layout.has(neighbor.roomId)) continue;
+
+                    const room = this.rooms.get(neighbor.roomId);
+                    const position = room.level.metadata?.mapPosition ||
+                        this.alignRoom(rect, neighbor.connection, neighbor.targetConnection);
+
+                    layout.set(neighbor.roomId, { ...position, ...this.getRoomSize(room) });
+                    queue.push(neighbor.roomId);
+                }
+            }
+
+            for (const rect of layout.values()) {
+                nextFreeX = Math.max(nextFreeX, rect.x + rect.width);
+            }
+        }
+
+        this.layout = layout;
+        return layout;
+    }
+
+    /**
+     * Position a room so its arrival connection sits next to the exit it is entered from
+     * @private
+     */
+    alignRoom(fromRect, exit, arrival) {
+        const exitX = fromRect.x + exit.x + (exit.width || 0) / 2;
+        const exitY = fromRect.y + exit.y + (exit.height || 0) / 2;
+
+        if (!arrival) {
+            return { x: exitX, y: exitY };
+        }
+
+        const arrivalX = arrival.x + (arrival.width || 0) / 2;
+        const arrivalY = arrival.y + (arrival.height || 0) / 2;
+
+        // Push the rooms apart along the exit direction so the doorways sit side by side
+        const dir = DIRECTION_VECTORS[exit.direction] || { x: 0, y: 0 };
+        const gapX = dir.x * ((exit.width || 0) + (arrival.width || 0)) / 2;
+        const gapY = dir.y * ((exit.height || 0) + (arrival.height || 0)) / 2;
+
+        return {
+            x: exitX - arrivalX + gapX,
+            y: exitY - arrivalY + gapY
+        };
+    }
+
+    /**
+     * Get a room's world-space rectangle for map screens
+     * @param {string} id - Room ID
+     * @returns {Object|null} { x, y, width, height } or null
+     */
+    getRoomCoordinates(id) {
+        if (!this.layout) {
+            this.computeLayout();
+        }
+        return this.layout.get(id) || null;
+    }
+
+    /**
+     * Get the bounding box of the whole world layout
+     * @returns {Object} { x, y, width, height }
+     */
+    getBounds() {
+        if (!this.layout) {
+            this.computeLayout();
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const rect of this.layout.values()) {
+            minX = Math.min(minX, rect.x);
+            minY = Math.min(minY, rect.y);
+            maxX = Math.max(maxX, rect.x + rect.width);
+            maxY = Math.max(maxY, rect.y + rect.height);
+        }
+
+        if (minX === Infinity) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+}